@@ -1,17 +1,143 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { Bot, User, Send, Trash2, Copy, Activity, X, ChevronRight, ChevronLeft, Moon, Sun } from 'lucide-react';
+import { Bot, User, Send, Trash2, Copy, Activity, X, ChevronRight, ChevronLeft, Moon, Sun, Columns } from 'lucide-react';
 import toast, { Toaster } from 'react-hot-toast';
 import io from 'socket.io-client';
 
+// Prompt templates published by MCP servers, offered as /commands
+const fetchPrompts = async () => {
+  try {
+    const response = await fetch('/api/mcp/prompts');
+    const result = await response.json();
+    return result.success ? result.prompts : [];
+  } catch (error) {
+    console.error('Failed to load MCP prompts:', error);
+    return [];
+  }
+};
+
+const PROVIDER_LABELS = {
+  google: 'Google Gemini',
+  openai: 'OpenAI',
+  anthropic: 'Anthropic Claude',
+  local: 'Local models',
+  mock: 'Scripted mock'
+};
+
+// Models one comparison may run side by side (the server's limit)
+const MAX_COMPARE_MODELS = 4;
+
+// Models that have an API key configured, and each provider's default
+const fetchModels = async () => {
+  try {
+    const response = await fetch('/api/models');
+    const result = await response.json();
+    return result.success
+      ? { models: result.models.filter(model => model.available), defaults: result.defaults }
+      : { models: [], defaults: {} };
+  } catch (error) {
+    console.error('Failed to load models:', error);
+    return { models: [], defaults: {} };
+  }
+};
+
+// Agent personas from the server's prompt library
+const fetchPersonas = async () => {
+  try {
+    const response = await fetch('/api/prompts');
+    const result = await response.json();
+    return result.success ? result.personas : [];
+  } catch (error) {
+    console.error('Failed to load personas:', error);
+    return [];
+  }
+};
+
+// One chat session per browser tab; the server sends this session's agent
+// logs and approval requests to it and nobody else
+const getSessionId = () => {
+  let sessionId = sessionStorage.getItem('agentSessionId');
+  if (!sessionId) {
+    sessionId = crypto.randomUUID();
+    sessionStorage.setItem('agentSessionId', sessionId);
+  }
+  return sessionId;
+};
+
+// Headers for API calls; anonymous conversations belong to the session id
+const apiHeaders = (sessionId) => {
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Session-Id': sessionId
+  };
+  const token = localStorage.getItem('token');
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  return headers;
+};
+
+// Stored conversation messages keep tool calls, reasoning and provider
+const fetchConversations = async (sessionId) => {
+  try {
+    const response = await fetch('/api/conversations', { headers: apiHeaders(sessionId) });
+    const result = await response.json();
+    return result.success ? result.conversations : [];
+  } catch (error) {
+    console.error('Failed to load conversations:', error);
+    return [];
+  }
+};
+
+// Read a server-sent event stream from a fetch response, calling
+// onEvent(type, data) for every complete event
+const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+    for (const event of events) {
+      let type = 'message';
+      let data = '';
+      for (const line of event.split('\n')) {
+        if (line.startsWith('event:')) type = line.slice(6).trim();
+        if (line.startsWith('data:')) data += line.slice(5).trim();
+      }
+      if (data) onEvent(type, JSON.parse(data));
+    }
+  }
+};
+
 function App() {
   const [messages, setMessages] = useState([]);
   const [inputValue, setInputValue] = useState('');
   const [loading, setLoading] = useState(false);
-  const [selectedModel, setSelectedModel] = useState('google'); // Default model - Gemini
+  const [models, setModels] = useState([]);
+  const [selectedModel, setSelectedModel] = useState('');
+  const [personas, setPersonas] = useState([]);
+  const [selectedPersona, setSelectedPersona] = useState('');
+  const [compareMode, setCompareMode] = useState(false);
+  const [compareModels, setCompareModels] = useState([]);
   const [showLogWindow, setShowLogWindow] = useState(false);
   const [agentLogs, setAgentLogs] = useState([]);
   const [isDarkMode, setIsDarkMode] = useState(true); // Default to dark mode
   const [socket, setSocket] = useState(null);
+  const [prompts, setPrompts] = useState([]);
+  const [activePrompt, setActivePrompt] = useState(null);
+  const [promptArgs, setPromptArgs] = useState({});
+  const [pendingApprovals, setPendingApprovals] = useState([]);
+  const [sessionId] = useState(getSessionId);
+  const [firehose, setFirehose] = useState(false);
+  // The server names sessions by a tag, never by their id
+  const [sessionTag, setSessionTag] = useState(null);
+  const [conversations, setConversations] = useState([]);
+  const [conversationId, setConversationId] = useState(() => sessionStorage.getItem('conversationId'));
   const messagesEndRef = useRef(null);
   const logEndRef = useRef(null);
 
@@ -33,7 +159,10 @@ function App() {
 
   // WebSocket connection setup
   useEffect(() => {
-    const newSocket = io('http://localhost:3000');
+    // The token identifies who approves or rejects tool calls
+    const newSocket = io('http://localhost:3000', {
+      auth: { token: localStorage.getItem('token'), sessionId }
+    });
     setSocket(newSocket);
 
     // Listen for agent logs from server
@@ -42,6 +171,48 @@ function App() {
       setAgentLogs(prev => [...prev, logEntry]);
     });
 
+    // Reload slash commands when a server's prompt list changes
+    newSocket.on('mcp_prompts_changed', () => {
+      fetchPrompts().then(setPrompts);
+    });
+
+    // Listen for MCP server status transitions
+    newSocket.on('mcp_status', (update) => {
+      console.log('MCP server status:', update);
+      if (update.status === 'failed') {
+        toast.error(`MCP server ${update.name || update.id} failed: ${update.error || 'unknown error'}`);
+      } else if (update.status === 'connected' && update.previousStatus) {
+        toast.success(`MCP server ${update.name || update.id} connected`);
+      }
+    });
+
+    // Side-effecting tool calls pause the agent until the user decides
+    newSocket.on('tool_approval_request', (request) => {
+      setPendingApprovals(prev => [...prev, request]);
+      toast(`Approval needed for ${request.toolName}`, { icon: '✋' });
+    });
+
+    newSocket.on('tool_approval_resolved', (record) => {
+      setPendingApprovals(prev => prev.filter(request => request.id !== record.id));
+    });
+
+    newSocket.on('tool_approval_error', ({ id, error }) => {
+      setPendingApprovals(prev => prev.filter(request => request.id !== id));
+      toast.error(error);
+    });
+
+    newSocket.on('session_error', ({ error }) => {
+      toast.error(error);
+    });
+
+    newSocket.on('firehose_subscribed', ({ subscribed }) => {
+      setFirehose(subscribed);
+    });
+
+    newSocket.on('session_joined', ({ session }) => {
+      setSessionTag(session);
+    });
+
     newSocket.on('connect', () => {
       console.log('Connected to WebSocket server');
       toast.success('Connected to real-time logging');
@@ -55,8 +226,68 @@ function App() {
     return () => {
       newSocket.close();
     };
+  }, [sessionId]);
+
+  useEffect(() => {
+    fetchPrompts().then(setPrompts);
+    fetchPersonas().then(setPersonas);
   }, []);
 
+  // A persona brings its default model along when that model is available
+  const selectPersona = (id) => {
+    setSelectedPersona(id);
+    const persona = personas.find(p => p.id === id);
+    if (persona && persona.model && models.some(model => model.id === persona.model)) {
+      setSelectedModel(persona.model);
+    }
+  };
+
+  // Compare mode runs a message on up to MAX_COMPARE_MODELS models at once
+  const toggleCompareModel = (id) => {
+    setCompareModels(prev => (prev.includes(id)
+      ? prev.filter(modelId => modelId !== id)
+      : prev.length < MAX_COMPARE_MODELS ? [...prev, id] : prev));
+  };
+
+  // Default model - Gemini, or the first configured model without a Google key
+  useEffect(() => {
+    fetchModels().then(({ models, defaults }) => {
+      setModels(models);
+      const preferred = models.find(model => model.id === defaults.google) || models[0];
+      setSelectedModel(preferred ? preferred.id : 'demo');
+    });
+  }, []);
+
+  useEffect(() => {
+    fetchConversations(sessionId).then(setConversations);
+  }, [sessionId]);
+
+  // Remember the open conversation so a page refresh can restore it
+  useEffect(() => {
+    if (conversationId) {
+      sessionStorage.setItem('conversationId', conversationId);
+    } else {
+      sessionStorage.removeItem('conversationId');
+    }
+  }, [conversationId]);
+
+  // Load the stored messages of the conversation opened on page load
+  useEffect(() => {
+    const storedId = sessionStorage.getItem('conversationId');
+    if (!storedId) return;
+
+    fetch(`/api/conversations/${encodeURIComponent(storedId)}/messages`, { headers: apiHeaders(sessionId) })
+      .then(response => response.json())
+      .then(result => {
+        if (result.success) {
+          setMessages(result.messages);
+        } else {
+          setConversationId(null);
+        }
+      })
+      .catch(error => console.error('Failed to restore conversation:', error));
+  }, [sessionId]);
+
   const addLogEntry = (type, data) => {
     // This function is now only used for local logs (like errors)
     const logEntry = {
@@ -68,57 +299,105 @@ function App() {
     setAgentLogs(prev => [...prev, logEntry]);
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    
-    if (!inputValue.trim() || loading) return;
+  const toggleFirehose = () => {
+    if (!socket) return;
+    socket.emit(firehose ? 'unsubscribe_firehose' : 'subscribe_firehose');
+  };
 
-    const userMessage = {
-      id: Date.now().toString(),
-      role: 'user',
-      content: inputValue.trim(),
-      timestamp: new Date().toISOString()
+  const decideApproval = (request, approved) => {
+    if (!socket) return;
+    socket.emit('tool_approval_decision', { id: request.id, approved });
+  };
+
+  // Send a user message with the given history; `displayed` are the
+  // messages added to the conversation view for this turn
+  const sendToAgent = async (userMessage, displayed = [userMessage], prompt = null) => {
+    // The assistant message is added up front and filled in as tokens stream in
+    const assistantId = (Date.now() + 1).toString();
+    const updateAssistant = (changes) => {
+      setMessages(prev => prev.map(message => (message.id === assistantId
+        ? { ...message, ...(typeof changes === 'function' ? changes(message) : changes) }
+        : message)));
     };
 
-    setMessages(prev => [...prev, userMessage]);
-    setInputValue('');
+    setMessages(prev => [...prev, ...displayed, {
+      id: assistantId,
+      role: 'assistant',
+      content: '',
+      timestamp: new Date().toISOString(),
+      model: selectedModel,
+      streaming: true,
+      activeTools: [],
+      stepStart: 0
+    }]);
     setLoading(true);
 
     try {
       // Send message to backend agent
+      // History lives on the server; only the new turn is sent
       const response = await fetch('/api/agent/chat', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
+        headers: apiHeaders(sessionId),
         body: JSON.stringify({
           message: userMessage.content,
-          provider: selectedModel,
-          chatHistory: messages
+          model: selectedModel,
+          persona: selectedPersona || null,
+          conversationId,
+          sessionId,
+          stream: true,
+          ...(prompt && { promptMessages: prompt.messages, promptName: prompt.name })
         })
       });
 
       if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+        // e.g. 402 once the monthly usage budget is spent
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `HTTP error! status: ${response.status}`);
       }
 
-      const result = await response.json();
-      
-      if (result.success) {
-        const assistantMessage = {
-          id: (Date.now() + 1).toString(),
-          role: 'assistant',
-          content: result.response,
-          timestamp: new Date().toISOString(),
-          provider: result.provider,
-          toolsUsed: result.toolsUsed,
-          reasoning: result.reasoning
-        };
-
-        setMessages(prev => [...prev, assistantMessage]);
-      } else {
-        throw new Error(result.error || 'Failed to get response from agent');
-      }
+      await readEventStream(response, (type, data) => {
+        switch (type) {
+          case 'run_started':
+            setConversationId(data.conversationId);
+            break;
+          case 'token':
+            updateAssistant(message => ({ content: message.content + data.text }));
+            break;
+          case 'tool_start':
+            updateAssistant(message => ({ activeTools: [...message.activeTools, data] }));
+            break;
+          case 'tool_end':
+            updateAssistant(message => ({
+              activeTools: message.activeTools.filter(tool => tool.id !== data.id),
+              stepStart: message.content.length
+            }));
+            break;
+          case 'retry':
+            // The failed attempt's tokens are streamed again
+            updateAssistant(message => ({ content: message.content.slice(0, message.stepStart) }));
+            break;
+          case 'fallback':
+            updateAssistant({ content: '', stepStart: 0, provider: data.to, model: data.toModel });
+            toast(`${data.fromModel} failed, answering with ${data.toModel}`);
+            break;
+          case 'final':
+            updateAssistant({
+              content: data.response,
+              timestamp: data.timestamp,
+              provider: data.provider,
+              model: data.model,
+              toolsUsed: data.toolsUsed,
+              reasoning: data.reasoning,
+              streaming: false,
+              activeTools: []
+            });
+            break;
+          case 'error':
+            throw new Error(data.error || 'Failed to get response from agent');
+          default:
+            break;
+        }
+      });
 
     } catch (error) {
       console.error('Failed to send message:', error);
@@ -126,25 +405,230 @@ function App() {
       // Log error
       addLogEntry('error', {
         error: error.message,
-        provider: selectedModel
+        model: selectedModel
       });
       
+      // Keep any partial answer, then show the error below it
       const errorMessage = {
-        id: (Date.now() + 1).toString(),
+        id: (Date.now() + 2).toString(),
         role: 'assistant',
         content: `Error: ${error.message}`,
         timestamp: new Date().toISOString()
       };
 
-      setMessages(prev => [...prev, errorMessage]);
+      setMessages(prev => [
+        ...prev
+          .filter(message => message.id !== assistantId || message.content)
+          .map(message => (message.id === assistantId
+            ? { ...message, streaming: false, activeTools: [] }
+            : message)),
+        errorMessage
+      ]);
+    } finally {
+      setLoading(false);
+      fetchConversations(sessionId).then(setConversations);
+    }
+  };
+
+  // The answers of a comparison are shown side by side; comparisons are
+  // not stored in the conversation
+  const compareAgents = async (userMessage) => {
+    setMessages(prev => [...prev, userMessage]);
+    setLoading(true);
+
+    try {
+      const response = await fetch('/api/agent/compare', {
+        method: 'POST',
+        headers: apiHeaders(sessionId),
+        body: JSON.stringify({
+          message: userMessage.content,
+          models: compareModels,
+          persona: selectedPersona || null,
+          sessionId
+        })
+      });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(result.error || `HTTP error! status: ${response.status}`);
+      }
+
+      setMessages(prev => [...prev, {
+        id: (Date.now() + 1).toString(),
+        role: 'comparison',
+        results: result.results,
+        timestamp: result.timestamp
+      }]);
+    } catch (error) {
+      console.error('Failed to compare models:', error);
+      addLogEntry('error', {
+        error: error.message,
+        model: compareModels.join(', ')
+      });
+      setMessages(prev => [...prev, {
+        id: (Date.now() + 2).toString(),
+        role: 'assistant',
+        content: `Error: ${error.message}`,
+        timestamp: new Date().toISOString()
+      }]);
     } finally {
       setLoading(false);
     }
   };
 
-  const clearChat = () => {
+  const openConversation = async (id) => {
+    if (loading) return;
+
+    if (!id) {
+      setConversationId(null);
+      setMessages([]);
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/conversations/${encodeURIComponent(id)}/messages`, {
+        headers: apiHeaders(sessionId)
+      });
+      const result = await response.json();
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to load conversation');
+      }
+      setConversationId(id);
+      setMessages(result.messages);
+    } catch (error) {
+      console.error('Failed to open conversation:', error);
+      toast.error(error.message);
+    }
+  };
+
+  const slashQuery = inputValue.startsWith('/') && !activePrompt
+    ? inputValue.slice(1).trim().toLowerCase()
+    : null;
+  const matchingPrompts = slashQuery === null
+    ? []
+    : prompts.filter(prompt =>
+        prompt.name.toLowerCase().startsWith(slashQuery) ||
+        prompt.id.toLowerCase().includes(slashQuery)
+      );
+
+  const selectPrompt = (prompt) => {
+    setInputValue('');
+    setPromptArgs({});
+    setActivePrompt(prompt);
+
+    if (prompt.arguments.length === 0) {
+      runPrompt(prompt, {});
+    }
+  };
+
+  const cancelPrompt = () => {
+    setActivePrompt(null);
+    setPromptArgs({});
+  };
+
+  // Render the prompt on the MCP server and expand its messages into the
+  // conversation; the last user message becomes the turn sent to the agent
+  const runPrompt = async (prompt, args) => {
+    if (loading) return;
+
+    try {
+      const response = await fetch(
+        `/api/mcp/prompts/${encodeURIComponent(prompt.serverId)}/${encodeURIComponent(prompt.name)}`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ arguments: args })
+        }
+      );
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || result.error || `HTTP error! status: ${response.status}`);
+      }
+
+      const timestamp = new Date().toISOString();
+      const expanded = result.prompt.messages.map((message, index) => ({
+        id: `${Date.now()}-${index}`,
+        role: message.role,
+        content: message.content,
+        timestamp,
+        promptName: prompt.name
+      }));
+
+      const lastUserIndex = expanded.map(message => message.role).lastIndexOf('user');
+      if (lastUserIndex === -1) {
+        throw new Error('Prompt did not produce a user message');
+      }
+
+      cancelPrompt();
+      const displayed = expanded.slice(0, lastUserIndex + 1);
+      await sendToAgent(displayed[lastUserIndex], displayed, {
+        name: prompt.name,
+        messages: displayed.slice(0, lastUserIndex).map(({ role, content }) => ({ role, content }))
+      });
+    } catch (error) {
+      console.error('Failed to run prompt:', error);
+      if (prompt.arguments.length === 0) {
+        cancelPrompt();
+      }
+      toast.error(`Failed to run /${prompt.name}: ${error.message}`);
+    }
+  };
+
+  const handlePromptSubmit = (e) => {
+    e.preventDefault();
+    runPrompt(activePrompt, promptArgs);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    
+    if (!inputValue.trim() || loading) return;
+
+    // "/name" picks the first matching prompt instead of sending the text
+    if (matchingPrompts.length > 0) {
+      selectPrompt(matchingPrompts[0]);
+      return;
+    }
+
+    const userMessage = {
+      id: Date.now().toString(),
+      role: 'user',
+      content: inputValue.trim(),
+      timestamp: new Date().toISOString()
+    };
+
+    if (compareMode) {
+      if (compareModels.length < 2) {
+        toast.error('Pick at least two models to compare');
+        return;
+      }
+      setInputValue('');
+      await compareAgents(userMessage);
+      return;
+    }
+
+    setInputValue('');
+    await sendToAgent(userMessage);
+  };
+
+  // Clearing deletes the stored conversation and starts a new one
+  const clearChat = async () => {
+    if (conversationId) {
+      try {
+        await fetch(`/api/conversations/${encodeURIComponent(conversationId)}`, {
+          method: 'DELETE',
+          headers: apiHeaders(sessionId)
+        });
+      } catch (error) {
+        console.error('Failed to delete conversation:', error);
+      }
+    }
+    setConversationId(null);
     setMessages([]);
     setAgentLogs([]);
+    fetchConversations(sessionId).then(setConversations);
   };
 
   const clearLogs = () => {
@@ -185,6 +669,18 @@ function App() {
         return <Activity className="h-4 w-4 text-orange-600" />;
       case 'llm_after_tools':
         return <Bot className="h-4 w-4 text-purple-600" />;
+      case 'run_aborted':
+        return <X className="h-4 w-4 text-yellow-600" />;
+      case 'agent_step':
+        return <ChevronRight className="h-4 w-4 text-blue-600" />;
+      case 'tool_batch':
+        return <Columns className="h-4 w-4 text-orange-600" />;
+      case 'budget_exhausted':
+        return <X className="h-4 w-4 text-yellow-600" />;
+      case 'llm_retry':
+        return <Activity className="h-4 w-4 text-yellow-600" />;
+      case 'provider_fallback':
+        return <ChevronRight className="h-4 w-4 text-yellow-600" />;
       case 'error':
         return <X className="h-4 w-4 text-red-600" />;
       default:
@@ -208,6 +704,18 @@ function App() {
         return 'Tool Execution';
       case 'llm_after_tools':
         return 'LLM After Tools';
+      case 'run_aborted':
+        return 'Run Aborted';
+      case 'agent_step':
+        return 'Agent Step';
+      case 'tool_batch':
+        return 'Parallel Tools';
+      case 'budget_exhausted':
+        return 'Budget Exhausted';
+      case 'llm_retry':
+        return 'LLM Retry';
+      case 'provider_fallback':
+        return 'Provider Fallback';
       case 'error':
         return 'Error';
       default:
@@ -230,6 +738,11 @@ function App() {
             <div className="flex items-center justify-between">
               <h4 className={`text-sm font-medium ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
                 {getLogTypeLabel(log.type)}
+                {log.session !== sessionTag && (
+                  <span className={`ml-2 text-xs font-normal ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                    session {log.session || 'none'}
+                  </span>
+                )}
               </h4>
               <span className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
                 {formatTimestamp(log.timestamp)}
@@ -252,7 +765,7 @@ function App() {
               {log.type === 'llm_request' && (
                 <div>
                   <div className="font-medium">Requesting LLM:</div>
-                  <div className="mt-1">Provider: {log.data.provider}</div>
+                  <div className="mt-1">Provider: {log.data.provider}{log.data.model && ` (${log.data.model})`}</div>
                   <div className="mt-1">Chat History: {log.data.chatHistory} messages</div>
                   <div className={`mt-1 p-2 rounded ${
                     isDarkMode ? 'bg-green-900 text-green-100' : 'bg-green-50 text-gray-800'
@@ -354,6 +867,59 @@ function App() {
                 </div>
               )}
               
+              {log.type === 'tool_batch' && (
+                <div>
+                  <div className="font-medium">
+                    {log.data.timings.length} tools in {log.data.elapsedMs}ms ({log.data.sequentialMs}ms one after another)
+                  </div>
+                  <div className="mt-1">Provider: {log.data.provider}</div>
+                  {/* One bar per call on the turn's timeline */}
+                  {log.data.timings.map((timing, index) => (
+                    <div key={index} className="mt-1">
+                      <div>{timing.tool} · +{timing.startMs}ms · {timing.durationMs}ms</div>
+                      <div className={`relative h-1.5 rounded ${isDarkMode ? 'bg-gray-600' : 'bg-gray-200'}`}>
+                        <div
+                          className="absolute h-1.5 rounded bg-orange-500"
+                          style={{
+                            left: `${(timing.startMs / Math.max(log.data.elapsedMs, 1)) * 100}%`,
+                            width: `${Math.max((timing.durationMs / Math.max(log.data.elapsedMs, 1)) * 100, 1)}%`
+                          }}
+                        />
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {(log.type === 'agent_step' || log.type === 'budget_exhausted') && (
+                <div>
+                  {log.type === 'budget_exhausted' ? (
+                    <div className="font-medium">Stopped: {log.data.reason}</div>
+                  ) : (
+                    <div className="font-medium">
+                      Step {log.data.step}/{log.data.limits.maxSteps}
+                      {log.data.requestedTools.length > 0 && `: ${log.data.requestedTools.join(', ')}`}
+                    </div>
+                  )}
+                  <div className="mt-1">Provider: {log.data.provider}</div>
+                  <div className="mt-1">
+                    Tool calls: {log.data.toolCalls}/{log.data.limits.maxToolCalls} · Elapsed: {(log.data.elapsedMs / 1000).toFixed(1)}s/{log.data.limits.timeBudgetMs / 1000}s
+                  </div>
+                </div>
+              )}
+
+              {log.type === 'run_aborted' && (
+                <div>
+                  <div className="font-medium">Tool: {log.data.tool}</div>
+                  <div className="mt-1">Decided by: {log.data.decidedBy}</div>
+                  <div className={`mt-1 p-2 rounded ${
+                    isDarkMode ? 'bg-yellow-900 text-yellow-100' : 'bg-yellow-50 text-gray-800'
+                  }`}>
+                    {log.data.reason}
+                  </div>
+                </div>
+              )}
+
               {log.type === 'error' && (
                 <div>
                   <div className="font-medium">Error:</div>
@@ -371,7 +937,66 @@ function App() {
     );
   };
 
+  // One column per model: answer, tool trace, latency and tokens
+  const renderComparison = (message) => (
+    <div
+      key={message.id}
+      className={`grid gap-3 mb-4 ${['grid-cols-1', 'grid-cols-2', 'grid-cols-3', 'grid-cols-4'][message.results.length - 1]}`}
+    >
+      {message.results.map(result => (
+        <div
+          key={result.runId}
+          className={`p-4 rounded-lg border min-w-0 ${
+            isDarkMode ? 'bg-gray-700 border-gray-600 text-gray-100' : 'bg-white border-gray-200 text-gray-900'
+          }`}
+        >
+          <div className={`flex items-center justify-between text-xs mb-2 ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+            <span className="font-medium truncate">
+              {(models.find(model => model.id === result.model) || {}).name || result.model}
+            </span>
+            <span className="ml-2 flex-shrink-0">
+              {(result.latencyMs / 1000).toFixed(1)}s
+              {result.usage && ` · ${result.usage.totalTokens} tokens`}
+            </span>
+          </div>
+
+          <div className={`whitespace-pre-wrap text-sm ${result.success ? '' : 'text-red-500'}`}>
+            {result.success ? result.response : `Error: ${result.error}`}
+          </div>
+
+          {/* Tool trace */}
+          {result.toolsUsed.length > 0 && (
+            <div className={`mt-3 pt-2 border-t text-xs space-y-1 ${
+              isDarkMode ? 'border-gray-600 text-gray-400' : 'border-gray-200 text-gray-500'
+            }`}>
+              {result.toolsUsed.map((tool, index) => (
+                <div key={index} className="truncate" title={tool.output}>
+                  🔧 {tool.tool}({JSON.stringify(tool.input)})
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="flex justify-end mt-2">
+            <button
+              onClick={() => copyMessage(result.success ? result.response : result.error)}
+              className={`p-1 rounded-md transition-colors ${
+                isDarkMode ? 'hover:bg-gray-600 text-gray-400 hover:text-gray-200' : 'hover:bg-gray-100 text-gray-400 hover:text-gray-600'
+              }`}
+              title="Copy answer"
+            >
+              <Copy className="h-3 w-3" />
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+
   const renderMessage = (message) => {
+    if (message.role === 'comparison') {
+      return renderComparison(message);
+    }
     const isUser = message.role === 'user';
     
     return (
@@ -419,15 +1044,31 @@ function App() {
                 <Copy className="h-3 w-3" />
               </button>
               
-              <div className="whitespace-pre-wrap pr-8">{message.content}</div>
+              <div className="whitespace-pre-wrap pr-8">
+                {message.content || (message.streaming && '…')}
+              </div>
+
+              {/* Tools running while the answer streams */}
+              {message.activeTools && message.activeTools.map(tool => (
+                <div
+                  key={tool.id}
+                  className={`mt-2 flex items-center space-x-2 text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}
+                >
+                  <div className="animate-spin rounded-full h-3 w-3 border-b-2 border-blue-600"></div>
+                  <span>Running {tool.tool}…</span>
+                </div>
+              ))}
               
               {/* Message Metadata */}
               <div className={`text-xs mt-2 ${
                 isUser ? 'text-blue-100' : isDarkMode ? 'text-gray-400' : 'text-gray-500'
               }`}>
                 {formatTimestamp(message.timestamp)}
-                {message.provider && (
-                  <span className="ml-2">via {message.provider}</span>
+                {(message.model || message.provider) && (
+                  <span className="ml-2">via {message.model || message.provider}</span>
+                )}
+                {message.promptName && (
+                  <span className="ml-2">from /{message.promptName}</span>
                 )}
               </div>
             </div>
@@ -469,6 +1110,41 @@ function App() {
                 <span>{isDarkMode ? 'Light' : 'Dark'}</span>
               </button>
 
+              {/* Conversation Selector */}
+              <select
+                value={conversationId || ''}
+                onChange={(e) => openConversation(e.target.value)}
+                className={`px-3 py-2 border rounded-lg text-sm max-w-xs focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                  isDarkMode 
+                    ? 'bg-gray-700 border-gray-600 text-white' 
+                    : 'bg-white border-gray-300 text-gray-900'
+                }`}
+              >
+                <option value="">New conversation</option>
+                {conversations.map(conversation => (
+                  <option key={conversation.id} value={conversation.id}>
+                    {conversation.title}
+                  </option>
+                ))}
+              </select>
+
+              {/* Persona Selector */}
+              <select
+                value={selectedPersona}
+                onChange={(e) => selectPersona(e.target.value)}
+                title={(personas.find(p => p.id === selectedPersona) || {}).description || 'General-purpose agent'}
+                className={`px-3 py-2 border rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                  isDarkMode 
+                    ? 'bg-gray-700 border-gray-600 text-white' 
+                    : 'bg-white border-gray-300 text-gray-900'
+                }`}
+              >
+                <option value="">General assistant</option>
+                {personas.map(persona => (
+                  <option key={persona.id} value={persona.id}>{persona.name}</option>
+                ))}
+              </select>
+
               {/* Model Selector */}
               <select
                 value={selectedModel}
@@ -479,11 +1155,32 @@ function App() {
                     : 'bg-white border-gray-300 text-gray-900'
                 }`}
               >
-                <option value="google">Google Gemini</option>
-                <option value="openai">OpenAI GPT-4</option>
-                <option value="anthropic">Anthropic Claude</option>
+                {models.length === 0 && <option value="demo">Demo Mode</option>}
+                {['google', 'openai', 'anthropic', 'local', 'mock'].map(provider => models.some(model => model.provider === provider) && (
+                  <optgroup key={provider} label={PROVIDER_LABELS[provider]}>
+                    {models.filter(model => model.provider === provider).map(model => (
+                      <option key={model.id} value={model.id}>{model.name}</option>
+                    ))}
+                  </optgroup>
+                ))}
               </select>
               
+              {/* Compare Mode Toggle */}
+              <button
+                onClick={() => setCompareMode(!compareMode)}
+                className={`px-3 py-2 rounded-lg text-sm transition-colors flex items-center space-x-2 ${
+                  compareMode 
+                    ? 'bg-blue-600 text-white hover:bg-blue-700' 
+                    : isDarkMode
+                      ? 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+                      : 'bg-gray-200 hover:bg-gray-300 text-gray-700'
+                }`}
+                title="Send each message to several models and show the answers side by side"
+              >
+                <Columns className="h-4 w-4" />
+                <span>Compare</span>
+              </button>
+
               {/* Agent Log Toggle */}
               <button
                 onClick={() => setShowLogWindow(!showLogWindow)}
@@ -547,12 +1244,160 @@ function App() {
 
             {/* Input Form */}
             <div className={`border-t p-4 ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+              {/* Pending Tool Approvals */}
+              {pendingApprovals.map(request => (
+                <div
+                  key={request.id}
+                  className={`mb-3 rounded-lg border p-4 ${
+                    isDarkMode ? 'bg-yellow-900/30 border-yellow-700' : 'bg-yellow-50 border-yellow-300'
+                  }`}
+                >
+                  <div className={`text-sm font-medium ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+                    Approve call to {request.toolName}?
+                  </div>
+                  <div className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                    {request.serverId}{request.description && ` · ${request.description}`}
+                  </div>
+                  <pre className={`mt-2 p-2 rounded text-xs overflow-x-auto ${
+                    isDarkMode ? 'bg-gray-900 text-gray-200' : 'bg-white text-gray-800'
+                  }`}>
+                    {JSON.stringify(request.input, null, 2)}
+                  </pre>
+                  <div className="mt-3 flex space-x-2">
+                    <button
+                      type="button"
+                      onClick={() => decideApproval(request, true)}
+                      className="px-3 py-1 bg-green-600 hover:bg-green-700 text-white text-sm font-medium rounded-lg transition-colors"
+                    >
+                      Approve
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => decideApproval(request, false)}
+                      className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white text-sm font-medium rounded-lg transition-colors"
+                    >
+                      Reject
+                    </button>
+                  </div>
+                </div>
+              ))}
+
+              {/* Slash Command Menu */}
+              {matchingPrompts.length > 0 && (
+                <div className={`mb-3 rounded-lg border max-h-48 overflow-y-auto ${
+                  isDarkMode ? 'bg-gray-700 border-gray-600' : 'bg-white border-gray-200'
+                }`}>
+                  {matchingPrompts.map(prompt => (
+                    <button
+                      key={prompt.id}
+                      type="button"
+                      onClick={() => selectPrompt(prompt)}
+                      className={`w-full text-left px-4 py-2 text-sm ${
+                        isDarkMode ? 'hover:bg-gray-600 text-gray-100' : 'hover:bg-gray-50 text-gray-900'
+                      }`}
+                    >
+                      <span className="font-medium">/{prompt.name}</span>
+                      <span className={`ml-2 text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                        {prompt.serverId}
+                      </span>
+                      {prompt.description && (
+                        <div className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                          {prompt.description}
+                        </div>
+                      )}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              {/* Prompt Argument Form */}
+              {activePrompt && activePrompt.arguments.length > 0 && (
+                <form
+                  onSubmit={handlePromptSubmit}
+                  className={`mb-3 rounded-lg border p-4 space-y-3 ${
+                    isDarkMode ? 'bg-gray-700 border-gray-600' : 'bg-gray-50 border-gray-200'
+                  }`}
+                >
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <div className={`text-sm font-medium ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+                        /{activePrompt.name}
+                      </div>
+                      {activePrompt.description && (
+                        <div className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                          {activePrompt.description}
+                        </div>
+                      )}
+                    </div>
+                    <button
+                      type="button"
+                      onClick={cancelPrompt}
+                      className={`p-1 rounded-md ${isDarkMode ? 'hover:bg-gray-600' : 'hover:bg-gray-200'}`}
+                      title="Cancel"
+                    >
+                      <X className={`h-4 w-4 ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`} />
+                    </button>
+                  </div>
+                  {activePrompt.arguments.map(arg => (
+                    <label key={arg.name} className="block">
+                      <span className={`text-xs font-medium ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                        {arg.name}{arg.required && ' *'}
+                      </span>
+                      <input
+                        type="text"
+                        value={promptArgs[arg.name] || ''}
+                        onChange={(e) => setPromptArgs(prev => ({ ...prev, [arg.name]: e.target.value }))}
+                        placeholder={arg.description || ''}
+                        required={arg.required}
+                        className={`mt-1 w-full px-3 py-2 border rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                          isDarkMode
+                            ? 'bg-gray-800 border-gray-600 text-white placeholder-gray-500'
+                            : 'bg-white border-gray-300 text-gray-900 placeholder-gray-400'
+                        }`}
+                      />
+                    </label>
+                  ))}
+                  <button
+                    type="submit"
+                    disabled={loading}
+                    className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Run prompt
+                  </button>
+                </form>
+              )}
+
+              {/* Models to compare */}
+              {compareMode && (
+                <div className="mb-3 flex flex-wrap items-center gap-2">
+                  <span className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                    Compare ({compareModels.length}/{MAX_COMPARE_MODELS}):
+                  </span>
+                  {models.map(model => (
+                    <button
+                      key={model.id}
+                      type="button"
+                      onClick={() => toggleCompareModel(model.id)}
+                      className={`px-2 py-1 rounded-full text-xs border transition-colors ${
+                        compareModels.includes(model.id)
+                          ? 'bg-blue-600 border-blue-600 text-white'
+                          : isDarkMode
+                            ? 'border-gray-600 text-gray-300 hover:bg-gray-700'
+                            : 'border-gray-300 text-gray-700 hover:bg-gray-100'
+                      }`}
+                    >
+                      {model.name}
+                    </button>
+                  ))}
+                </div>
+              )}
+
               <form onSubmit={handleSubmit} className="flex space-x-3">
                 <input
                   type="text"
                   value={inputValue}
                   onChange={(e) => setInputValue(e.target.value)}
-                  placeholder="Type your message here..."
+                  placeholder="Type your message here, or / for prompts..."
                   className={`flex-1 px-4 py-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
                     isDarkMode 
                       ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400' 
@@ -604,6 +1449,17 @@ function App() {
                     <span className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
                       {agentLogs.length} entries
                     </span>
+                    <button
+                      onClick={toggleFirehose}
+                      className={`px-2 py-1 rounded-md text-xs transition-colors ${
+                        firehose
+                          ? 'bg-red-600 text-white hover:bg-red-700'
+                          : isDarkMode ? 'text-gray-400 hover:bg-gray-700' : 'text-gray-500 hover:bg-gray-100'
+                      }`}
+                      title="Admins only: show logs from every session"
+                    >
+                      {firehose ? 'All sessions' : 'This session'}
+                    </button>
                     <button
                       onClick={clearLogs}
                       className={`p-1 rounded-md transition-colors ${
@@ -1,14 +1,24 @@
 // Simple in-memory database for demo purposes
 // In production, use a real database like PostgreSQL or MongoDB
 
+const { v4: uuidv4 } = require('uuid');
+const { loadMCPConfig } = require('./mcpConfig');
+
 class InMemoryDB {
   constructor() {
     this.users = new Map();
     this.mcpServers = new Map();
     this.sessions = new Map();
+    this.toolPolicies = new Map();
+    this.toolApprovals = [];
+    this.conversations = new Map();
+    this.usageRecords = [];
+    this.usageBudgets = new Map();
+    this.mcpDefaults = {};
     
     // Initialize with demo data
     this.initializeDemoData();
+    this.loadMCPServers();
   }
 
   initializeDemoData() {
@@ -19,44 +29,16 @@ class InMemoryDB {
       password: '$2a$10$demo.hash.for.demo.purposes',
       name: 'Demo User'
     });
+  }
 
-    // Demo MCP server config
-    this.mcpServers.set('salesforce', {
-      id: 'salesforce',
-      name: 'Salesforce',
-      protocol: 'stdio',
-      command: 'npx',
-      args: ['@modelcontextprotocol/server-salesforce'],
-      enabled: false, // Disabled by default since the package doesn't exist yet
-      config: {
-        auth: {
-          type: 'token',
-          token: process.env.MCP_SALESFORCE_TOKEN || 'demo_token'
-        },
-        capabilities: ['tools', 'resources', 'prompts'],
-        env: {
-          SALESFORCE_ACCESS_TOKEN: process.env.MCP_SALESFORCE_TOKEN || 'demo_token',
-          SALESFORCE_INSTANCE_URL: process.env.SALESFORCE_INSTANCE_URL || 'https://demo.salesforce.com'
-        }
-      }
-    });
-
-    // Free Weather MCP server config (using wttr.in - no API key required)
-    this.mcpServers.set('weather', {
-      id: 'weather',
-      name: 'Weather Service',
-      protocol: 'stdio',
-      command: 'python3',
-      args: ['-m', 'mcp_weather_server'],
-      enabled: false, // Disabled since we have built-in weather tool
-      config: {
-        auth: {
-          type: 'none'
-        },
-        capabilities: ['tools'],
-        env: {}
-      }
-    });
+  // MCP servers come from mcp-servers/config.json; an invalid registry
+  // fails startup instead of silently running without servers
+  loadMCPServers() {
+    const { servers, defaults } = loadMCPConfig();
+    this.mcpDefaults = defaults;
+    for (const server of servers) {
+      this.mcpServers.set(server.id, server);
+    }
   }
 
   // User methods
@@ -80,6 +62,19 @@ class InMemoryDB {
     return this.mcpServers.get(id);
   }
 
+  saveMCPServer(server) {
+    this.mcpServers.set(server.id, server);
+    return server;
+  }
+
+  deleteMCPServer(id) {
+    return this.mcpServers.delete(id);
+  }
+
+  getMCPDefaults() {
+    return this.mcpDefaults;
+  }
+
   updateMCPServer(id, config) {
     const server = this.mcpServers.get(id);
     if (server) {
@@ -90,6 +85,124 @@ class InMemoryDB {
     return null;
   }
 
+  // Tool policy overrides (toolId -> auto | require-approval | deny)
+  getToolPolicy(toolId) {
+    return this.toolPolicies.get(toolId);
+  }
+
+  setToolPolicy(toolId, policy) {
+    this.toolPolicies.set(toolId, policy);
+  }
+
+  deleteToolPolicy(toolId) {
+    return this.toolPolicies.delete(toolId);
+  }
+
+  // Tool approval audit trail
+  recordToolApproval(record) {
+    this.toolApprovals.push(record);
+    return record;
+  }
+
+  getToolApprovals() {
+    return [...this.toolApprovals];
+  }
+
+  // Conversation methods
+  createConversation({ title, userId = null, sessionId = null }) {
+    const now = new Date().toISOString();
+    const conversation = {
+      id: uuidv4(),
+      title,
+      userId,
+      sessionId,
+      createdAt: now,
+      updatedAt: now,
+      messages: [],
+      memory: {
+        summary: '',
+        summarizedThrough: null,
+        summaryUpdatedAt: null,
+        summaryEdited: false,
+        pinned: []
+      }
+    };
+    this.conversations.set(conversation.id, conversation);
+    return conversation;
+  }
+
+  getConversation(id) {
+    return this.conversations.get(id);
+  }
+
+  getConversations() {
+    return Array.from(this.conversations.values());
+  }
+
+  addConversationMessage(id, message) {
+    const conversation = this.conversations.get(id);
+    if (!conversation) return null;
+
+    const stored = { id: uuidv4(), timestamp: new Date().toISOString(), ...message };
+    conversation.messages.push(stored);
+    conversation.updatedAt = stored.timestamp;
+    return stored;
+  }
+
+  updateConversationMemory(id, updates) {
+    const conversation = this.conversations.get(id);
+    if (!conversation) return null;
+
+    conversation.memory = { ...conversation.memory, ...updates };
+    return conversation.memory;
+  }
+
+  addConversationPin(id, text) {
+    const conversation = this.conversations.get(id);
+    if (!conversation) return null;
+
+    const pin = { id: uuidv4(), text, createdAt: new Date().toISOString() };
+    conversation.memory.pinned.push(pin);
+    return pin;
+  }
+
+  deleteConversationPin(id, pinId) {
+    const conversation = this.conversations.get(id);
+    if (!conversation) return false;
+
+    const before = conversation.memory.pinned.length;
+    conversation.memory.pinned = conversation.memory.pinned.filter(pin => pin.id !== pinId);
+    return conversation.memory.pinned.length < before;
+  }
+
+  deleteConversation(id) {
+    return this.conversations.delete(id);
+  }
+
+  // Usage methods
+  recordUsage(record) {
+    const stored = { id: uuidv4(), timestamp: new Date().toISOString(), ...record };
+    this.usageRecords.push(stored);
+    return stored;
+  }
+
+  getUsageRecords() {
+    return [...this.usageRecords];
+  }
+
+  getUsageBudget(userId) {
+    return this.usageBudgets.get(userId);
+  }
+
+  setUsageBudget(userId, monthlyBudget) {
+    this.usageBudgets.set(userId, monthlyBudget);
+    return monthlyBudget;
+  }
+
+  deleteUsageBudget(userId) {
+    return this.usageBudgets.delete(userId);
+  }
+
   // Session methods
   createSession(userId) {
     const sessionId = Date.now().toString() + Math.random().toString(36);
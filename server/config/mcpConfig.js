@@ -0,0 +1,224 @@
+// MCP server registry loader
+// Reads mcp-servers/config.json, resolves ${ENV} placeholders, applies the
+// shared defaults and validates every server entry.
+
+const fs = require('fs');
+const path = require('path');
+
+const PROJECT_ROOT = path.join(__dirname, '../..');
+const DEFAULT_CONFIG_PATH = path.join(PROJECT_ROOT, 'mcp-servers/config.json');
+const PROTOCOLS = ['stdio', 'ws', 'http', 'sse'];
+const AUTH_TYPES = ['none', 'token', 'basic'];
+const TOOL_POLICIES = ['auto', 'require-approval', 'deny'];
+// Keys that the "defaults" block can set for every server; counts must be
+// positive integers, the rest non-negative numbers
+const COUNT_KEYS = ['maxConcurrentCalls'];
+const DEFAULT_KEYS = ['timeout', 'retryAttempts', 'retryDelay', 'healthCheckInterval', ...COUNT_KEYS];
+const PLACEHOLDER = /\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+class MCPConfigError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length > 0 ? `${message}:\n  - ${problems.join('\n  - ')}` : message);
+    this.name = 'MCPConfigError';
+    this.problems = problems;
+  }
+}
+
+// Replace ${VAR} in every string of a JSON value; names of unset
+// variables are collected in `missing`.
+function interpolate(value, env, missing) {
+  if (typeof value === 'string') {
+    return value.replace(PLACEHOLDER, (match, name) => {
+      if (env[name] === undefined || env[name] === '') {
+        missing.add(name);
+        return match;
+      }
+      return env[name];
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => interpolate(item, env, missing));
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = interpolate(item, env, missing);
+    }
+    return result;
+  }
+  return value;
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isStringMap = (value) => isPlainObject(value) && Object.values(value).every(v => typeof v === 'string');
+
+// Returns a list of human-readable problems; empty when the entry is valid
+function validateServerConfig(server) {
+  const problems = [];
+  const label = server && server.id ? `server "${server.id}"` : 'server';
+
+  if (!isPlainObject(server)) {
+    return ['server entry must be an object'];
+  }
+  if (typeof server.id !== 'string' || !/^[A-Za-z0-9_-]+$/.test(server.id)) {
+    problems.push(`${label}: "id" must be a string of letters, digits, "-" or "_"`);
+  }
+  if (typeof server.name !== 'string' || server.name.trim() === '') {
+    problems.push(`${label}: "name" is required`);
+  }
+  if (!PROTOCOLS.includes(server.protocol)) {
+    problems.push(`${label}: "protocol" must be one of ${PROTOCOLS.join(', ')}`);
+  }
+  if (server.enabled !== undefined && typeof server.enabled !== 'boolean') {
+    problems.push(`${label}: "enabled" must be a boolean`);
+  }
+
+  if (server.protocol === 'stdio') {
+    if (typeof server.command !== 'string' || server.command.trim() === '') {
+      problems.push(`${label}: "command" is required for stdio servers`);
+    }
+    if (server.args !== undefined && (!Array.isArray(server.args) || !server.args.every(a => typeof a === 'string'))) {
+      problems.push(`${label}: "args" must be an array of strings`);
+    }
+  } else if (server.protocol === 'ws') {
+    if (typeof server.host !== 'string' || server.host.trim() === '') {
+      problems.push(`${label}: "host" is required for ws servers`);
+    }
+    if (!Number.isInteger(server.port) || server.port < 1 || server.port > 65535) {
+      problems.push(`${label}: "port" must be an integer between 1 and 65535`);
+    }
+  } else if (server.protocol === 'http' || server.protocol === 'sse') {
+    let url = null;
+    try {
+      url = new URL(server.url);
+    } catch (error) {
+      // reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      problems.push(`${label}: "url" must be an http(s) URL for ${server.protocol} servers`);
+    }
+    if (server.headers !== undefined && !isStringMap(server.headers)) {
+      problems.push(`${label}: "headers" must map header names to strings`);
+    }
+  }
+
+  for (const key of DEFAULT_KEYS) {
+    if (server[key] === undefined) {
+      continue;
+    }
+    if (COUNT_KEYS.includes(key)) {
+      if (!Number.isInteger(server[key]) || server[key] < 1) {
+        problems.push(`${label}: "${key}" must be a positive integer`);
+      }
+    } else if (typeof server[key] !== 'number' || server[key] < 0) {
+      problems.push(`${label}: "${key}" must be a non-negative number`);
+    }
+  }
+
+  if (server.toolPolicies !== undefined) {
+    if (!isPlainObject(server.toolPolicies) || !Object.values(server.toolPolicies).every(p => TOOL_POLICIES.includes(p))) {
+      problems.push(`${label}: "toolPolicies" must map tool names to one of ${TOOL_POLICIES.join(', ')}`);
+    }
+  }
+
+  const { config } = server;
+  if (config !== undefined) {
+    if (!isPlainObject(config)) {
+      problems.push(`${label}: "config" must be an object`);
+    } else {
+      if (config.auth !== undefined && (!isPlainObject(config.auth) || !AUTH_TYPES.includes(config.auth.type))) {
+        problems.push(`${label}: "config.auth.type" must be one of ${AUTH_TYPES.join(', ')}`);
+      }
+      if (config.capabilities !== undefined && (!Array.isArray(config.capabilities) || !config.capabilities.every(c => typeof c === 'string'))) {
+        problems.push(`${label}: "config.capabilities" must be an array of strings`);
+      }
+      if (config.env !== undefined && !isStringMap(config.env)) {
+        problems.push(`${label}: "config.env" must map variable names to strings`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+// Apply shared defaults and make sure the nested config block exists
+function normalizeServerConfig(server, defaults = {}) {
+  const normalized = { enabled: false, ...server };
+  if (normalized.protocol === 'stdio' && normalized.args === undefined) {
+    normalized.args = [];
+  }
+  for (const key of DEFAULT_KEYS) {
+    if (normalized[key] === undefined && defaults[key] !== undefined) {
+      normalized[key] = defaults[key];
+    }
+  }
+  normalized.config = { auth: { type: 'none' }, capabilities: [], env: {}, ...(server.config || {}) };
+  return normalized;
+}
+
+// Interpolate, normalize and validate one server entry. Enabled servers
+// must have every ${VAR} resolved; disabled ones record what is missing.
+function resolveServerConfig(entry, defaults = {}, env = process.env) {
+  const missing = new Set();
+  const server = normalizeServerConfig(interpolate(entry, env, missing), defaults);
+  const problems = validateServerConfig(server);
+  const label = server.id ? `server "${server.id}"` : 'server';
+
+  delete server.missingEnv;
+  if (missing.size > 0) {
+    const names = Array.from(missing).join(', ');
+    if (server.enabled) {
+      problems.push(`${label}: missing environment variable(s) ${names}`);
+    } else {
+      // Disabled servers may stay unconfigured until someone enables them
+      console.warn(`⚠️ MCP server ${server.id} is disabled and has unresolved variables: ${names}`);
+      server.missingEnv = Array.from(missing);
+    }
+  }
+
+  return { server, problems };
+}
+
+function loadMCPConfig(configFile = process.env.MCP_CONFIG_PATH || DEFAULT_CONFIG_PATH, env = process.env) {
+  // Relative paths are taken from the project root, like the .env file
+  const configPath = path.resolve(PROJECT_ROOT, configFile);
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new MCPConfigError(`Unable to read MCP server config ${configPath}: ${error.message}`);
+  }
+
+  if (!isPlainObject(raw) || !isPlainObject(raw.servers)) {
+    throw new MCPConfigError(`MCP server config ${configPath} must contain a "servers" object`);
+  }
+
+  const defaults = isPlainObject(raw.defaults) ? raw.defaults : {};
+  const servers = [];
+  const problems = [];
+
+  for (const [key, entry] of Object.entries(raw.servers)) {
+    const result = resolveServerConfig({ id: key, ...entry }, defaults, env);
+
+    if (result.server.id !== key) {
+      problems.push(`server "${key}": "id" must match its key in "servers"`);
+    }
+    problems.push(...result.problems);
+    servers.push(result.server);
+  }
+
+  if (problems.length > 0) {
+    throw new MCPConfigError(`Invalid MCP server config ${configPath}`, problems);
+  }
+
+  console.log(`📋 Loaded ${servers.length} MCP server(s) from ${configPath}`);
+  return { servers, defaults };
+}
+
+module.exports = {
+  loadMCPConfig,
+  resolveServerConfig,
+  validateServerConfig,
+  normalizeServerConfig,
+  MCPConfigError
+};
@@ -0,0 +1,164 @@
+// Loading the MCP server registry: ${VAR} interpolation, defaults and
+// validation of each entry
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadMCPConfig, resolveServerConfig, validateServerConfig, MCPConfigError } = require('./mcpConfig');
+
+const stdioServer = (fields = {}) => ({
+  id: 'files',
+  name: 'Files',
+  protocol: 'stdio',
+  command: 'npx',
+  args: ['-y', '@modelcontextprotocol/server-filesystem'],
+  enabled: true,
+  ...fields
+});
+
+let dir;
+
+// Write a config file and load it with the given environment
+const load = (config, env = {}) => {
+  const file = path.join(dir, 'config.json');
+  fs.writeFileSync(file, typeof config === 'string' ? config : JSON.stringify(config));
+  return loadMCPConfig(file, env);
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-config-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+  jest.restoreAllMocks();
+});
+
+describe('interpolation', () => {
+  test('replaces ${VAR} in nested strings and arrays', () => {
+    const { server, problems } = resolveServerConfig(stdioServer({
+      args: ['--root', '${FILES_ROOT}'],
+      config: { env: { TOKEN: 'Bearer ${FILES_TOKEN}' } }
+    }), {}, { FILES_ROOT: '/srv/files', FILES_TOKEN: 'abc' });
+
+    expect(problems).toEqual([]);
+    expect(server.args).toEqual(['--root', '/srv/files']);
+    expect(server.config.env).toEqual({ TOKEN: 'Bearer abc' });
+  });
+
+  test('reports unset or empty variables of an enabled server', () => {
+    const { problems } = resolveServerConfig(stdioServer({
+      args: ['${FILES_ROOT}', '${FILES_TOKEN}']
+    }), {}, { FILES_TOKEN: '' });
+
+    expect(problems).toEqual(['server "files": missing environment variable(s) FILES_ROOT, FILES_TOKEN']);
+  });
+
+  test('records the missing variables of a disabled server instead', () => {
+    const { server, problems } = resolveServerConfig(stdioServer({
+      enabled: false,
+      args: ['${FILES_ROOT}']
+    }), {}, {});
+
+    expect(problems).toEqual([]);
+    expect(server.missingEnv).toEqual(['FILES_ROOT']);
+    expect(server.args).toEqual(['${FILES_ROOT}']);
+  });
+});
+
+describe('validation', () => {
+  test('accepts a complete entry of each protocol', () => {
+    expect(validateServerConfig(stdioServer())).toEqual([]);
+    expect(validateServerConfig({ id: 'gh', name: 'GitHub', protocol: 'ws', host: 'localhost', port: 3002 })).toEqual([]);
+    expect(validateServerConfig({ id: 'api', name: 'API', protocol: 'http', url: 'https://example.com/mcp', headers: { 'X-Key': 'k' } })).toEqual([]);
+  });
+
+  test('names what is wrong with an entry', () => {
+    expect(validateServerConfig({ id: 'bad id', name: '', protocol: 'ftp', enabled: 'yes' })).toEqual([
+      'server "bad id": "id" must be a string of letters, digits, "-" or "_"',
+      'server "bad id": "name" is required',
+      'server "bad id": "protocol" must be one of stdio, ws, http, sse',
+      'server "bad id": "enabled" must be a boolean'
+    ]);
+  });
+
+  test('checks the fields each protocol needs', () => {
+    expect(validateServerConfig(stdioServer({ command: '', args: 'x' }))).toEqual([
+      'server "files": "command" is required for stdio servers',
+      'server "files": "args" must be an array of strings'
+    ]);
+    expect(validateServerConfig({ id: 'gh', name: 'GitHub', protocol: 'ws', host: 'localhost', port: 70000 })).toEqual([
+      'server "gh": "port" must be an integer between 1 and 65535'
+    ]);
+    expect(validateServerConfig({ id: 'api', name: 'API', protocol: 'sse', url: 'ftp://example.com' })).toEqual([
+      'server "api": "url" must be an http(s) URL for sse servers'
+    ]);
+  });
+
+  test('checks limits, tool policies and the config block', () => {
+    expect(validateServerConfig(stdioServer({
+      timeout: -1,
+      maxConcurrentCalls: 1.5,
+      toolPolicies: { write_file: 'ask' },
+      config: { auth: { type: 'oauth' }, env: { PORT: 8080 } }
+    }))).toEqual([
+      'server "files": "timeout" must be a non-negative number',
+      'server "files": "maxConcurrentCalls" must be a positive integer',
+      'server "files": "toolPolicies" must map tool names to one of auto, require-approval, deny',
+      'server "files": "config.auth.type" must be one of none, token, basic',
+      'server "files": "config.env" must map variable names to strings'
+    ]);
+  });
+});
+
+describe('loading', () => {
+  test('applies the shared defaults and takes ids from the keys', () => {
+    const { servers } = load({
+      servers: {
+        files: { name: 'Files', protocol: 'stdio', command: 'npx', enabled: true, timeout: 5000 }
+      },
+      defaults: { timeout: 30000, retryAttempts: 3, maxConcurrentCalls: 4 }
+    });
+
+    expect(servers).toEqual([{
+      id: 'files',
+      name: 'Files',
+      protocol: 'stdio',
+      command: 'npx',
+      args: [],
+      enabled: true,
+      timeout: 5000,
+      retryAttempts: 3,
+      maxConcurrentCalls: 4,
+      config: { auth: { type: 'none' }, capabilities: [], env: {} }
+    }]);
+  });
+
+  test('collects the problems of every server in one error', () => {
+    let error = null;
+    try {
+      load({
+        servers: {
+          files: stdioServer({ id: 'other' }),
+          gh: { name: 'GitHub', protocol: 'ws', enabled: true, config: { auth: { type: 'token', token: '${GITHUB_TOKEN}' } } }
+        }
+      });
+    } catch (thrown) {
+      error = thrown;
+    }
+
+    expect(error).toBeInstanceOf(MCPConfigError);
+    expect(error.problems).toEqual([
+      'server "files": "id" must match its key in "servers"',
+      'server "gh": "host" is required for ws servers',
+      'server "gh": "port" must be an integer between 1 and 65535',
+      'server "gh": missing environment variable(s) GITHUB_TOKEN'
+    ]);
+  });
+
+  test('rejects a file that is not JSON or has no servers', () => {
+    expect(() => load('{ "servers": ')).toThrow(MCPConfigError);
+    expect(() => load({ defaults: {} })).toThrow(/must contain a "servers" object/);
+  });
+});
@@ -0,0 +1,193 @@
+// Mock LLM fixture loader
+// Reads the scripted responses of the "mock" provider from MOCK_LLM_FIXTURES,
+// a JSON file or a directory of them (read in name order). Each file holds
+// { "responses": [...] }; the first entry whose `match` fits the
+// conversation answers it:
+//   match:     model, user, system, tool, turn (all optional)
+//   response:  { content, toolCalls: [{ name, args, id? }] }
+//   error:     { message, status, code } instead of a response
+//   usage:     { inputTokens, outputTokens }, estimated when left out
+//   delayMs:   wait before answering
+//   times:     how often the entry may answer; unlimited when left out
+
+const fs = require('fs');
+const path = require('path');
+
+const PROJECT_ROOT = path.join(__dirname, '../..');
+const MATCH_KEYS = ['model', 'user', 'system', 'tool', 'turn'];
+const ENTRY_KEYS = ['match', 'response', 'error', 'usage', 'delayMs', 'times', 'recordedFrom'];
+
+class MockFixtureError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length > 0 ? `${message}:\n  - ${problems.join('\n  - ')}` : message);
+    this.name = 'MockFixtureError';
+    this.problems = problems;
+  }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+// Text patterns are substrings, or regular expressions written "/.../flags"
+function isValidPattern(value) {
+  if (typeof value !== 'string') return false;
+  const regex = /^\/(.*)\/([a-z]*)$/s.exec(value);
+  if (!regex) return true;
+  try {
+    new RegExp(regex[1], regex[2]);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Returns a list of human-readable problems; empty when the entry is valid
+function validateMockEntry(entry, label) {
+  if (!isPlainObject(entry)) {
+    return [`${label}: entry must be an object`];
+  }
+
+  const problems = [];
+  for (const key of Object.keys(entry)) {
+    if (!ENTRY_KEYS.includes(key)) {
+      problems.push(`${label}: unknown key "${key}"`);
+    }
+  }
+
+  const match = entry.match === undefined ? {} : entry.match;
+  if (!isPlainObject(match)) {
+    problems.push(`${label}: "match" must be an object`);
+  } else {
+    for (const key of Object.keys(match)) {
+      if (!MATCH_KEYS.includes(key)) {
+        problems.push(`${label}: unknown match key "${key}" (expected ${MATCH_KEYS.join(', ')})`);
+      }
+    }
+    for (const key of ['user', 'system']) {
+      if (match[key] !== undefined && !isValidPattern(match[key])) {
+        problems.push(`${label}: match "${key}" must be a substring or a valid "/regex/"`);
+      }
+    }
+    for (const key of ['model', 'tool']) {
+      if (match[key] !== undefined && typeof match[key] !== 'string') {
+        problems.push(`${label}: match "${key}" must be a string`);
+      }
+    }
+    if (match.turn !== undefined && !isCount(match.turn)) {
+      problems.push(`${label}: match "turn" must be a non-negative integer`);
+    }
+  }
+
+  if ((entry.response === undefined) === (entry.error === undefined)) {
+    problems.push(`${label}: needs exactly one of "response" and "error"`);
+  }
+  if (entry.response !== undefined) {
+    const { response } = entry;
+    if (!isPlainObject(response)) {
+      problems.push(`${label}: "response" must be an object`);
+    } else {
+      if (response.content !== undefined && typeof response.content !== 'string') {
+        problems.push(`${label}: response "content" must be a string`);
+      }
+      const toolCalls = response.toolCalls === undefined ? [] : response.toolCalls;
+      if (!Array.isArray(toolCalls) || !toolCalls.every(call => isPlainObject(call) &&
+        typeof call.name === 'string' &&
+        (call.args === undefined || isPlainObject(call.args)) &&
+        (call.id === undefined || typeof call.id === 'string'))) {
+        problems.push(`${label}: response "toolCalls" must be a list of { name, args, id? } entries`);
+      }
+    }
+  }
+  if (entry.error !== undefined) {
+    const { error } = entry;
+    if (!isPlainObject(error) || typeof error.message !== 'string') {
+      problems.push(`${label}: "error" must be an object with a "message"`);
+    } else if (error.status !== undefined && !(Number.isInteger(error.status) && error.status >= 400 && error.status <= 599)) {
+      problems.push(`${label}: error "status" must be an HTTP error status`);
+    }
+  }
+
+  if (entry.usage !== undefined && !(isPlainObject(entry.usage) &&
+    isCount(entry.usage.inputTokens) && isCount(entry.usage.outputTokens))) {
+    problems.push(`${label}: "usage" must be { inputTokens, outputTokens } with non-negative integers`);
+  }
+  if (entry.delayMs !== undefined && !isCount(entry.delayMs)) {
+    problems.push(`${label}: "delayMs" must be a non-negative integer`);
+  }
+  if (entry.times !== undefined && !(Number.isInteger(entry.times) && entry.times > 0)) {
+    problems.push(`${label}: "times" must be a positive integer`);
+  }
+  return problems;
+}
+
+const readFixtureFile = (file) => {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new MockFixtureError(`Cannot read mock fixture ${file}: ${error.message}`);
+  }
+};
+
+// All entries of a fixture file or directory, in order. Each keeps the
+// file and position it came from for error messages.
+function loadMockFixtures(source = process.env.MOCK_LLM_FIXTURES) {
+  if (!source) {
+    throw new MockFixtureError('MOCK_LLM_FIXTURES is not set');
+  }
+
+  // Relative paths are taken from the project root, like the .env file
+  const fixturePath = path.resolve(PROJECT_ROOT, source);
+  let files;
+  try {
+    files = fs.statSync(fixturePath).isDirectory()
+      ? fs.readdirSync(fixturePath).filter(name => name.endsWith('.json')).sort().map(name => path.join(fixturePath, name))
+      : [fixturePath];
+  } catch (error) {
+    throw new MockFixtureError(`Cannot read mock fixtures ${fixturePath}: ${error.message}`);
+  }
+
+  const problems = [];
+  const entries = [];
+  for (const file of files) {
+    const raw = readFixtureFile(file);
+    const name = path.basename(file);
+    if (!isPlainObject(raw) || !Array.isArray(raw.responses)) {
+      problems.push(`${name}: must contain a "responses" list`);
+      continue;
+    }
+    raw.responses.forEach((entry, index) => {
+      const label = `${name} #${index + 1}`;
+      const entryProblems = validateMockEntry(entry, label);
+      problems.push(...entryProblems);
+      if (entryProblems.length === 0) {
+        entries.push({ ...entry, match: entry.match || {}, label });
+      }
+    });
+  }
+
+  if (problems.length > 0) {
+    throw new MockFixtureError(`Invalid mock fixtures ${fixturePath}`, problems);
+  }
+
+  console.log(`🎭 Loaded ${entries.length} mock response(s) from ${fixturePath}`);
+  return entries;
+}
+
+// Add one recorded exchange to a fixture file, creating it if needed
+function appendMockFixture(file, entry) {
+  const fixturePath = path.resolve(PROJECT_ROOT, file);
+  const fixture = fs.existsSync(fixturePath) ? readFixtureFile(fixturePath) : { responses: [] };
+  if (!isPlainObject(fixture) || !Array.isArray(fixture.responses)) {
+    throw new MockFixtureError(`Cannot record to ${fixturePath}: it has no "responses" list`);
+  }
+  fixture.responses.push(entry);
+  fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+  fs.writeFileSync(fixturePath, `${JSON.stringify(fixture, null, 2)}\n`);
+}
+
+module.exports = {
+  loadMockFixtures,
+  appendMockFixture,
+  validateMockEntry,
+  MockFixtureError
+};
@@ -0,0 +1,286 @@
+// LLM model registry loader
+// Reads server/config/models.json (or LLM_MODELS_PATH), which lists the
+// models each provider offers with their limits, capabilities, prices and
+// default generation parameters. Self-hosted models served over the
+// OpenAI chat-completions protocol use the "local" provider; one of them
+// can also be declared with LOCAL_LLM_MODEL alone. "mock" models replay
+// scripted responses (see mockFixtures.js).
+
+const fs = require('fs');
+const path = require('path');
+
+const PROJECT_ROOT = path.join(__dirname, '../..');
+const DEFAULT_REGISTRY_PATH = path.join(__dirname, 'models.json');
+const PROVIDERS = ['openai', 'anthropic', 'google', 'local', 'mock'];
+
+// native: the provider's tool-calling API; prompt: tools described in the
+// system prompt and calls parsed from the reply; auto: native until the
+// backend rejects it
+const TOOL_CALLING = ['native', 'prompt', 'auto'];
+
+// Generation parameters a request may set; `timeout` (ms) bounds each LLM
+// call and `topP: null` leaves it to the provider
+const PARAMETER_DEFAULTS = {
+  temperature: 0.7,
+  maxTokens: 4096,
+  topP: null,
+  stop: [],
+  timeout: 60000
+};
+const MAX_TIMEOUT_MS = 600000;
+
+// What each provider's API accepts; `maxStop: null` means no fixed limit
+const PROVIDER_LIMITS = {
+  openai: { maxTemperature: 2, maxStop: 4 },
+  anthropic: { maxTemperature: 1, maxStop: null },
+  google: { maxTemperature: 2, maxStop: 5 },
+  local: { maxTemperature: 2, maxStop: null },
+  mock: { maxTemperature: 2, maxStop: null }
+};
+
+class ModelRegistryError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length > 0 ? `${message}:\n  - ${problems.join('\n  - ')}` : message);
+    this.name = 'ModelRegistryError';
+    this.problems = problems;
+  }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+// Limits a model's generation parameters must stay within
+function getParameterLimits(entry) {
+  const { maxTemperature, maxStop } = PROVIDER_LIMITS[entry.provider];
+  return {
+    temperature: { min: 0, max: maxTemperature },
+    maxTokens: { min: 1, max: entry.maxOutputTokens },
+    topP: { min: 0, max: 1 },
+    stop: { maxItems: maxStop },
+    timeout: { min: 1, max: MAX_TIMEOUT_MS }
+  };
+}
+
+// Returns a list of problems with (some of) a model's generation parameters
+function validateParameters(parameters, entry) {
+  if (!isPlainObject(parameters)) {
+    return ['parameters must be an object'];
+  }
+
+  const limits = getParameterLimits(entry);
+  const inRange = (value, { min, max }) => value >= min && (max === null || value <= max);
+  const describeRange = ({ min, max }) => (max === null ? `at least ${min}` : `between ${min} and ${max}`);
+  const problems = [];
+
+  for (const [key, value] of Object.entries(parameters)) {
+    switch (key) {
+      case 'temperature':
+        if (typeof value !== 'number' || !inRange(value, limits.temperature)) {
+          problems.push(`temperature must be a number ${describeRange(limits.temperature)} for ${entry.id}`);
+        }
+        break;
+      case 'maxTokens':
+        if (!Number.isInteger(value) || !inRange(value, limits.maxTokens)) {
+          problems.push(`maxTokens must be an integer ${describeRange(limits.maxTokens)} for ${entry.id}`);
+        }
+        break;
+      case 'topP':
+        if (value !== null && (typeof value !== 'number' || !inRange(value, limits.topP))) {
+          problems.push(`topP must be null or a number ${describeRange(limits.topP)}`);
+        }
+        break;
+      case 'stop':
+        if (!Array.isArray(value) || !value.every(item => typeof item === 'string' && item !== '')) {
+          problems.push('stop must be a list of non-empty strings');
+        } else if (limits.stop.maxItems !== null && value.length > limits.stop.maxItems) {
+          problems.push(`stop may have at most ${limits.stop.maxItems} sequences for ${entry.id}`);
+        }
+        break;
+      case 'timeout':
+        if (!Number.isInteger(value) || !inRange(value, limits.timeout)) {
+          problems.push(`timeout must be an integer ${describeRange(limits.timeout)} (ms)`);
+        }
+        break;
+      default:
+        problems.push(`unknown parameter "${key}" (use ${Object.keys(PARAMETER_DEFAULTS).join(', ')})`);
+    }
+  }
+
+  return problems;
+}
+
+// Returns a list of human-readable problems; empty when the entry is valid
+function validateModelEntry(entry) {
+  const label = `model "${entry.id}"`;
+  const problems = [];
+
+  if (!/^[A-Za-z0-9._:-]+$/.test(entry.id)) {
+    problems.push(`${label}: ids may only use letters, digits, ".", ":", "-" or "_"`);
+  }
+  if (!PROVIDERS.includes(entry.provider)) {
+    problems.push(`${label}: "provider" must be one of ${PROVIDERS.join(', ')}`);
+  }
+  if (typeof entry.model !== 'string' || entry.model.trim() === '') {
+    problems.push(`${label}: "model" must be the provider's model name`);
+  }
+  if (typeof entry.name !== 'string' || entry.name.trim() === '') {
+    problems.push(`${label}: "name" is required`);
+  }
+  if (!isPositiveInteger(entry.contextWindow)) {
+    problems.push(`${label}: "contextWindow" must be a positive integer`);
+  }
+  if (entry.maxOutputTokens !== null && !isPositiveInteger(entry.maxOutputTokens)) {
+    problems.push(`${label}: "maxOutputTokens" must be a positive integer`);
+  }
+  for (const key of ['tools', 'vision']) {
+    if (typeof entry[key] !== 'boolean') {
+      problems.push(`${label}: "${key}" must be a boolean`);
+    }
+  }
+  if (!TOOL_CALLING.includes(entry.toolCalling)) {
+    problems.push(`${label}: "toolCalling" must be one of ${TOOL_CALLING.join(', ')}`);
+  }
+  if (entry.baseUrl !== null) {
+    let url = null;
+    try {
+      url = new URL(entry.baseUrl);
+    } catch (error) {
+      // reported below
+    }
+    if (entry.provider !== 'local') {
+      problems.push(`${label}: "baseUrl" is only supported for local models`);
+    } else if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      problems.push(`${label}: "baseUrl" must be an http(s) URL`);
+    }
+  }
+  const { pricing } = entry;
+  if (pricing !== null && !(isPlainObject(pricing) &&
+    typeof pricing.input === 'number' && typeof pricing.output === 'number' &&
+    pricing.input >= 0 && pricing.output >= 0)) {
+    problems.push(`${label}: "pricing" must be { input, output } in USD per 1M tokens`);
+  }
+  if (problems.length === 0) {
+    problems.push(...validateParameters(entry.parameters, entry).map(problem => `${label}: ${problem}`));
+  }
+
+  return problems;
+}
+
+// The API model name defaults to the id; capabilities default to the
+// common case. `parameters` are the model's defaults, on top of the
+// registry-wide ones. Local models without a `baseUrl` use
+// LOCAL_LLM_BASE_URL and find out whether native tool calling works.
+function normalizeModelEntry(id, entry, parameterDefaults = PARAMETER_DEFAULTS) {
+  const local = entry.provider === 'local';
+  return {
+    id,
+    provider: entry.provider,
+    model: entry.model || id,
+    name: entry.name,
+    description: entry.description || '',
+    contextWindow: entry.contextWindow,
+    maxOutputTokens: entry.maxOutputTokens === undefined ? null : entry.maxOutputTokens,
+    tools: entry.tools === undefined ? true : entry.tools,
+    toolCalling: entry.toolCalling || (local ? 'auto' : 'native'),
+    vision: entry.vision === undefined ? false : entry.vision,
+    baseUrl: entry.baseUrl === undefined ? null : entry.baseUrl,
+    pricing: entry.pricing === undefined ? null : entry.pricing,
+    parameters: { ...parameterDefaults, ...(isPlainObject(entry.parameters) ? entry.parameters : {}) }
+  };
+}
+
+// The local model named by LOCAL_LLM_MODEL, for deployments that do not
+// keep their own registry file. Self-hosted models cost nothing per token.
+function getEnvLocalModel(env) {
+  const name = env.LOCAL_LLM_MODEL;
+  return {
+    provider: 'local',
+    model: name,
+    name: `${name} (local)`,
+    description: 'Self-hosted model served over the OpenAI chat-completions protocol',
+    contextWindow: parseInt(env.LOCAL_LLM_CONTEXT_WINDOW, 10) || 8192,
+    toolCalling: env.LOCAL_LLM_TOOL_CALLING || 'auto',
+    pricing: { input: 0, output: 0 }
+  };
+}
+
+function loadModelRegistry(registryFile = process.env.LLM_MODELS_PATH || DEFAULT_REGISTRY_PATH, env = process.env) {
+  // Relative paths are taken from the project root, like the .env file
+  const registryPath = path.resolve(PROJECT_ROOT, registryFile);
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+  } catch (error) {
+    throw new ModelRegistryError(`Unable to read model registry ${registryPath}: ${error.message}`);
+  }
+
+  if (!isPlainObject(raw) || !isPlainObject(raw.models)) {
+    throw new ModelRegistryError(`Model registry ${registryPath} must contain a "models" object`);
+  }
+
+  const problems = [];
+  const parameterDefaults = { ...PARAMETER_DEFAULTS, ...(isPlainObject(raw.parameters) ? raw.parameters : {}) };
+  const entries = Object.entries(raw.models);
+  if (env.LOCAL_LLM_MODEL) {
+    // Model names may contain "/" (e.g. Hugging Face repos); ids may not
+    const id = env.LOCAL_LLM_MODEL.replace(/[^A-Za-z0-9._:-]/g, '-');
+    if (!raw.models[id]) {
+      entries.push([id, getEnvLocalModel(env)]);
+    }
+  }
+  const models = entries.map(([id, entry]) => {
+    if (!isPlainObject(entry)) {
+      problems.push(`model "${id}": entry must be an object`);
+      return null;
+    }
+    if (entry.parameters !== undefined && !isPlainObject(entry.parameters)) {
+      problems.push(`model "${id}": "parameters" must be an object`);
+    }
+    const model = normalizeModelEntry(id, entry, parameterDefaults);
+    problems.push(...validateModelEntry(model));
+    return model;
+  }).filter(Boolean);
+
+  // Each provider's default model; the first one listed unless `defaults`
+  // names another
+  const configured = isPlainObject(raw.defaults) ? raw.defaults : {};
+  const defaults = {};
+  for (const provider of PROVIDERS) {
+    const offered = models.filter(model => model.provider === provider);
+    const id = configured[provider];
+    if (id !== undefined && !offered.some(model => model.id === id)) {
+      problems.push(`defaults: "${provider}" must name one of its models (${offered.map(model => model.id).join(', ') || 'none listed'})`);
+    }
+    if (offered.length > 0) {
+      defaults[provider] = id || offered[0].id;
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ModelRegistryError(`Invalid model registry ${registryPath}`, problems);
+  }
+
+  console.log(`📚 Loaded ${models.length} model(s) from ${registryPath}`);
+  return { models, defaults };
+}
+
+// The registry is shared by the LLM and usage services; it is read once
+let registry = null;
+function getModelRegistry() {
+  if (!registry) {
+    registry = loadModelRegistry();
+  }
+  return registry;
+}
+
+module.exports = {
+  loadModelRegistry,
+  getModelRegistry,
+  validateModelEntry,
+  normalizeModelEntry,
+  validateParameters,
+  getParameterLimits,
+  TOOL_CALLING,
+  ModelRegistryError,
+  PROVIDERS
+};
@@ -0,0 +1,239 @@
+// Loading the model registry, looking models up in it and checking
+// generation parameters against each model's limits
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A placeholder key so OpenAI's models are created; none is called
+process.env.OPENAI_API_KEY = 'sk-test';
+for (const key of ['ANTHROPIC_API_KEY', 'GOOGLE_API_KEY', 'LLM_MODELS_PATH', 'LOCAL_LLM_MODEL']) {
+  process.env[key] = '';
+}
+
+const { loadModelRegistry, validateParameters, getParameterLimits, ModelRegistryError } = require('./modelRegistry');
+const llmService = require('../services/llmService');
+
+const model = (fields = {}) => ({
+  provider: 'openai',
+  name: 'GPT-4o mini',
+  contextWindow: 128000,
+  maxOutputTokens: 16384,
+  ...fields
+});
+
+let dir;
+
+// Write a registry file and load it with the given environment
+const load = (registry, env = {}) => {
+  const file = path.join(dir, 'models.json');
+  fs.writeFileSync(file, typeof registry === 'string' ? registry : JSON.stringify(registry));
+  return loadModelRegistry(file, env);
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'model-registry-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+  jest.restoreAllMocks();
+});
+
+describe('loadModelRegistry', () => {
+  test('lists several models per provider with their capabilities', () => {
+    const { models } = load({
+      models: {
+        'gpt-4o-mini': model({ vision: true, pricing: { input: 0.15, output: 0.6 } }),
+        'gpt-4o': model({ name: 'GPT-4o', tools: false })
+      }
+    });
+
+    expect(models).toEqual([
+      expect.objectContaining({ id: 'gpt-4o-mini', provider: 'openai', model: 'gpt-4o-mini', tools: true, vision: true, pricing: { input: 0.15, output: 0.6 } }),
+      expect.objectContaining({ id: 'gpt-4o', provider: 'openai', tools: false, vision: false, pricing: null, toolCalling: 'native' })
+    ]);
+  });
+
+  test('keeps the API model name apart from the id', () => {
+    const { models } = load({ models: { fast: model({ model: 'gpt-4o-mini-2024-07-18' }) } });
+
+    expect(models[0]).toMatchObject({ id: 'fast', model: 'gpt-4o-mini-2024-07-18' });
+  });
+
+  test('defaults each provider to its first model unless one is named', () => {
+    const { defaults } = load({
+      defaults: { anthropic: 'claude-3-haiku' },
+      models: {
+        'gpt-4o-mini': model(),
+        'gpt-4o': model({ name: 'GPT-4o' }),
+        'claude-3-sonnet': model({ provider: 'anthropic', name: 'Claude 3 Sonnet', maxOutputTokens: 4096 }),
+        'claude-3-haiku': model({ provider: 'anthropic', name: 'Claude 3 Haiku', maxOutputTokens: 4096 })
+      }
+    });
+
+    expect(defaults).toEqual({ openai: 'gpt-4o-mini', anthropic: 'claude-3-haiku' });
+  });
+
+  test('layers registry and model parameters over the built-in defaults', () => {
+    const { models } = load({
+      parameters: { temperature: 0.2 },
+      models: { 'gpt-4o-mini': model({ parameters: { maxTokens: 1000 } }) }
+    });
+
+    expect(models[0].parameters).toEqual({ temperature: 0.2, maxTokens: 1000, topP: null, stop: [], timeout: 60000 });
+  });
+
+  test('adds the model named by LOCAL_LLM_MODEL', () => {
+    const { models, defaults } = load({ models: {} }, { LOCAL_LLM_MODEL: 'meta-llama/Llama-3.1-8B' });
+
+    expect(models).toEqual([expect.objectContaining({
+      id: 'meta-llama-Llama-3.1-8B',
+      provider: 'local',
+      model: 'meta-llama/Llama-3.1-8B',
+      toolCalling: 'auto',
+      pricing: { input: 0, output: 0 }
+    })]);
+    expect(defaults.local).toBe('meta-llama-Llama-3.1-8B');
+  });
+
+  test('reports every problem at once', () => {
+    let error;
+    try {
+      load({
+        defaults: { google: 'gemini-1.5-pro' },
+        models: {
+          'gpt-4o-mini': model({ provider: 'azure' }),
+          'bad id': model({ contextWindow: 0 })
+        }
+      });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(ModelRegistryError);
+    expect(error.problems).toEqual([
+      'model "gpt-4o-mini": "provider" must be one of openai, anthropic, google, local, mock',
+      'model "bad id": ids may only use letters, digits, ".", ":", "-" or "_"',
+      'model "bad id": "contextWindow" must be a positive integer',
+      'defaults: "google" must name one of its models (none listed)'
+    ]);
+  });
+
+  test('fails on a missing or malformed file', () => {
+    expect(() => loadModelRegistry(path.join(dir, 'missing.json'), {})).toThrow(/Unable to read model registry/);
+    expect(() => load('{ "models": [')).toThrow(/Unable to read model registry/);
+    expect(() => load({ models: [] })).toThrow(/must contain a "models" object/);
+  });
+});
+
+describe('lookups', () => {
+  test('finds a model by id or a provider by its default model', () => {
+    expect(llmService.getModelEntry('gpt-4o')).toMatchObject({ id: 'gpt-4o', provider: 'openai' });
+    expect(llmService.getDefaultModelId('anthropic')).toBe('claude-3-sonnet-20240229');
+    expect(llmService.findModel('google')).toMatchObject({ id: 'gemini-1.5-flash' });
+    expect(llmService.findModel('gpt-4o')).toMatchObject({ id: 'gpt-4o' });
+  });
+
+  test('returns null for unknown models and providers', () => {
+    expect(llmService.getModelEntry('gpt-5')).toBeNull();
+    expect(llmService.getDefaultModelId('azure')).toBeNull();
+    expect(llmService.findModel('azure')).toBeNull();
+  });
+
+  test('lists the whole catalogue whether or not a provider is configured', () => {
+    const catalogue = llmService.getCatalogue();
+
+    expect(catalogue.map(entry => entry.id)).toEqual(expect.arrayContaining(['gpt-4o-mini', 'gpt-4o', 'claude-3-haiku-20240307', 'gemini-1.5-pro']));
+    expect(catalogue.find(entry => entry.id === 'gpt-4o-mini')).toMatchObject({ default: true });
+    expect(catalogue.find(entry => entry.id === 'gpt-4o')).toMatchObject({ default: false });
+  });
+
+  test('refuses a model of another provider', () => {
+    expect(llmService.getModel('openai', 'gpt-4o')).toMatchObject({ modelName: 'gpt-4o' });
+    expect(() => llmService.getModel('anthropic', 'gpt-4o')).toThrow("LLM provider 'anthropic' not configured or API key missing");
+  });
+});
+
+describe('validateParameters', () => {
+  const gpt = { id: 'gpt-4o-mini', provider: 'openai', maxOutputTokens: 16384 };
+  const claude = { id: 'claude-3-haiku', provider: 'anthropic', maxOutputTokens: 4096 };
+  const local = { id: 'llama', provider: 'local', maxOutputTokens: null };
+
+  test('accepts parameters within the model\'s limits', () => {
+    expect(validateParameters({ temperature: 2, maxTokens: 16384, topP: 0.9, stop: ['END'], timeout: 30000 }, gpt)).toEqual([]);
+    expect(validateParameters({ topP: null, stop: [] }, claude)).toEqual([]);
+    expect(validateParameters({}, gpt)).toEqual([]);
+  });
+
+  test('uses each provider\'s temperature and stop limits', () => {
+    expect(validateParameters({ temperature: 1.5 }, claude)).toEqual(['temperature must be a number between 0 and 1 for claude-3-haiku']);
+    expect(validateParameters({ stop: ['a', 'b', 'c', 'd', 'e'] }, gpt)).toEqual(['stop may have at most 4 sequences for gpt-4o-mini']);
+    expect(validateParameters({ stop: ['a', 'b', 'c', 'd', 'e'] }, claude)).toEqual([]);
+  });
+
+  test('bounds maxTokens by the model\'s output limit', () => {
+    expect(validateParameters({ maxTokens: 8192 }, claude)).toEqual(['maxTokens must be an integer between 1 and 4096 for claude-3-haiku']);
+    expect(validateParameters({ maxTokens: 1.5 }, gpt)).toEqual(['maxTokens must be an integer between 1 and 16384 for gpt-4o-mini']);
+    expect(validateParameters({ maxTokens: 100000 }, local)).toEqual([]);
+    expect(validateParameters({ maxTokens: 0 }, local)).toEqual(['maxTokens must be an integer at least 1 for llama']);
+  });
+
+  test('reports every problem at once', () => {
+    expect(validateParameters({ temperature: '0.5', topP: 2, stop: ['', 'END'], timeout: 0, seed: 1 }, gpt)).toEqual([
+      'temperature must be a number between 0 and 2 for gpt-4o-mini',
+      'topP must be null or a number between 0 and 1',
+      'stop must be a list of non-empty strings',
+      'timeout must be an integer between 1 and 600000 (ms)',
+      'unknown parameter "seed" (use temperature, maxTokens, topP, stop, timeout)'
+    ]);
+  });
+
+  test('rejects anything but an object', () => {
+    expect(validateParameters(['temperature'], gpt)).toEqual(['parameters must be an object']);
+    expect(validateParameters(null, gpt)).toEqual(['parameters must be an object']);
+  });
+
+  test('reports the limits it checks against', () => {
+    expect(getParameterLimits(claude)).toEqual({
+      temperature: { min: 0, max: 1 },
+      maxTokens: { min: 1, max: 4096 },
+      topP: { min: 0, max: 1 },
+      stop: { maxItems: null },
+      timeout: { min: 1, max: 600000 }
+    });
+  });
+
+  test('rejects invalid defaults in the registry file', () => {
+    expect(() => load({ models: { 'gpt-4o-mini': model({ parameters: { temperature: 3 } }) } }))
+      .toThrow('model "gpt-4o-mini": temperature must be a number between 0 and 2 for gpt-4o-mini');
+  });
+});
+
+describe('resolveParameters', () => {
+  test('applies a request\'s overrides to the model\'s defaults', () => {
+    expect(llmService.resolveParameters('gpt-4o', { temperature: 0, stop: ['END'] })).toEqual({
+      temperature: 0,
+      maxTokens: 4096,
+      topP: null,
+      stop: ['END'],
+      timeout: 60000
+    });
+    expect(llmService.validateParameters('claude-3-haiku-20240307', { temperature: 1.5 })).toHaveLength(1);
+  });
+
+  test('clamps overrides carried over to a fallback model', () => {
+    const overrides = { temperature: 1.8, maxTokens: 8000, stop: ['a', 'b', 'c', 'd', 'e'] };
+
+    expect(llmService.resolveParameters('claude-3-haiku-20240307', overrides, { clamp: true })).toMatchObject({
+      temperature: 1,
+      maxTokens: 4096,
+      stop: ['a', 'b', 'c', 'd', 'e']
+    });
+    expect(llmService.resolveParameters('gpt-4o', overrides, { clamp: true })).toMatchObject({
+      temperature: 1.8,
+      maxTokens: 8000,
+      stop: ['a', 'b', 'c', 'd']
+    });
+  });
+});
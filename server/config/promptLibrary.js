@@ -0,0 +1,173 @@
+// Agent prompt library loader
+// Reads prompts/agent-prompts.md (or AGENT_PROMPTS_PATH): the base system
+// prompt, the guidance added to every chat and the personas a chat can
+// pick. The file's header comment describes the format.
+
+const fs = require('fs');
+const path = require('path');
+
+const PROJECT_ROOT = path.join(__dirname, '../..');
+const DEFAULT_PROMPTS_PATH = path.join(PROJECT_ROOT, 'prompts/agent-prompts.md');
+const PERSONA_SECTION = 'Specialized Prompts';
+const DOCUMENTATION_SECTIONS = ['Example Interactions'];
+const PERSONA_KEYS = ['id', 'version', 'description', 'tools', 'model'];
+// {{name}} or {{name|default}}
+const VARIABLE = /\{\{\s*([^}|]*?)\s*(?:\|([^}]*))?\}\}/g;
+
+class PromptLibraryError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length > 0 ? `${message}:\n  - ${problems.join('\n  - ')}` : message);
+    this.name = 'PromptLibraryError';
+    this.problems = problems;
+  }
+}
+
+const slugify = (title) => title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Split markdown into headed sections of the given level ("##" or "###")
+function splitSections(lines, marker) {
+  const sections = [];
+  for (const line of lines) {
+    if (line.startsWith(`${marker} `)) {
+      sections.push({ title: line.slice(marker.length + 1).trim(), lines: [] });
+    } else if (sections.length > 0) {
+      sections[sections.length - 1].lines.push(line);
+    }
+  }
+  return sections;
+}
+
+// The variables of a template in order of appearance; a variable without
+// a default must be given when the persona is used
+function getTemplateVariables(template) {
+  const variables = new Map();
+  for (const [, name, defaultValue] of template.matchAll(VARIABLE)) {
+    if (!variables.has(name) || variables.get(name).default === null) {
+      variables.set(name, { name, default: defaultValue === undefined ? null : defaultValue });
+    }
+  }
+  return Array.from(variables.values());
+}
+
+// "- key: value" lines, then the fenced template
+function parsePersona(section) {
+  const metadata = {};
+  const template = [];
+  let fence = 'before';
+  for (const line of section.lines) {
+    if (line.trim().startsWith('```')) {
+      fence = fence === 'before' ? 'inside' : 'after';
+      continue;
+    }
+    if (fence === 'inside') {
+      template.push(line);
+      continue;
+    }
+    const entry = /^-\s+([A-Za-z]+):\s*(.*)$/.exec(line.trim());
+    if (fence === 'before' && entry) {
+      metadata[entry[1]] = entry[2].trim();
+    }
+  }
+
+  const text = template.join('\n').trim();
+  return {
+    id: metadata.id || slugify(section.title),
+    version: metadata.version === undefined ? 1 : Number(metadata.version),
+    name: section.title,
+    description: metadata.description || '',
+    tools: metadata.tools ? metadata.tools.split(',').map(pattern => pattern.trim()).filter(Boolean) : null,
+    model: metadata.model || null,
+    template: text,
+    variables: getTemplateVariables(text),
+    unknownKeys: Object.keys(metadata).filter(key => !PERSONA_KEYS.includes(key))
+  };
+}
+
+// Returns a list of human-readable problems; empty when the persona is valid
+function validatePersona(persona, modelIds = null) {
+  const problems = [];
+  const label = `persona "${persona.name}"`;
+
+  for (const key of persona.unknownKeys) {
+    problems.push(`${label}: unknown key "${key}" (expected ${PERSONA_KEYS.join(', ')})`);
+  }
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(persona.id)) {
+    problems.push(`${label}: "id" must be lowercase letters, digits and "-"`);
+  }
+  if (!Number.isInteger(persona.version) || persona.version < 1) {
+    problems.push(`${label}: "version" must be a positive integer`);
+  }
+  if (!persona.template) {
+    problems.push(`${label}: needs a fenced template`);
+  }
+  for (const variable of persona.variables) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(variable.name)) {
+      problems.push(`${label}: variable "{{${variable.name}}}" must be a name of letters, digits and "_"`);
+    }
+  }
+  if (persona.tools && persona.tools.some(pattern => !/^[A-Za-z0-9_*-]+$/.test(pattern))) {
+    problems.push(`${label}: "tools" must be tool names, with "*" as a wildcard`);
+  }
+  if (persona.model && modelIds && !modelIds.includes(persona.model)) {
+    problems.push(`${label}: model "${persona.model}" is not in the model registry`);
+  }
+  return problems;
+}
+
+function loadPromptLibrary(promptsFile = process.env.AGENT_PROMPTS_PATH || DEFAULT_PROMPTS_PATH, { modelIds = null } = {}) {
+  // Relative paths are taken from the project root, like the .env file
+  const promptsPath = path.resolve(PROJECT_ROOT, promptsFile);
+  let text;
+  try {
+    text = fs.readFileSync(promptsPath, 'utf8');
+  } catch (error) {
+    throw new PromptLibraryError(`Unable to read agent prompts ${promptsPath}: ${error.message}`);
+  }
+
+  const lines = text.replace(/<!--[\s\S]*?-->/g, '').split(/\r?\n/);
+  const sections = splitSections(lines, '##');
+  if (sections.length === 0 || !sections[0].lines.join('\n').trim()) {
+    throw new PromptLibraryError(`Agent prompts ${promptsPath} must start with a "##" section holding the base system prompt`);
+  }
+
+  const problems = [];
+  const personas = [];
+  const guidance = [];
+  for (const section of sections.slice(1)) {
+    if (section.title === PERSONA_SECTION) {
+      personas.push(...splitSections(section.lines, '###').map(parsePersona));
+    } else if (!DOCUMENTATION_SECTIONS.includes(section.title)) {
+      guidance.push(`## ${section.title}\n${section.lines.join('\n').trim()}`);
+    }
+  }
+
+  const seen = new Set();
+  for (const persona of personas) {
+    problems.push(...validatePersona(persona, modelIds));
+    const key = `${persona.id}@${persona.version}`;
+    if (seen.has(key)) {
+      problems.push(`persona "${persona.name}": version ${persona.version} of "${persona.id}" is listed twice`);
+    }
+    seen.add(key);
+    delete persona.unknownKeys;
+  }
+
+  if (problems.length > 0) {
+    throw new PromptLibraryError(`Invalid agent prompts ${promptsPath}`, problems);
+  }
+
+  console.log(`📝 Loaded ${personas.length} persona version(s) from ${promptsPath}`);
+  return {
+    base: sections[0].lines.join('\n').trim(),
+    guidance,
+    personas
+  };
+}
+
+module.exports = {
+  loadPromptLibrary,
+  validatePersona,
+  getTemplateVariables,
+  PromptLibraryError,
+  VARIABLE
+};
@@ -31,12 +31,18 @@ const authRoutes = require('./routes/auth');
 const agentRoutes = require('./routes/agent');
 const mcpRoutes = require('./routes/mcp');
 const modelRoutes = require('./routes/models');
+const conversationRoutes = require('./routes/conversations');
+const usageRoutes = require('./routes/usage');
+const promptRoutes = require('./routes/prompts');
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/agent', agentRoutes);
 app.use('/api/mcp', mcpRoutes);
 app.use('/api/models', modelRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/prompts', promptRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -65,9 +71,56 @@ app.use((err, req, res, next) => {
 // Make io available to other modules
 app.set('io', io);
 
+// MCP connection status changes are pushed to clients as 'mcp_status'
+const mcpService = require('./services/mcpService');
+mcpService.setSocketIO(io);
+
+// Agent logs and tool approval requests go to per-session rooms
+const sessionService = require('./services/sessionService');
+const approvalService = require('./services/approvalService');
+const { getSocketUser, isAdmin } = require('./middleware/auth');
+sessionService.setSocketIO(io);
+
 // Socket.io connection handling
 io.on('connection', (socket) => {
   console.log('🔌 Client connected:', socket.id);
+
+  const user = getSocketUser(socket);
+  const { sessionId } = socket.handshake.auth || {};
+  if (sessionId && !sessionService.join(socket, sessionId, user)) {
+    socket.emit('session_error', { error: 'Session id is invalid or belongs to another user' });
+  } else if (sessionId) {
+    // Logs name sessions by tag, so the client learns its own
+    socket.emit('session_joined', { session: sessionService.tagFor(sessionId) });
+  }
+
+  // Admins can watch every session's logs on purpose
+  socket.on('subscribe_firehose', () => {
+    if (!isAdmin(user)) {
+      return socket.emit('session_error', { error: 'Only admins can subscribe to the firehose' });
+    }
+    sessionService.subscribeFirehose(socket);
+    console.log(`🔥 ${user.email} subscribed to the log firehose`);
+    socket.emit('firehose_subscribed', { subscribed: true });
+  });
+
+  socket.on('unsubscribe_firehose', () => {
+    sessionService.unsubscribeFirehose(socket);
+    socket.emit('firehose_subscribed', { subscribed: false });
+  });
+
+  socket.on('tool_approval_decision', ({ id, approved, reason } = {}) => {
+    // Requests without a session only reach the admin firehose
+    const request = approvalService.getPendingApproval(id);
+    const allowed = request && (request.sessionId
+      ? sessionService.isInSession(socket, request.sessionId)
+      : isAdmin(user));
+    if (!allowed) {
+      return socket.emit('tool_approval_error', { id, error: 'Approval request not found or already decided' });
+    }
+    const decidedBy = user ? user.email : `anonymous (${socket.id})`;
+    approvalService.decide(id, { approved, reason, decidedBy });
+  });
   
   socket.on('disconnect', () => {
     console.log('🔌 Client disconnected:', socket.id);
@@ -82,5 +135,26 @@ server.listen(PORT, () => {
   console.log(`🔌 WebSocket server ready for real-time logging`);
 });
 
+// Graceful shutdown: stop MCP server children before exiting
+let shuttingDown = false;
+const shutdown = async (signal) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`🛑 Received ${signal}, shutting down...`);
+
+  try {
+    await mcpService.shutdown();
+  } catch (error) {
+    console.error('Error shutting down MCP servers:', error);
+  }
+
+  server.close(() => process.exit(0));
+  setTimeout(() => process.exit(0), 5000).unref();
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('exit', () => mcpService.killAll());
+
 module.exports = { app, server, io };
 
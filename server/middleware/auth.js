@@ -0,0 +1,46 @@
+const jwt = require('jsonwebtoken');
+
+// Decode a JWT issued by /api/auth/login; returns null when missing or invalid
+function getUserFromToken(token) {
+  if (!token) return null;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
+    return {
+      id: decoded.userId,
+      email: decoded.email
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Attach req.user when a valid bearer token is sent; anonymous requests pass through
+function optionalAuth(req, res, next) {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  req.user = getUserFromToken(token);
+  next();
+}
+
+// Identify the user behind a socket.io connection (token from handshake auth)
+function getSocketUser(socket) {
+  const token = socket.handshake && socket.handshake.auth && socket.handshake.auth.token;
+  return getUserFromToken(token);
+}
+
+// Admins are listed by email in ADMIN_EMAILS (comma-separated)
+function isAdmin(user) {
+  if (!user) return false;
+  const admins = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+  return admins.includes(user.email.toLowerCase());
+}
+
+module.exports = {
+  getUserFromToken,
+  optionalAuth,
+  getSocketUser,
+  isAdmin
+};
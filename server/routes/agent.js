@@ -1,63 +1,504 @@
 const express = require('express');
+const { v4: uuidv4 } = require('uuid');
 const agentService = require('../services/agentService');
+const llmService = require('../services/llmService');
+const approvalService = require('../services/approvalService');
+const sessionService = require('../services/sessionService');
+const conversationService = require('../services/conversationService');
+const memoryService = require('../services/memoryService');
+const promptService = require('../services/promptService');
+const usageService = require('../services/usageService');
+const { validateOutputSchema } = require('../services/structuredOutput');
+const { optionalAuth, isAdmin } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Initialize agent service with socket.io when available
-router.use((req, res, next) => {
-  const io = req.app.get('io');
-  if (io && !agentService.io) {
-    agentService.setSocketIO(io);
+// Response body shared by the JSON and streaming modes of /chat
+const formatChatResult = (result, conversationId) => (result.success
+  ? {
+    success: true,
+    conversationId,
+    runId: result.runId,
+    response: result.response,
+    aborted: result.aborted || false,
+    reasoning: result.reasoning,
+    toolsUsed: result.toolsUsed,
+    budget: result.budget,
+    usage: result.usage,
+    provider: result.provider,
+    model: result.model,
+    parameters: result.parameters,
+    persona: result.persona,
+    structuredOutput: result.structuredOutput,
+    requestedProvider: result.requestedProvider,
+    requestedModel: result.requestedModel,
+    fallbacks: result.fallbacks,
+    timestamp: result.timestamp
   }
-  next();
+  : {
+    success: false,
+    conversationId,
+    error: result.error,
+    usage: result.usage,
+    provider: result.provider,
+    model: result.model,
+    requestedProvider: result.requestedProvider,
+    requestedModel: result.requestedModel,
+    fallbacks: result.fallbacks,
+    timestamp: result.timestamp
+  });
+
+// Store the agent's reply (or failure) with everything needed to replay it
+const saveReply = (conversationId, result) => conversationService.addMessage(conversationId, result.success
+  ? {
+    role: 'assistant',
+    content: result.response,
+    provider: result.provider,
+    model: result.model,
+    requestedProvider: result.requestedProvider,
+    requestedModel: result.requestedModel,
+    parameters: result.parameters,
+    persona: result.persona,
+    structuredOutput: result.structuredOutput,
+    runId: result.runId,
+    toolsUsed: result.toolsUsed,
+    reasoning: result.reasoning,
+    budget: result.budget,
+    usage: result.usage,
+    aborted: result.aborted || false
+  }
+  : {
+    role: 'assistant',
+    content: result.error,
+    provider: result.provider,
+    model: result.model,
+    runId: result.runId,
+    usage: result.usage,
+    error: true
+  });
+
+// The persona a request picks ({ persona: null } without one), or the 400
+// body explaining why it cannot be used
+const selectPersona = (persona, personaVersion, variables) => {
+  if (persona === null) {
+    return { persona: null };
+  }
+  const selected = typeof persona === 'string' ? promptService.getPersona(persona, personaVersion) : null;
+  if (!selected) {
+    return {
+      error: { 
+        error: `Unknown persona${personaVersion !== null ? ' version' : ''}. Available personas: ${promptService.getPersonas().map(p => `${p.id} (versions ${p.versions.join(', ')})`).join(', ')}` 
+      }
+    };
+  }
+
+  const problems = promptService.validateVariables(selected, variables);
+  if (problems.length > 0) {
+    return {
+      error: { 
+        error: 'Invalid persona variables',
+        details: problems
+      }
+    };
+  }
+  return { persona: selected };
+};
+
+// One model's run in a /compare response
+const formatComparisonResult = (result) => ({
+  success: result.success,
+  runId: result.runId,
+  provider: result.provider,
+  model: result.model,
+  response: result.success ? result.response : null,
+  error: result.success ? null : result.error,
+  reasoning: result.reasoning || [],
+  toolsUsed: result.toolsUsed || [],
+  budget: result.budget,
+  usage: result.usage,
+  parameters: result.parameters,
+  structuredOutput: result.structuredOutput,
+  latencyMs: result.latencyMs
 });
 
+// Models one comparison may run side by side
+const MAX_COMPARE_MODELS = 4;
+
+const isChatMessage = (entry) => entry &&
+  ['user', 'assistant'].includes(entry.role) &&
+  typeof entry.content === 'string';
+
+// Server-sent events: "event: <type>" followed by one JSON data line
+const writeEvent = (res, type, data) => {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
 // Process message with agent
-router.post('/chat', async (req, res) => {
+router.post('/chat', optionalAuth, async (req, res) => {
   try {
-    const { message, provider, chatHistory = [] } = req.body;
+    const {
+      message,
+      provider = null,
+      model = null,
+      conversationId = null,
+      promptMessages = [],
+      promptName = null,
+      resources = [],
+      limits = {},
+      parameters = {},
+      persona = null,
+      personaVersion = null,
+      variables = {},
+      schema = null,
+      fallback = true,
+      stream = false,
+      sessionId = null
+    } = req.body;
+
+    // A persona from the prompt library sets the system prompt, may limit
+    // the tools and names a default model
+    const { persona: selectedPersona, error: personaError } = selectPersona(persona, personaVersion, variables);
+    if (personaError) {
+      return res.status(400).json(personaError);
+    }
+    const personaModel = selectedPersona && selectedPersona.model;
+
+    // A JSON Schema the final answer must match
+    if (schema !== null) {
+      const schemaProblems = validateOutputSchema(schema);
+      if (schemaProblems.length > 0) {
+        return res.status(400).json({ 
+          error: 'Invalid output schema',
+          details: schemaProblems
+        });
+      }
+    }
+
+    if (!message || (!provider && !model && !personaModel)) {
+      return res.status(400).json({ 
+        error: 'Message and a provider or model are required' 
+      });
+    }
 
-    if (!message || !provider) {
+    // Earlier messages of a multi-message MCP prompt, stored ahead of `message`
+    if (!Array.isArray(promptMessages) || !promptMessages.every(isChatMessage)) {
       return res.status(400).json({ 
-        error: 'Message and provider are required' 
+        error: 'promptMessages must be a list of { role: "user" | "assistant", content } entries' 
       });
     }
 
-    // Validate provider
+    if (!Array.isArray(resources) || resources.some(r => !r || !r.serverId || !r.uri)) {
+      return res.status(400).json({ 
+        error: 'Resources must be a list of { serverId, uri } entries' 
+      });
+    }
+
+    // Logs and approval requests for this run go to the session's room only
+    if (sessionId !== null) {
+      if (!sessionService.isValidSessionId(sessionId)) {
+        return res.status(400).json({ 
+          error: 'sessionId must be 8-128 letters, digits, "-" or "_"' 
+        });
+      }
+      if (!sessionService.canAccess(sessionId, req.user)) {
+        return res.status(403).json({ 
+          error: 'Session belongs to another user' 
+        });
+      }
+      sessionService.claim(sessionId, req.user);
+    }
+
+    if (typeof fallback !== 'boolean') {
+      return res.status(400).json({ 
+        error: 'fallback must be a boolean' 
+      });
+    }
+
+    const limitProblems = agentService.validateRunLimits(limits);
+    if (limitProblems.length > 0) {
+      return res.status(400).json({ 
+        error: 'Invalid run limits',
+        details: limitProblems
+      });
+    }
+
+    // A model id picks one model; otherwise the persona's model when it is
+    // available (and from the requested provider), else the provider's
+    // default model
     const availableAgents = agentService.getAvailableAgents();
-    const isValidProvider = availableAgents.some(agent => agent.id === provider);
+    const personaAgent = personaModel && availableAgents.find(agent => agent.id === personaModel);
+    const agentId = model ||
+      (personaAgent && (!provider || personaAgent.provider === provider) ? personaAgent.id : null) ||
+      llmService.getDefaultModelId(provider) || provider;
+    const selected = availableAgents.find(agent => agent.id === agentId);
     
-    if (!isValidProvider) {
+    if (!selected && !provider && !model) {
+      return res.status(400).json({ 
+        error: `Persona ${selectedPersona.id} uses ${personaModel}, which is not available; pick a model or provider` 
+      });
+    }
+    if (!selected) {
+      return res.status(400).json({ 
+        error: `Invalid ${model ? 'model' : 'provider'}. Available models: ${availableAgents.map(a => a.id).join(', ')}` 
+      });
+    }
+    if (provider && selected.provider !== provider) {
       return res.status(400).json({ 
-        error: `Invalid provider. Available: ${availableAgents.map(a => a.id).join(', ')}` 
+        error: `Model ${selected.id} belongs to ${selected.provider}, not ${provider}` 
       });
     }
 
-    console.log(`Processing message with ${provider} agent:`, message);
+    // Generation parameters must fit the selected model
+    const parameterProblems = selected.id === 'demo' ? [] : llmService.validateParameters(selected.id, parameters);
+    if (parameterProblems.length > 0) {
+      return res.status(400).json({ 
+        error: 'Invalid generation parameters',
+        details: parameterProblems
+      });
+    }
 
-    // Process message with selected agent
-    const result = await agentService.processMessage(provider, message, chatHistory);
+    // Signed-in users stop at their monthly budget; a run that is already
+    // going may finish over it
+    if (req.user) {
+      const budget = usageService.getBudgetStatus(req.user.id);
+      if (budget.exceeded) {
+        return res.status(402).json({ 
+          error: 'Monthly usage budget exceeded',
+          budget
+        });
+      }
+    }
 
-    if (result.success) {
-      res.json({
-        success: true,
-        response: result.response,
-        reasoning: result.reasoning,
-        toolsUsed: result.toolsUsed,
-        provider: result.provider,
-        timestamp: result.timestamp
-      });
+    // History comes from the stored conversation; a new one is started
+    // when the request does not name one
+    let conversation;
+    if (conversationId) {
+      conversation = conversationService.get(conversationId, req.user, sessionId);
+      if (!conversation) {
+        return res.status(404).json({ 
+          error: 'Conversation not found' 
+        });
+      }
     } else {
-      res.status(500).json({
-        success: false,
-        error: result.error,
-        provider: result.provider,
-        timestamp: result.timestamp
+      conversation = conversationService.create({ title: message, user: req.user, sessionId });
+    }
+
+    // Recent turns within the token budget; older ones reach the model
+    // through the conversation summary
+    const runId = uuidv4();
+    const userId = req.user ? req.user.id : null;
+    const { history: chatHistory, ...memory } = await memoryService.buildContext(conversation.id, selected.provider, {
+      model: selected.id,
+      runId,
+      userId,
+      sessionId
+    });
+    for (const entry of promptMessages) {
+      conversationService.addMessage(conversation.id, { role: entry.role, content: entry.content, promptName });
+    }
+    conversationService.addMessage(conversation.id, { role: 'user', content: message, promptName, resources });
+    const history = [...chatHistory, ...promptMessages.map(({ role, content }) => ({ role, content }))];
+
+    console.log(`Processing message with ${selected.id} agent:`, message);
+
+    // Streaming mode: run_started, token, tool_start and tool_end events
+    // as they happen, then one final (or error) event with the JSON body
+    if (stream === true || (req.headers.accept || '').includes('text/event-stream')) {
+      const controller = new AbortController();
+      res.on('close', () => {
+        if (!res.writableEnded) {
+          controller.abort();
+        }
       });
+
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        // no-transform keeps compressing proxies from buffering the stream
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive'
+      });
+
+      const result = await agentService.processMessage(selected.provider, message, history, {
+        model: selected.id,
+        resources,
+        limits,
+        parameters,
+        persona: selectedPersona,
+        variables,
+        schema,
+        fallback,
+        runId,
+        userId,
+        sessionId,
+        conversationId: conversation.id,
+        memory,
+        signal: controller.signal,
+        onEvent: (type, data) => writeEvent(res, type, data)
+      });
+      saveReply(conversation.id, result);
+
+      writeEvent(res, result.success ? 'final' : 'error', formatChatResult(result, conversation.id));
+      return res.end();
     }
 
+    // Process message with selected agent
+    const result = await agentService.processMessage(selected.provider, message, history, {
+      model: selected.id,
+      resources,
+      limits,
+      parameters,
+      persona: selectedPersona,
+      variables,
+      schema,
+      fallback,
+      runId,
+      userId,
+      sessionId,
+      conversationId: conversation.id,
+      memory
+    });
+    saveReply(conversation.id, result);
+
+    // 422 when the model never produced an answer matching the schema
+    const status = !result.success ? 500 : result.structuredOutput && !result.structuredOutput.valid ? 422 : 200;
+    res.status(status).json(formatChatResult(result, conversation.id));
+
   } catch (error) {
     console.error('Agent chat error:', error);
+    if (res.headersSent) {
+      writeEvent(res, 'error', { success: false, error: error.message });
+      return res.end();
+    }
+    res.status(500).json({ 
+      error: 'Internal server error',
+      message: error.message 
+    });
+  }
+});
+
+// Run one message on several models side by side. `models` names the
+// models, or `providers` picks each provider's default model. Nothing is
+// stored as a conversation.
+router.post('/compare', optionalAuth, async (req, res) => {
+  try {
+    const {
+      message,
+      models = null,
+      providers = null,
+      limits = {},
+      parameters = {},
+      persona = null,
+      personaVersion = null,
+      variables = {},
+      schema = null,
+      sessionId = null
+    } = req.body;
+
+    if (!message || typeof message !== 'string') {
+      return res.status(400).json({ 
+        error: 'Message is required' 
+      });
+    }
+
+    const targets = models !== null ? models : providers;
+    if (!Array.isArray(targets) || targets.length < 2 || targets.length > MAX_COMPARE_MODELS ||
+      !targets.every(target => typeof target === 'string')) {
+      return res.status(400).json({ 
+        error: `models (or providers) must be a list of 2 to ${MAX_COMPARE_MODELS} names` 
+      });
+    }
+
+    const availableAgents = agentService.getAvailableAgents().filter(agent => agent.id !== 'demo');
+    const modelIds = models !== null ? models : providers.map(provider => llmService.getDefaultModelId(provider) || provider);
+    const unavailable = modelIds.filter(id => !availableAgents.some(agent => agent.id === id));
+    if (unavailable.length > 0) {
+      return res.status(400).json({ 
+        error: `Not available: ${unavailable.join(', ')}. Available models: ${availableAgents.map(a => a.id).join(', ') || 'none'}` 
+      });
+    }
+    if (new Set(modelIds).size !== modelIds.length) {
+      return res.status(400).json({ 
+        error: 'Each model can be compared only once' 
+      });
+    }
+
+    const { persona: selectedPersona, error: personaError } = selectPersona(persona, personaVersion, variables);
+    if (personaError) {
+      return res.status(400).json(personaError);
+    }
+
+    if (schema !== null) {
+      const schemaProblems = validateOutputSchema(schema);
+      if (schemaProblems.length > 0) {
+        return res.status(400).json({ 
+          error: 'Invalid output schema',
+          details: schemaProblems
+        });
+      }
+    }
+
+    if (sessionId !== null) {
+      if (!sessionService.isValidSessionId(sessionId)) {
+        return res.status(400).json({ 
+          error: 'sessionId must be 8-128 letters, digits, "-" or "_"' 
+        });
+      }
+      if (!sessionService.canAccess(sessionId, req.user)) {
+        return res.status(403).json({ 
+          error: 'Session belongs to another user' 
+        });
+      }
+      sessionService.claim(sessionId, req.user);
+    }
+
+    const limitProblems = agentService.validateRunLimits(limits);
+    if (limitProblems.length > 0) {
+      return res.status(400).json({ 
+        error: 'Invalid run limits',
+        details: limitProblems
+      });
+    }
+
+    // The same parameters go to every model, so they must fit all of them
+    const parameterProblems = modelIds.flatMap(id => llmService.validateParameters(id, parameters));
+    if (parameterProblems.length > 0) {
+      return res.status(400).json({ 
+        error: 'Invalid generation parameters',
+        details: parameterProblems
+      });
+    }
+
+    if (req.user) {
+      const budget = usageService.getBudgetStatus(req.user.id);
+      if (budget.exceeded) {
+        return res.status(402).json({ 
+          error: 'Monthly usage budget exceeded',
+          budget
+        });
+      }
+    }
+
+    console.log(`Comparing ${modelIds.join(', ')}:`, message);
+
+    const results = await agentService.compareModels(modelIds, message, {
+      limits,
+      parameters,
+      persona: selectedPersona,
+      variables,
+      schema,
+      userId: req.user ? req.user.id : null,
+      sessionId
+    });
+
+    res.json({
+      success: true,
+      message,
+      results: results.map(formatComparisonResult),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Agent compare error:', error);
     res.status(500).json({ 
       error: 'Internal server error',
       message: error.message 
@@ -82,11 +523,12 @@ router.get('/models', (req, res) => {
 });
 
 // Get agent status
-router.get('/status/:provider', (req, res) => {
+// A provider name gives the agent of its default model
+router.get('/status/:id', (req, res) => {
   try {
-    const { provider } = req.params;
+    const { id } = req.params;
     const agents = agentService.getAvailableAgents();
-    const agent = agents.find(a => a.id === provider);
+    const agent = agents.find(a => a.id === id || a.id === llmService.getDefaultModelId(id));
     
     if (!agent) {
       return res.status(404).json({ 
@@ -126,6 +568,71 @@ router.post('/refresh-tools', async (req, res) => {
   }
 });
 
+// Pending tool approvals and the decision history. Admins see every
+// session; everyone else passes ?sessionId= for a session they can access.
+router.get('/approvals', optionalAuth, (req, res) => {
+  try {
+    const { sessionId } = req.query;
+    const admin = isAdmin(req.user);
+
+    if (!admin && (!sessionService.isValidSessionId(sessionId) || !sessionService.canAccess(sessionId, req.user))) {
+      return res.status(403).json({ 
+        error: 'A sessionId you can access is required' 
+      });
+    }
+
+    const visible = (entry) => (sessionId ? entry.sessionId === sessionId : admin);
+    res.json({
+      success: true,
+      pending: approvalService.getPendingApprovals().filter(visible).map(entry => sessionService.redact(entry)),
+      history: approvalService.getApprovalHistory().filter(visible).map(entry => sessionService.redact(entry))
+    });
+  } catch (error) {
+    console.error('Get approvals error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Approve or reject a paused tool call
+router.post('/approvals/:id', optionalAuth, (req, res) => {
+  try {
+    const { approved, reason = '' } = req.body;
+
+    if (typeof approved !== 'boolean') {
+      return res.status(400).json({ 
+        error: '"approved" must be true or false' 
+      });
+    }
+
+    // Requests without a session only reach the admin firehose, so only
+    // admins may decide them
+    const request = approvalService.getPendingApproval(req.params.id);
+    const allowed = request && (isAdmin(req.user) ||
+      (request.sessionId && sessionService.canAccess(request.sessionId, req.user)));
+
+    if (!allowed) {
+      return res.status(404).json({ 
+        error: 'Approval request not found or already decided' 
+      });
+    }
+
+    const decidedBy = req.user ? req.user.email : `anonymous (${req.ip})`;
+    const record = approvalService.decide(req.params.id, { approved, reason, decidedBy });
+
+    res.json({
+      success: true,
+      approval: record
+    });
+  } catch (error) {
+    console.error('Decide approval error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error' 
+    });
+  }
+});
+
 // Test endpoint to check agent status
 router.get('/test', async (req, res) => {
   try {
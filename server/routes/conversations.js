@@ -0,0 +1,252 @@
+const express = require('express');
+const conversationService = require('../services/conversationService');
+const memoryService = require('../services/memoryService');
+const { optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Anonymous callers identify their browser session with X-Session-Id
+router.use(optionalAuth, (req, res, next) => {
+  req.sessionId = req.get('x-session-id') || null;
+  next();
+});
+
+// List the caller's conversations, most recently active first
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      conversations: conversationService.list(req.user, req.sessionId)
+    });
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Start an empty conversation
+router.post('/', (req, res) => {
+  try {
+    const { title = '' } = req.body;
+
+    if (typeof title !== 'string') {
+      return res.status(400).json({ 
+        error: 'Title must be a string' 
+      });
+    }
+
+    // Without an owner nobody could open the conversation again
+    if (!req.user && !req.sessionId) {
+      return res.status(400).json({ 
+        error: 'Sign in or send X-Session-Id to create a conversation' 
+      });
+    }
+
+    const conversation = conversationService.create({
+      title,
+      user: req.user,
+      sessionId: req.sessionId
+    });
+
+    res.status(201).json({
+      success: true,
+      conversation: conversationService.summarize(conversation)
+    });
+  } catch (error) {
+    console.error('Create conversation error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Get one conversation's details
+router.get('/:id', (req, res) => {
+  try {
+    const conversation = conversationService.get(req.params.id, req.user, req.sessionId);
+
+    if (!conversation) {
+      return res.status(404).json({ 
+        error: 'Conversation not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      conversation: conversationService.summarize(conversation)
+    });
+  } catch (error) {
+    console.error('Get conversation error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Get stored messages, including tool calls and reasoning steps
+router.get('/:id/messages', (req, res) => {
+  try {
+    const conversation = conversationService.get(req.params.id, req.user, req.sessionId);
+
+    if (!conversation) {
+      return res.status(404).json({ 
+        error: 'Conversation not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      conversationId: conversation.id,
+      messages: conversationService.getMessages(conversation.id)
+    });
+  } catch (error) {
+    console.error('Get conversation messages error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Get the conversation memory: running summary, pinned facts and token use
+router.get('/:id/memory', (req, res) => {
+  try {
+    const conversation = conversationService.get(req.params.id, req.user, req.sessionId);
+
+    if (!conversation) {
+      return res.status(404).json({ 
+        error: 'Conversation not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      conversationId: conversation.id,
+      memory: memoryService.describe(conversation.id, req.query.provider)
+    });
+  } catch (error) {
+    console.error('Get conversation memory error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Replace the running summary
+router.put('/:id/memory/summary', (req, res) => {
+  try {
+    const conversation = conversationService.get(req.params.id, req.user, req.sessionId);
+
+    if (!conversation) {
+      return res.status(404).json({ 
+        error: 'Conversation not found' 
+      });
+    }
+
+    const { summary } = req.body;
+    if (typeof summary !== 'string') {
+      return res.status(400).json({ 
+        error: 'Summary must be a string' 
+      });
+    }
+
+    memoryService.setSummary(conversation.id, summary);
+
+    res.json({
+      success: true,
+      memory: memoryService.describe(conversation.id)
+    });
+  } catch (error) {
+    console.error('Update conversation summary error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Pin a fact; pinned facts are always sent to the model
+router.post('/:id/memory/pins', (req, res) => {
+  try {
+    const conversation = conversationService.get(req.params.id, req.user, req.sessionId);
+
+    if (!conversation) {
+      return res.status(404).json({ 
+        error: 'Conversation not found' 
+      });
+    }
+
+    const { text } = req.body;
+    if (typeof text !== 'string' || text.trim() === '') {
+      return res.status(400).json({ 
+        error: 'Pinned fact text is required' 
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      pin: memoryService.pin(conversation.id, text)
+    });
+  } catch (error) {
+    console.error('Pin conversation fact error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Unpin a fact
+router.delete('/:id/memory/pins/:pinId', (req, res) => {
+  try {
+    const conversation = conversationService.get(req.params.id, req.user, req.sessionId);
+
+    if (!conversation) {
+      return res.status(404).json({ 
+        error: 'Conversation not found' 
+      });
+    }
+
+    if (!memoryService.unpin(conversation.id, req.params.pinId)) {
+      return res.status(404).json({ 
+        error: 'Pinned fact not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Pinned fact removed'
+    });
+  } catch (error) {
+    console.error('Unpin conversation fact error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Delete a conversation and its messages
+router.delete('/:id', (req, res) => {
+  try {
+    const conversation = conversationService.get(req.params.id, req.user, req.sessionId);
+
+    if (!conversation) {
+      return res.status(404).json({ 
+        error: 'Conversation not found' 
+      });
+    }
+
+    conversationService.delete(conversation.id);
+
+    res.json({
+      success: true,
+      message: 'Conversation deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete conversation error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error' 
+    });
+  }
+});
+
+module.exports = router;
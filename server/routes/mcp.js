@@ -1,6 +1,10 @@
 const express = require('express');
 const mcpService = require('../services/mcpService');
+const approvalService = require('../services/approvalService');
+const { TOOL_POLICIES } = approvalService;
 const database = require('../config/database');
+const { resolveServerConfig } = require('../config/mcpConfig');
+const { optionalAuth, isAdmin } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -23,7 +27,10 @@ router.get('/servers', (req, res) => {
 // Get available tools from all MCP servers
 router.get('/tools', (req, res) => {
   try {
-    const tools = mcpService.getAvailableTools();
+    const tools = mcpService.getAvailableTools().map(tool => ({
+      ...tool,
+      ...approvalService.getToolPolicy(tool)
+    }));
     res.json({
       success: true,
       tools
@@ -36,6 +43,111 @@ router.get('/tools', (req, res) => {
   }
 });
 
+// Override the approval policy of one tool (admins only); null restores
+// the default
+router.put('/tools/:toolId/policy', optionalAuth, (req, res) => {
+  try {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ 
+        error: 'Only admins can change tool policies' 
+      });
+    }
+
+    const { toolId } = req.params;
+    const { policy } = req.body;
+    const tool = mcpService.getAvailableTools().find(t => t.id === toolId);
+
+    if (!tool) {
+      return res.status(404).json({ 
+        error: 'Tool not found' 
+      });
+    }
+
+    if (policy !== null && !TOOL_POLICIES.includes(policy)) {
+      return res.status(400).json({ 
+        error: `Policy must be null or one of: ${TOOL_POLICIES.join(', ')}` 
+      });
+    }
+
+    approvalService.setToolPolicy(toolId, policy);
+
+    res.json({
+      success: true,
+      tool: { ...tool, ...approvalService.getToolPolicy(tool) }
+    });
+  } catch (error) {
+    console.error('Set tool policy error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Get prompt templates from all MCP servers
+router.get('/prompts', (req, res) => {
+  try {
+    const prompts = mcpService.getAvailablePrompts();
+    res.json({
+      success: true,
+      prompts
+    });
+  } catch (error) {
+    console.error('Get MCP prompts error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Render a prompt template with arguments
+router.post('/prompts/:serverId/:name', async (req, res) => {
+  try {
+    const { serverId, name } = req.params;
+    const { arguments: args = {} } = req.body;
+    
+    const prompt = mcpService.getAvailablePrompts()
+      .find(p => p.serverId === serverId && p.name === name);
+    
+    if (!prompt) {
+      return res.status(404).json({ 
+        error: 'Prompt not found' 
+      });
+    }
+
+    const missing = prompt.arguments
+      .filter(arg => arg.required && (args[arg.name] === undefined || args[arg.name] === ''))
+      .map(arg => arg.name);
+    
+    if (missing.length > 0) {
+      return res.status(400).json({ 
+        error: `Missing required arguments: ${missing.join(', ')}` 
+      });
+    }
+
+    // MCP prompt arguments are always strings
+    const stringArgs = Object.fromEntries(
+      Object.entries(args).map(([key, value]) => [key, String(value)])
+    );
+
+    const rendered = await mcpService.getPrompt(serverId, name, stringArgs);
+    
+    res.json({
+      success: true,
+      prompt: {
+        id: prompt.id,
+        ...rendered
+      }
+    });
+
+  } catch (error) {
+    console.error('Render MCP prompt error:', error);
+    res.status(502).json({ 
+      error: 'Failed to render prompt',
+      message: error.message 
+    });
+  }
+});
+
 // Get specific MCP server details
 router.get('/servers/:id', (req, res) => {
   try {
@@ -66,28 +178,101 @@ router.get('/servers/:id', (req, res) => {
   }
 });
 
-// Update MCP server configuration
-router.put('/servers/:id', (req, res) => {
+// Connect (or stop) a server after its config was saved and return its
+// status. Connect failures end up in the status and restart with backoff.
+const applyServerConfig = async (id) => {
   try {
-    const { id } = req.params;
-    const updates = req.body;
+    await mcpService.applyServerConfig(id);
+  } catch (error) {
+    console.error(`Apply MCP server config error (${id}):`, error);
+  }
+  return mcpService.getServerStatus()[id] || null;
+};
+
+// Add a new MCP server (admins only); stdio servers run their command on this host
+router.post('/servers', optionalAuth, async (req, res) => {
+  try {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ 
+        error: 'Only admins can add MCP servers' 
+      });
+    }
+
+    const { server, problems } = resolveServerConfig(req.body || {}, database.getMCPDefaults());
     
-    const updated = database.updateMCPServer(id, updates);
+    if (problems.length > 0) {
+      return res.status(400).json({ 
+        error: 'Invalid MCP server configuration',
+        details: problems
+      });
+    }
+
+    if (database.getMCPServer(server.id)) {
+      return res.status(409).json({ 
+        error: `MCP server already exists: ${server.id}` 
+      });
+    }
+
+    database.saveMCPServer(server);
+    const status = await applyServerConfig(server.id);
+
+    res.status(201).json({
+      success: true,
+      server,
+      status
+    });
+
+  } catch (error) {
+    console.error('Create MCP server error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Update MCP server configuration (admins only); stdio servers run their command on this host
+router.put('/servers/:id', optionalAuth, async (req, res) => {
+  try {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ 
+        error: 'Only admins can change MCP servers' 
+      });
+    }
+
+    const { id } = req.params;
+    const existing = database.getMCPServer(id);
     
-    if (!updated) {
+    if (!existing) {
       return res.status(404).json({ 
         error: 'MCP server not found' 
       });
     }
 
-    // Reconnect to the server if connection details changed
-    if (updates.host || updates.port) {
-      mcpService.reconnectToServer(id);
+    const updates = req.body || {};
+    if (updates.id !== undefined && updates.id !== id) {
+      return res.status(400).json({ 
+        error: 'MCP server id cannot be changed' 
+      });
+    }
+
+    const { server, problems } = resolveServerConfig({ ...existing, ...updates, id }, database.getMCPDefaults());
+    
+    if (problems.length > 0) {
+      return res.status(400).json({ 
+        error: 'Invalid MCP server configuration',
+        details: problems
+      });
     }
 
+    const updated = database.saveMCPServer(server);
+
+    // Any change reconnects (or stops) the server; tool sets follow
+    const status = await applyServerConfig(id);
+
     res.json({
       success: true,
-      server: updated
+      server: updated,
+      status
     });
 
   } catch (error) {
@@ -98,9 +283,48 @@ router.put('/servers/:id', (req, res) => {
   }
 });
 
-// Reconnect to MCP server
-router.post('/servers/:id/reconnect', async (req, res) => {
+// Remove an MCP server (admins only)
+router.delete('/servers/:id', optionalAuth, (req, res) => {
+  try {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ 
+        error: 'Only admins can remove MCP servers' 
+      });
+    }
+
+    const { id } = req.params;
+    
+    if (!database.getMCPServer(id)) {
+      return res.status(404).json({ 
+        error: 'MCP server not found' 
+      });
+    }
+
+    mcpService.removeServer(id);
+    database.deleteMCPServer(id);
+
+    res.json({
+      success: true,
+      message: `MCP server ${id} removed`
+    });
+
+  } catch (error) {
+    console.error('Delete MCP server error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Reconnect to MCP server (admins only)
+router.post('/servers/:id/reconnect', optionalAuth, async (req, res) => {
   try {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ 
+        error: 'Only admins can reconnect MCP servers' 
+      });
+    }
+
     const { id } = req.params;
     
     await mcpService.reconnectToServer(id);
@@ -119,9 +343,15 @@ router.post('/servers/:id/reconnect', async (req, res) => {
   }
 });
 
-// Test MCP server connection
-router.post('/servers/:id/test', async (req, res) => {
+// Test MCP server connection (admins only)
+router.post('/servers/:id/test', optionalAuth, async (req, res) => {
   try {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ 
+        error: 'Only admins can test MCP servers' 
+      });
+    }
+
     const { id } = req.params;
     const status = mcpService.getServerStatus()[id];
     
@@ -165,6 +395,129 @@ router.get('/servers/:id/tools', (req, res) => {
   }
 });
 
+// Get MCP server resources and resource templates
+router.get('/servers/:id/resources', (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!database.getMCPServer(id)) {
+      return res.status(404).json({ 
+        error: 'MCP server not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      resources: mcpService.getResources(id),
+      resourceTemplates: mcpService.getResourceTemplates(id),
+      subscriptions: mcpService.getSubscriptions(id)
+    });
+
+  } catch (error) {
+    console.error('Get MCP server resources error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Read a resource by URI
+router.get('/servers/:id/resources/read', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { uri } = req.query;
+    
+    if (!uri) {
+      return res.status(400).json({ 
+        error: 'Resource uri is required' 
+      });
+    }
+
+    const result = await mcpService.readResource(id, uri);
+    
+    res.json({
+      success: true,
+      uri,
+      contents: result.contents || []
+    });
+
+  } catch (error) {
+    console.error('Read MCP resource error:', error);
+    res.status(502).json({ 
+      error: 'Failed to read resource',
+      message: error.message 
+    });
+  }
+});
+
+// Subscribe to resource updates (pushed as 'mcp_resource_updated'; admins only)
+router.post('/servers/:id/resources/subscribe', optionalAuth, async (req, res) => {
+  try {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ 
+        error: 'Only admins can subscribe to MCP resources' 
+      });
+    }
+
+    const { id } = req.params;
+    const { uri } = req.body;
+    
+    if (!uri) {
+      return res.status(400).json({ 
+        error: 'Resource uri is required' 
+      });
+    }
+
+    await mcpService.subscribeResource(id, uri);
+    
+    res.json({
+      success: true,
+      message: `Subscribed to ${uri}`
+    });
+
+  } catch (error) {
+    console.error('Subscribe MCP resource error:', error);
+    res.status(502).json({ 
+      error: 'Failed to subscribe to resource',
+      message: error.message 
+    });
+  }
+});
+
+// Unsubscribe from resource updates (admins only)
+router.post('/servers/:id/resources/unsubscribe', optionalAuth, async (req, res) => {
+  try {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ 
+        error: 'Only admins can unsubscribe from MCP resources' 
+      });
+    }
+
+    const { id } = req.params;
+    const { uri } = req.body;
+    
+    if (!uri) {
+      return res.status(400).json({ 
+        error: 'Resource uri is required' 
+      });
+    }
+
+    await mcpService.unsubscribeResource(id, uri);
+    
+    res.json({
+      success: true,
+      message: `Unsubscribed from ${uri}`
+    });
+
+  } catch (error) {
+    console.error('Unsubscribe MCP resource error:', error);
+    res.status(502).json({ 
+      error: 'Failed to unsubscribe from resource',
+      message: error.message 
+    });
+  }
+});
+
 module.exports = router;
 
 
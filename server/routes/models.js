@@ -3,13 +3,14 @@ const llmService = require('../services/llmService');
 
 const router = express.Router();
 
-// Get all available LLM models
+// The full model catalogue; `available` tells which ones have an API key
 router.get('/', (req, res) => {
   try {
-    const models = llmService.getAvailableModels();
     res.json({
       success: true,
-      models
+      models: llmService.getCatalogue(),
+      defaults: llmService.getDefaultModels(),
+      routing: llmService.getRoutingPolicy()
     });
   } catch (error) {
     console.error('Get models error:', error);
@@ -19,20 +20,18 @@ router.get('/', (req, res) => {
   }
 });
 
-// Get specific model details
-router.get('/:provider', (req, res) => {
+// Get specific model details; a provider name gives its default model
+router.get('/:id', (req, res) => {
   try {
-    const { provider } = req.params;
+    const entry = llmService.findModel(req.params.id);
+    const model = entry && llmService.getCatalogue().find(m => m.id === entry.id);
     
-    if (!llmService.validateProvider(provider)) {
+    if (!model) {
       return res.status(404).json({ 
-        error: 'Model not found or not configured' 
+        error: 'Model not found' 
       });
     }
 
-    const models = llmService.getAvailableModels();
-    const model = models.find(m => m.id === provider);
-    
     res.json({
       success: true,
       model
@@ -46,26 +45,39 @@ router.get('/:provider', (req, res) => {
   }
 });
 
-// Test model connection
-router.post('/:provider/test', async (req, res) => {
+// Test model connection; replies are kept short unless `parameters` say
+// otherwise
+router.post('/:id/test', async (req, res) => {
   try {
-    const { provider } = req.params;
-    const { prompt = 'Hello, this is a test message.' } = req.body;
+    const { prompt = 'Hello, this is a test message.', parameters = {} } = req.body;
+    const entry = llmService.findModel(req.params.id);
     
-    if (!llmService.validateProvider(provider)) {
+    if (!entry || !llmService.getAvailableModels().some(m => m.id === entry.id)) {
       return res.status(404).json({ 
         error: 'Model not found or not configured' 
       });
     }
 
-    const response = await llmService.generateResponse(provider, prompt, { maxTokens: 50 });
+    const overrides = { maxTokens: 50, ...parameters };
+    const problems = llmService.validateParameters(entry.id, overrides);
+    if (problems.length > 0) {
+      return res.status(400).json({ 
+        error: 'Invalid generation parameters',
+        details: problems
+      });
+    }
+
+    const response = await llmService.generateResponse(entry.provider, prompt, { model: entry.id, parameters: overrides });
     
     res.json({
       success: true,
       test: {
-        provider,
+        provider: entry.provider,
+        model: entry.id,
+        parameters: llmService.resolveParameters(entry.id, overrides),
         prompt,
         response: response.content,
+        usage: response.usage,
         timestamp: new Date().toISOString()
       }
     });
@@ -79,23 +91,25 @@ router.post('/:provider/test', async (req, res) => {
   }
 });
 
-// Get model configuration
-router.get('/:provider/config', (req, res) => {
+// Generation parameters a request gets unless it overrides them, and the
+// limits overrides must stay within
+router.get('/:id/config', (req, res) => {
   try {
-    const { provider } = req.params;
+    const entry = llmService.findModel(req.params.id);
     
-    if (!llmService.validateProvider(provider)) {
+    if (!entry || !llmService.getAvailableModels().some(m => m.id === entry.id)) {
       return res.status(404).json({ 
         error: 'Model not found or not configured' 
       });
     }
 
-    // Return model-specific configuration
     const config = {
-      provider,
-      temperature: 0.7,
-      maxTokens: 4000,
-      timeout: 30000
+      provider: entry.provider,
+      model: entry.id,
+      contextWindow: entry.contextWindow,
+      maxOutputTokens: entry.maxOutputTokens,
+      ...llmService.resolveParameters(entry.id),
+      limits: llmService.getParameterLimits(entry.id)
     };
 
     res.json({
@@ -0,0 +1,82 @@
+const express = require('express');
+const promptService = require('../services/promptService');
+
+const router = express.Router();
+
+// ?version= as a number, null when absent; NaN when it is not one
+const parseVersion = (version) => (version === undefined ? null : Number(version));
+
+// Personas a chat can pick, latest version of each
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      personas: promptService.getPersonas()
+    });
+  } catch (error) {
+    console.error('Get prompts error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// One persona with its template; ?version= picks an older version
+router.get('/:id', (req, res) => {
+  try {
+    const version = parseVersion(req.query.version);
+    const persona = Number.isNaN(version) ? null : promptService.getPersona(req.params.id, version);
+
+    if (!persona) {
+      return res.status(404).json({ 
+        error: 'Persona not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      persona: { ...persona, versions: promptService.getVersions(persona.id) }
+    });
+  } catch (error) {
+    console.error('Get prompt error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Preview the system prompt text of a persona with the given variables
+router.post('/:id/render', (req, res) => {
+  try {
+    const { version = null, variables = {} } = req.body;
+    const persona = promptService.getPersona(req.params.id, version);
+
+    if (!persona) {
+      return res.status(404).json({ 
+        error: 'Persona not found' 
+      });
+    }
+
+    const problems = promptService.validateVariables(persona, variables);
+    if (problems.length > 0) {
+      return res.status(400).json({ 
+        error: 'Invalid persona variables',
+        details: problems
+      });
+    }
+
+    res.json({
+      success: true,
+      id: persona.id,
+      version: persona.version,
+      prompt: promptService.render(persona, variables)
+    });
+  } catch (error) {
+    console.error('Render prompt error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error' 
+    });
+  }
+});
+
+module.exports = router;
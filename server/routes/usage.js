@@ -0,0 +1,143 @@
+const express = require('express');
+const usageService = require('../services/usageService');
+const { USAGE_GROUPS } = usageService;
+const { optionalAuth, isAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(optionalAuth);
+
+// Dates may be full ISO timestamps or plain days; a plain `to` day counts
+// in full
+const parseDate = (value, endOfDay = false) => {
+  if (value === undefined) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return undefined;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+};
+
+// Token and cost totals, filtered by date range, provider, conversation or
+// run. Admins see everyone; users see their own usage and anonymous
+// callers that of their X-Session-Id.
+router.get('/', (req, res) => {
+  try {
+    const { provider, conversationId, runId, userId, groupBy } = req.query;
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to, true);
+
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ 
+        error: 'from and to must be ISO dates' 
+      });
+    }
+
+    if (groupBy !== undefined && !USAGE_GROUPS.includes(groupBy)) {
+      return res.status(400).json({ 
+        error: `groupBy must be one of: ${USAGE_GROUPS.join(', ')}` 
+      });
+    }
+
+    const filters = { from, to, provider, conversationId, runId };
+    if (isAdmin(req.user)) {
+      filters.userId = userId;
+    } else if (req.user) {
+      if (userId !== undefined && userId !== req.user.id) {
+        return res.status(403).json({ 
+          error: 'Only admins can see other users\' usage' 
+        });
+      }
+      filters.userId = req.user.id;
+    } else {
+      const sessionId = req.get('x-session-id');
+      if (!sessionId) {
+        return res.status(401).json({ 
+          error: 'Sign in or send X-Session-Id to see usage' 
+        });
+      }
+      filters.userId = null;
+      filters.sessionId = sessionId;
+    }
+
+    res.json({
+      success: true,
+      currency: usageService.getPricing().currency,
+      from: from ? from.toISOString() : null,
+      to: to ? to.toISOString() : null,
+      ...usageService.query(filters, groupBy || null)
+    });
+  } catch (error) {
+    console.error('Get usage error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Prices used to cost each model
+router.get('/pricing', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      pricing: usageService.getPricing()
+    });
+  } catch (error) {
+    console.error('Get pricing error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// The caller's monthly budget and spend so far
+router.get('/budget', (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ 
+        error: 'Sign in to see your budget' 
+      });
+    }
+
+    res.json({
+      success: true,
+      budget: usageService.getBudgetStatus(req.user.id)
+    });
+  } catch (error) {
+    console.error('Get budget error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error' 
+    });
+  }
+});
+
+// Set a user's monthly budget (admins only); null restores the default
+router.put('/budgets/:userId', (req, res) => {
+  try {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ 
+        error: 'Only admins can set budgets' 
+      });
+    }
+
+    const { monthlyBudget } = req.body;
+    if (monthlyBudget !== null && (typeof monthlyBudget !== 'number' || !(monthlyBudget >= 0))) {
+      return res.status(400).json({ 
+        error: 'monthlyBudget must be null or a non-negative number' 
+      });
+    }
+
+    res.json({
+      success: true,
+      budget: usageService.setMonthlyBudget(req.params.userId, monthlyBudget)
+    });
+  } catch (error) {
+    console.error('Set budget error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error' 
+    });
+  }
+});
+
+module.exports = router;
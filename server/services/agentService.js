@@ -1,35 +1,92 @@
 const { ChatOpenAI } = require('@langchain/openai');
 const { ChatAnthropic } = require('@langchain/anthropic');
 const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
-const { AgentExecutor, createOpenAIFunctionsAgent, createReactAgent } = require('langchain/agents');
-const { PromptTemplate } = require('@langchain/core/prompts');
+const { SystemMessage, HumanMessage, AIMessage, ToolMessage } = require('@langchain/core/messages');
 const { DynamicStructuredTool } = require('@langchain/core/tools');
+const { v4: uuidv4 } = require('uuid');
 const llmService = require('./llmService');
 const mcpService = require('./mcpService');
+const approvalService = require('./approvalService');
+const sessionService = require('./sessionService');
+const memoryService = require('./memoryService');
+const usageService = require('./usageService');
+const { PromptToolModel } = require('./promptToolModel');
+const promptService = require('./promptService');
+const {
+  createOutputValidator,
+  parseJsonReply,
+  describeOutputSchema,
+  supportsNativeOutput,
+  outputResponseFormat,
+  outputTool,
+  bindStructuredOutput,
+  OUTPUT_NAME,
+  MAX_REPAIRS
+} = require('./structuredOutput');
+const { ToolApprovalRejectedError } = approvalService;
+const { LLMProviderError } = llmService;
+
+// Deployment-wide limits for a single agent run; a chat request may override them
+const DEFAULT_RUN_LIMITS = {
+  maxSteps: Number(process.env.AGENT_MAX_STEPS) || 5,
+  maxToolCalls: Number(process.env.AGENT_MAX_TOOL_CALLS) || 10,
+  timeBudgetMs: Number(process.env.AGENT_TIME_BUDGET_MS) || 120000
+};
+
+const BUDGET_DESCRIPTIONS = {
+  maxSteps: limits => `the step limit (${limits.maxSteps} steps)`,
+  maxToolCalls: limits => `the tool call limit (${limits.maxToolCalls} calls)`,
+  timeBudgetMs: limits => `the time budget (${limits.timeBudgetMs >= 1000 ? `${limits.timeBudgetMs / 1000}s` : `${limits.timeBudgetMs}ms`})`
+};
+
+// The run's own signal plus a deadline, combined by hand because
+// AbortSignal.any needs Node 20.3. Call release() once the call settles.
+const withDeadline = (signal, ms) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new DOMException('The operation timed out.', 'TimeoutError')), ms);
+  const forwardAbort = () => controller.abort(signal.reason);
+  if (signal && signal.aborted) {
+    forwardAbort();
+  } else if (signal) {
+    signal.addEventListener('abort', forwardAbort, { once: true });
+  }
+  const release = () => {
+    clearTimeout(timer);
+    if (signal) {
+      signal.removeEventListener('abort', forwardAbort);
+    }
+  };
+  return { signal: controller.signal, release };
+};
+
+// Provider tool names may only use letters, digits, "_" and "-", so the
+// "server:tool" ids of MCP tools become "server__tool"
+const toLLMToolName = (id) => id.replace(/:/g, '__').replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 64);
 
 class AgentService {
   constructor() {
     this.agents = new Map();
-    this.io = null; // Will be set by the server
+    // Ids of 'auto' models whose backend rejected native tool calling
+    this.promptToolModels = new Set();
+    this.toolRefreshTimer = null;
     this.initializeAgents();
-  }
 
-  setSocketIO(io) {
-    this.io = io;
+    // Rebuild agents whenever the live MCP tool set changes
+    mcpService.on('toolsChanged', () => this.scheduleToolRefresh());
+    mcpService.on('resourcesChanged', () => this.scheduleToolRefresh());
   }
 
-  sendLogEntry(type, data, sessionId = 'default') {
-    if (this.io) {
-      const logEntry = {
-        id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
-        type,
-        timestamp: new Date().toISOString(),
-        data,
-        sessionId
-      };
-      this.io.emit('agent_log', logEntry);
-      console.log(`📝 Log sent: ${type}`, data);
-    }
+  // Log entries only reach the session that started the run (and the admin firehose)
+  sendLogEntry(type, data, sessionId = null) {
+    const logEntry = {
+      id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
+      type,
+      timestamp: new Date().toISOString(),
+      data,
+      sessionId
+    };
+    sessionService.emitToSession(sessionId, 'agent_log', logEntry);
+    console.log(`📝 Log sent: ${type}`, data);
   }
 
   async initializeAgents() {
@@ -42,7 +99,7 @@ class AgentService {
       }
       
       for (const model of availableModels) {
-        const agent = await this.createAgent(model.id);
+        const agent = await this.createAgent(model);
         if (agent === null) {
           console.log(`Skipping ${model.id} due to agent creation failure`);
         }
@@ -54,78 +111,141 @@ class AgentService {
     }
   }
 
-  async createAgent(provider) {
+  // One agent per registered model; models without tool support get none
+  async createAgent(entry) {
+    const { provider, id: modelId } = entry;
     try {
-      console.log(`Creating agent for provider: ${provider}`);
-      const llm = this.createLLMInstance(provider);
-      console.log(`LLM instance created for ${provider}:`, llm.constructor.name);
-      
-      const tools = await this.createTools();
-      console.log(`Tools created for ${provider}:`, tools.length);
+      console.log(`Creating agent for model: ${modelId} (${provider})`);
+      const llm = this.createLLMInstance(provider, modelId);
+      console.log(`LLM instance created for ${modelId}:`, llm.constructor.name);
       
-      const prompt = this.createPrompt();
-      console.log(`Prompt created for ${provider}`);
+      const tools = entry.tools ? await this.createTools({ provider }) : [];
+      console.log(`Tools created for ${modelId}:`, tools.length);
       
-      // Try to create agent with error handling
-      let agent;
-      try {
-        if (provider === 'openai') {
-          agent = await createOpenAIFunctionsAgent({
-            llm,
-            tools,
-            prompt
-          });
-        } else {
-          // For Google and Anthropic, use ReAct agent which is more compatible
-          agent = await createReactAgent({
-            llm,
-            tools,
-            prompt
-          });
-        }
-        console.log(`Agent created for ${provider}`);
-      } catch (error) {
-        console.error(`Failed to create agent for ${provider}:`, error.message);
-        // Skip this provider if agent creation fails
-        return null;
-      }
-
-      const agentExecutor = new AgentExecutor({
-        agent,
-        tools,
-        verbose: true,
-        maxIterations: 5
-      });
-      console.log(`Agent executor created for ${provider}`);
+      // Models found to reject native tool definitions keep the prompt
+      // protocol when their agent is rebuilt
+      const toolCalling = this.promptToolModels.has(modelId) ? 'prompt' : entry.toolCalling;
+      const model = this.bindTools(provider, llm, tools, toolCalling);
+      console.log(`Tools bound to ${modelId} model (${toolCalling} tool calling)`);
 
-      this.agents.set(provider, agentExecutor);
-      console.log(`✅ Agent successfully created and stored for provider: ${provider}`);
+      this.agents.set(modelId, { provider, modelId, llm, model, tools, toolCalling, parameters: entry.parameters });
+      console.log(`✅ Agent successfully created and stored for model: ${modelId}`);
       
     } catch (error) {
-      console.error(`❌ Failed to create agent for ${provider}:`, error);
+      console.error(`❌ Failed to create agent for ${modelId}:`, error);
       console.error(`Error details:`, error.stack);
+      return null;
+    }
+  }
+
+  // Give each provider its native tool definitions. MCP tools describe their
+  // input with JSON Schema, which the installed OpenAI and Anthropic
+  // integrations would otherwise try to convert from zod. With 'prompt'
+  // tool calling the tools are described in the prompt instead.
+  // An output `schema` is bound next to the tools where the provider
+  // supports it: as OpenAI's response format, or as one more tool whose
+  // call is the answer (Anthropic, Google).
+  bindTools(provider, llm, tools, toolCalling = 'native', schema = null) {
+    const nativeOutput = Boolean(schema) && toolCalling !== 'prompt' && supportsNativeOutput(provider);
+    if (tools.length === 0 && !nativeOutput) {
+      return llm;
+    }
+
+    if (toolCalling === 'prompt') {
+      return new PromptToolModel(llm, tools);
+    }
+
+    if (provider === 'openai' && nativeOutput) {
+      return llm.bind({
+        ...(tools.length > 0 && { tools: tools.map(this.toFunctionDefinition) }),
+        response_format: outputResponseFormat(schema)
+      });
+    }
+
+    const boundTools = nativeOutput ? [...tools, outputTool(schema)] : tools;
+    if (provider === 'anthropic') {
+      return llm.bindTools(boundTools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.schema
+      })));
+    }
+
+    const definitions = boundTools.map(this.toFunctionDefinition);
+    return typeof llm.bindTools === 'function'
+      ? llm.bindTools(definitions)
+      : llm.bind({ tools: definitions });
+  }
+
+  toFunctionDefinition(tool) {
+    return {
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.schema
+      }
+    };
+  }
+
+  // A run that overrides generation parameters gets its own copy of the
+  // agent, with the model rebuilt and the same tools bound again
+  withParameters(agent, overrides = {}, { clamp = false } = {}) {
+    if (Object.keys(overrides).length === 0) {
+      return agent;
     }
+    const parameters = llmService.resolveParameters(agent.modelId, overrides, { clamp });
+    const llm = llmService.createModel(llmService.getModelEntry(agent.modelId), parameters);
+    return { ...agent, llm, model: this.bindTools(agent.provider, llm, agent.tools, agent.toolCalling), parameters };
   }
 
-    createLLMInstance(provider) {
+  // A persona with a `tools` list limits the run to the matching tools
+  withPersona(agent, persona) {
+    if (!persona || !persona.tools) {
+      return agent;
+    }
+    const tools = agent.tools.filter(tool => promptService.allowsTool(persona, tool.name));
+    return { ...agent, tools, model: this.bindTools(agent.provider, agent.llm, tools, agent.toolCalling) };
+  }
+
+  // A run that wants a structured answer has the schema bound from its
+  // first call on, so a conforming answer needs no extra call
+  withOutputSchema(agent, schema) {
+    if (!schema) {
+      return agent;
+    }
+    return { ...agent, model: this.bindTools(agent.provider, agent.llm, agent.tools, agent.toolCalling, schema) };
+  }
+
+  createLLMInstance(provider, modelId) {
     // Use the models directly from llmService
     try {
-      return llmService.getModel(provider);
+      return llmService.getModel(provider, modelId);
     } catch (error) {
-      console.error(`Error getting model for ${provider}:`, error);
+      console.error(`Error getting model ${modelId} for ${provider}:`, error);
       throw error;
     }
   }
 
-  async createTools() {
+  async createTools(context = {}) {
     const mcpTools = mcpService.getAvailableTools();
     
     const tools = mcpTools.map(tool => {
       return new DynamicStructuredTool({
-        name: tool.id,
+        name: toLLMToolName(tool.id),
         description: tool.description,
         schema: tool.parameters,
-        func: async (input) => {
+        func: async (input, runManager, config = {}) => {
+          // Side-effecting tools wait here for a user decision; a rejection
+          // throws ToolApprovalRejectedError and aborts the whole run.
+          // The run id and session arrive through the call's configurable,
+          // the run's signal ends the wait when the run is over.
+          const runContext = { ...context, ...(config.configurable || {}) };
+          const authorization = await approvalService.authorize(tool, input, runContext, config.signal || null);
+          if (!authorization.allowed) {
+            return `Tool ${tool.name} is not permitted: ${authorization.reason}`;
+          }
+
           try {
             const result = await mcpService.invokeTool(tool.id, input);
             return JSON.stringify(result);
@@ -136,6 +256,8 @@ class AgentService {
       });
     });
 
+    tools.push(...this.createResourceTools());
+
     // Add a simple weather tool
     const weatherTool = new DynamicStructuredTool({
       name: 'get_weather',
@@ -199,39 +321,106 @@ class AgentService {
     return tools;
   }
 
-  createPrompt() {
-    return PromptTemplate.fromTemplate(`
-You are an intelligent AI agent with access to various tools through MCP (Model Context Protocol) servers.
+  // One read tool per server that publishes resources, so the agent can
+  // pull in documents such as accounts or price books on demand
+  createResourceTools() {
+    return mcpService.getResourceServers().map(serverId => {
+      const listed = mcpService.getResources(serverId).slice(0, 20)
+        .map(resource => `${resource.uri}${resource.name ? ` (${resource.name})` : ''}`);
+      const templates = mcpService.getResourceTemplates(serverId)
+        .map(template => template.uriTemplate);
 
-Your capabilities include:
-- Reasoning about user requests
-- Selecting appropriate tools to accomplish tasks
-- Executing tools with proper parameters
-- Providing clear explanations of your actions
+      const description = [
+        `Read a resource published by the ${serverId} MCP server by its URI.`,
+        listed.length > 0 ? `Known resources: ${listed.join(', ')}.` : '',
+        templates.length > 0 ? `URI templates: ${templates.join(', ')}.` : ''
+      ].filter(Boolean).join(' ');
 
-Available tools:
-{tool_names}
+      return new DynamicStructuredTool({
+        name: toLLMToolName(`${serverId}:read_resource`),
+        description,
+        schema: {
+          type: 'object',
+          properties: {
+            uri: {
+              type: 'string',
+              description: 'The resource URI to read'
+            }
+          },
+          required: ['uri'],
+          additionalProperties: false
+        },
+        func: async ({ uri }) => {
+          try {
+            const result = await mcpService.readResource(serverId, uri);
+            return this.formatResourceContents(result.contents || []);
+          } catch (error) {
+            return `Error reading resource ${uri}: ${error.message}`;
+          }
+        }
+      });
+    });
+  }
+
+  formatResourceContents(contents) {
+    return contents.map(item => {
+      if (item.text !== undefined) {
+        return item.text;
+      }
+      const size = item.blob ? Buffer.from(item.blob, 'base64').length : 0;
+      return `[binary resource ${item.uri} (${item.mimeType || 'unknown type'}, ${size} bytes)]`;
+    }).join('\n');
+  }
 
-Tool descriptions:
-{tools}
+  // Read resources the user attached to a message and format them as context
+  async buildResourceContext(resources = []) {
+    const sections = [];
 
-When a user asks you to do something:
-1. Think about what tools might be needed
-2. Use the appropriate tools to gather information or perform actions
-3. Explain what you're doing and why
-4. Provide a comprehensive response based on the results
+    for (const { serverId, uri } of resources) {
+      try {
+        const result = await mcpService.readResource(serverId, uri);
+        sections.push(`--- Resource ${uri} (${serverId}) ---\n${this.formatResourceContents(result.contents || [])}`);
+      } catch (error) {
+        console.error(`Error attaching resource ${uri} from ${serverId}:`, error);
+        sections.push(`--- Resource ${uri} (${serverId}) ---\n[Unavailable: ${error.message}]`);
+      }
+    }
 
-Current conversation:
-{chat_history}
+    return sections.join('\n\n');
+  }
 
-User: {input}
-{agent_scratchpad}
-`);
+  // Base prompt from the prompt library, the persona's prompt and the
+  // shared guidance. The conversation summary and pinned facts stand in
+  // for history that no longer fits the memory budget. A requested output
+  // schema comes last so it overrides the guidance's response format.
+  createSystemPrompt(memory = null, personaPrompt = null, outputSchema = null) {
+    const sections = [promptService.getBasePrompt()];
+    if (personaPrompt) {
+      sections.push(personaPrompt);
+    }
+    sections.push(...promptService.getGuidance());
+    if (memory && memory.pinned.length > 0) {
+      sections.push(`Pinned facts (always hold for this conversation):\n${memory.pinned.map(fact => `- ${fact}`).join('\n')}`);
+    }
+    if (memory && memory.summary) {
+      sections.push(`Summary of the earlier conversation:\n${memory.summary}`);
+    }
+    if (outputSchema) {
+      sections.push(describeOutputSchema(outputSchema));
+    }
+    return sections.join('\n\n');
   }
 
-  async processMessage(provider, message, chatHistory = []) {
+  async processMessage(provider, message, chatHistory = [], options = {}) {
+    const runId = options.runId || uuidv4();
+    const fallbacks = [];
+    // The requested model, or the provider's default one
+    const modelId = options.model || llmService.getDefaultModelId(provider);
+    // A persona from the prompt library, already checked by the caller
+    const persona = options.persona || null;
+    const personaRef = persona ? { id: persona.id, version: persona.version } : null;
     try {
-      const agent = this.agents.get(provider);
+      const agent = this.agents.get(modelId);
       if (!agent) {
         // Demo mode - provide a helpful response when no agents are available
         if (this.agents.size === 0) {
@@ -244,6 +433,8 @@ User: {input}
 - ANTHROPIC_API_KEY for Claude
 - GOOGLE_API_KEY for Gemini
 
+To try the app without network access, set MOCK_LLM_FIXTURES to a file of scripted responses instead.
+
 **Your message:** "${message}"
 
 Once you add the API keys and restart the server, I'll be able to process your requests using the selected AI model and available MCP tools.`,
@@ -254,342 +445,709 @@ Once you add the API keys and restart the server, I'll be able to process your r
           };
         }
         
-        throw new Error(`Agent not available for provider: ${provider}`);
+        throw new Error(`Agent not available for model: ${modelId}`);
       }
 
-      // Prepare the input for the agent
-      const input = {
-        input: message,
-        chat_history: chatHistory.map(msg => `${msg.role}: ${msg.content}`).join('\n'),
-        tools: await this.getToolDescriptions()
-      };
+      // The requested model first, then the default models of the fallback
+      // providers; providers with an open circuit are skipped. Parameter
+      // overrides are fitted to the limits of fallback models.
+      const route = llmService.getRoute(provider, { fallback: options.fallback !== false })
+        .map(candidate => this.agents.get(candidate === provider ? modelId : llmService.getDefaultModelId(candidate)))
+        .filter(Boolean)
+        .map(candidate => this.withParameters(candidate, options.parameters, { clamp: candidate.modelId !== modelId }))
+        .map(candidate => this.withPersona(candidate, persona))
+        .map(candidate => this.withOutputSchema(candidate, options.schema));
+      if (route.length === 0) {
+        const { openUntil } = llmService.getCircuit(provider);
+        throw new Error(`${this.getProviderName(provider)} is temporarily unavailable after repeated failures (retrying after ${openUntil})`);
+      }
 
-      console.log(`Processing message with ${provider} agent:`, message);
-      console.log('Agent available:', !!agent);
-      console.log('Tools available:', await this.getToolDescriptions());
+      // Attached MCP resources are passed to the model as context
+      const resourceContext = await this.buildResourceContext(options.resources);
+      const input = resourceContext
+        ? `${message}\n\nAttached resources:\n${resourceContext}`
+        : message;
+
+      const messages = [
+        new SystemMessage(this.createSystemPrompt(
+          options.memory,
+          persona && promptService.render(persona, options.variables),
+          options.schema
+        )),
+        ...chatHistory.map(msg => (msg.role === 'assistant'
+          ? new AIMessage(msg.content)
+          : new HumanMessage(msg.content))),
+        new HumanMessage(input)
+      ];
+
+      console.log(`Processing message with ${modelId} agent:`, message);
+
+      // Streaming callers get run events (tokens, tool calls) through onEvent
+      const run = {
+        runId,
+        sessionId: options.sessionId || null,
+        userId: options.userId || null,
+        conversationId: options.conversationId || null,
+        limits: this.getRunLimits(options.limits),
+        startedAt: Date.now(),
+        toolCallCount: 0,
+        signal: options.signal || null,
+        output: options.schema ? { schema: options.schema, validate: createOutputValidator(options.schema) } : null,
+        streaming: typeof options.onEvent === 'function',
+        emit: (type, data) => {
+          if (options.onEvent) {
+            options.onEvent(type, { runId, ...data });
+          }
+        }
+      };
+      run.emit('run_started', { provider, model: modelId, persona: personaRef, conversationId: options.conversationId || null, limits: run.limits });
       
       // Log point A: After invoking LLM with request details
       this.sendLogEntry('llm_request', {
         provider,
+        model: modelId,
         message,
         chatHistory: chatHistory.length,
-        tools: await this.getToolDescriptions()
-      });
-      
-      try {
-        // Execute the agent
-        const result = await agent.invoke(input);
-
-        // Log point B: After receiving initial response from LLM with detailed response including tools request
-        this.sendLogEntry('llm_response', {
-          provider,
-          response: result.output,
-          intermediateSteps: result.intermediateSteps || []
-        });
+        memory: options.memory ? {
+          summary: Boolean(options.memory.summary),
+          pinned: options.memory.pinned.length,
+          summarized: options.memory.summarized,
+          omitted: options.memory.omitted
+        } : null,
+        parameters: route[0].parameters,
+        persona: personaRef,
+        resources: (options.resources || []).map(resource => resource.uri),
+        tools: route[0].tools.map(tool => tool.name)
+      }, run.sessionId);
 
-          // Check if the response contains tool calls that need to be executed
-          console.log('Checking for tool calls in result.output:', result.output);
-          const toolResult = await this.executeToolsFromResponse(result.output, provider, message, chatHistory);
-          console.log('Tool result:', toolResult);
-          if (toolResult) {
-            return {
-              success: true,
-              response: toolResult.response,
-              reasoning: toolResult.reasoning || [],
-              toolsUsed: toolResult.toolsUsed || [],
-              provider,
-              timestamp: new Date().toISOString()
-            };
+      // A provider that fails is replaced by the next one in the route, but
+      // only while no tool has run, so tool side effects never repeat
+      let result = null;
+      let answeredBy = null;
+      for (const [index, candidate] of route.entries()) {
+        try {
+          result = await this.runAgent(candidate, [...messages], run);
+          answeredBy = candidate;
+          break;
+        } catch (error) {
+          const next = route[index + 1];
+          if (!(error instanceof LLMProviderError) || run.toolCallCount > 0 || !next) {
+            throw error;
           }
 
-          return {
-            success: true,
-            response: result.output,
-            reasoning: result.intermediateSteps || [],
-            toolsUsed: this.extractToolsUsed(result.intermediateSteps || []),
-            provider,
-            timestamp: new Date().toISOString()
+          fallbacks.push({ provider: candidate.provider, model: candidate.modelId, error: error.message, status: error.status });
+          const fallback = {
+            from: candidate.provider,
+            to: next.provider,
+            fromModel: candidate.modelId,
+            toModel: next.modelId,
+            error: error.message
           };
-        } catch (agentError) {
-        console.error(`Error processing message with ${provider}:`, agentError);
-        
-        // If it's a parsing error, try to extract the LLM response from the error
-        if (agentError.message && agentError.message.includes('Could not parse LLM output')) {
-          const llmResponse = agentError.message.split('Could not parse LLM output: ')[1];
-          if (llmResponse) {
-            // Try to execute tools if the response contains tool calls
-            const toolResult = await this.executeToolsFromResponse(llmResponse.trim(), provider, message, chatHistory);
-            if (toolResult) {
-              return {
-                success: true,
-                response: toolResult.response,
-                reasoning: toolResult.reasoning || [],
-                toolsUsed: toolResult.toolsUsed || [],
-                provider,
-                timestamp: new Date().toISOString()
-              };
-            }
-            
-            return {
-              success: true,
-              response: llmResponse.trim(),
-              reasoning: [],
-              toolsUsed: [],
-              provider,
-              timestamp: new Date().toISOString()
-            };
-          }
+          this.sendLogEntry('provider_fallback', fallback, run.sessionId);
+          run.emit('fallback', fallback);
         }
-        
-        // For other errors, return a helpful message
+      }
+
+      return {
+        success: true,
+        runId,
+        response: result.response,
+        reasoning: result.reasoning,
+        toolsUsed: result.toolsUsed,
+        budget: result.budget,
+        usage: usageService.getRunUsage(runId),
+        provider: answeredBy.provider,
+        model: answeredBy.modelId,
+        parameters: answeredBy.parameters,
+        persona: personaRef,
+        structuredOutput: result.structuredOutput,
+        requestedProvider: provider,
+        requestedModel: modelId,
+        fallbacks,
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      if (error instanceof ToolApprovalRejectedError) {
         return {
-          success: false,
-          error: `Agent execution failed: ${agentError.message}`,
-          provider,
-          timestamp: new Date().toISOString()
+          ...this.abortedRun(provider, error, options.sessionId),
+          model: modelId,
+          persona: personaRef,
+          runId,
+          usage: usageService.getRunUsage(runId)
         };
       }
 
-    } catch (error) {
       console.error(`Error processing message with ${provider}:`, error);
       
-      // Provide more helpful error messages for common issues
-      let errorMessage = error.message;
-      if (error.message.includes('gemini-pro is not found')) {
-        errorMessage = 'The Gemini model "gemini-pro" is deprecated. Please update to use "gemini-1.5-pro" or "gemini-1.5-flash".';
-      } else if (error.message.includes('API key')) {
-        errorMessage = 'API key issue detected. Please check your .env file configuration.';
-      } else if (error.message.includes('404')) {
-        errorMessage = 'Model not found or API endpoint issue. Please check the model name and API configuration.';
-      }
-      
       return {
         success: false,
-        error: errorMessage,
-        provider,
+        error: error instanceof LLMProviderError
+          ? llmService.describeError(error, this.getProviderName(error.provider))
+          : error.message,
+        runId,
+        usage: usageService.getRunUsage(runId),
+        provider: error.provider || provider,
+        model: error.provider && error.provider !== provider ? llmService.getDefaultModelId(error.provider) : modelId,
+        requestedProvider: provider,
+        requestedModel: modelId,
+        fallbacks,
         timestamp: new Date().toISOString()
       };
     }
   }
 
-  async getToolDescriptions() {
-    const tools = mcpService.getAvailableTools();
-    return tools.map(tool => 
-      `- ${tool.name}: ${tool.description} (Server: ${tool.serverId})`
-    ).join('\n');
+  // The same message on several models at once, for side-by-side
+  // evaluation. Each run starts without history, cannot fall back to
+  // another provider and calls the tools on its own, so a tool with side
+  // effects runs once per model.
+  async compareModels(modelIds, message, options = {}) {
+    return Promise.all(modelIds.map(async (modelId) => {
+      // An id without an agent fails on its own, like any other run
+      const agent = this.agents.get(modelId);
+      if (!agent) {
+        return { success: false, error: 'Model not available', runId: uuidv4(), provider: null, model: modelId, latencyMs: 0 };
+      }
+      const startedAt = Date.now();
+      const result = await this.processMessage(agent.provider, message, [], {
+        ...options,
+        model: modelId,
+        runId: uuidv4(),
+        fallback: false
+      });
+      return { ...result, latencyMs: Date.now() - startedAt };
+    }));
   }
 
-  extractToolsUsed(intermediateSteps) {
-    return intermediateSteps
-      .filter(step => step.action && step.action.tool)
-      .map(step => ({
-        tool: step.action.tool,
-        input: step.action.toolInput,
-        output: step.observation
-      }));
+  getRunLimits(overrides = {}) {
+    return { ...DEFAULT_RUN_LIMITS, ...overrides };
   }
 
-  async executeToolsFromResponse(response, provider, originalMessage, chatHistory = []) {
-    try {
-      console.log('Checking response for tool calls:', response);
-      
-      // Look for tool calls in the response
-      const toolCallRegex = /```tool_code\s*\n([^`]+?)\n```/gs;
-      const toolCalls = [];
-      let match;
-      
-      while ((match = toolCallRegex.exec(response)) !== null) {
-        const toolCall = match[1].trim();
-        toolCalls.push(toolCall);
+  // Returns a list of problems with per-request limit overrides
+  validateRunLimits(limits) {
+    if (limits === null || typeof limits !== 'object' || Array.isArray(limits)) {
+      return ['limits must be an object'];
+    }
+    return Object.entries(limits)
+      .filter(([key, value]) => !(key in DEFAULT_RUN_LIMITS) || !Number.isInteger(value) || value < 1)
+      .map(([key]) => (key in DEFAULT_RUN_LIMITS
+        ? `${key} must be a positive integer`
+        : `unknown limit "${key}" (use ${Object.keys(DEFAULT_RUN_LIMITS).join(', ')})`));
+  }
+
+  // Call the model, run the tools it asks for and feed the results back
+  // until it answers without requesting more tools or a budget runs out
+  async runAgent(agent, messages, run) {
+    const { provider } = agent;
+    const { limits, startedAt } = run;
+    const toolsUsed = [];
+    const reasoning = [];
+    let lastText = '';
+    let exhausted = null;
+    let step = 0;
+
+    const budget = () => ({
+      exhausted,
+      steps: step,
+      toolCalls: toolsUsed.length,
+      elapsedMs: Date.now() - startedAt,
+      limits
+    });
+
+    while (!exhausted) {
+      if (step >= limits.maxSteps) {
+        exhausted = 'maxSteps';
+        break;
       }
-      
-      console.log('Found tool calls:', toolCalls);
-      
-      if (toolCalls.length === 0) {
-        console.log('No tool calls found, returning null');
+      const remainingMs = limits.timeBudgetMs - (Date.now() - startedAt);
+      if (remainingMs <= 0) {
+        exhausted = 'timeBudgetMs';
+        break;
+      }
+
+      step++;
+      const deadline = withDeadline(run.signal, remainingMs);
+      let response;
+      try {
+        response = await this.callModel(agent, messages, deadline.signal, run);
+      } catch (error) {
+        if (run.signal && run.signal.aborted) {
+          throw new Error('Run cancelled by the client');
+        }
+        if (Date.now() - startedAt >= limits.timeBudgetMs) {
+          exhausted = 'timeBudgetMs';
+          break;
+        }
+        throw error;
+      } finally {
+        deadline.release();
+      }
+
+      const toolCalls = this.getToolCalls(response);
+      // With a bound output schema, a call of the answer tool is the answer
+      const answerCall = run.output ? toolCalls.find(call => call.name === OUTPUT_NAME) : null;
+      const text = answerCall && !answerCall.error ? JSON.stringify(answerCall.args) : this.getMessageText(response);
+      lastText = text || lastText;
+
+      // Log point B: Each model turn, including the tools it requested
+      this.sendLogEntry('llm_response', {
+        provider,
+        step,
+        response: text,
+        toolsUsed: toolCalls.map(call => call.name).join(', ') || 'none',
+        success: true
+      }, run.sessionId);
+
+      if (toolCalls.length === 0 || answerCall) {
+        if (toolsUsed.length > 0) {
+          this.sendLogEntry('llm_after_tools', {
+            provider,
+            finalResponse: text
+          }, run.sessionId);
+        }
+        this.sendLogEntry('agent_step', { provider, step, requestedTools: [], ...budget() }, run.sessionId);
+        const answer = { response: text, reasoning, toolsUsed, budget: budget() };
+        return run.output
+          ? { ...answer, ...(await this.structureResponse(agent, messages, text, run)) }
+          : answer;
+      }
+
+      if (text) {
+        reasoning.push(text);
+      }
+      messages.push(response);
+
+      // Calls beyond the tool call budget are not run, and none once the
+      // time budget is spent
+      let calls = toolCalls.slice(0, limits.maxToolCalls - toolsUsed.length);
+      if (calls.length < toolCalls.length) {
+        exhausted = 'maxToolCalls';
+      }
+      if (Date.now() - startedAt >= limits.timeBudgetMs) {
+        exhausted = 'timeBudgetMs';
+        calls = [];
+      }
+      if (run.signal && run.signal.aborted) {
+        throw new Error('Run cancelled by the client');
+      }
+
+      const outputs = await this.executeToolCalls(agent, calls, run, step);
+      if (run.signal && run.signal.aborted) {
+        throw new Error('Run cancelled by the client');
+      }
+      calls.forEach((call, index) => {
+        toolsUsed.push({ tool: call.name, input: call.args, output: outputs[index] });
+        messages.push(new ToolMessage({
+          content: outputs[index],
+          tool_call_id: call.id,
+          name: call.name
+        }));
+      });
+
+      this.sendLogEntry('agent_step', {
+        provider,
+        step,
+        requestedTools: toolCalls.map(call => call.name),
+        ...budget()
+      }, run.sessionId);
+    }
+
+    const reason = BUDGET_DESCRIPTIONS[exhausted](limits);
+    console.warn(`⚠️ ${provider} agent stopped after ${step} step(s): ${reason} was reached`);
+    this.sendLogEntry('budget_exhausted', { provider, reason, ...budget() }, run.sessionId);
+
+    return {
+      response: `${lastText ? `${lastText}\n\n` : ''}⚠️ I stopped before finishing because ${reason} was reached after ${toolsUsed.length} tool call(s).`,
+      reasoning,
+      toolsUsed,
+      budget: budget(),
+      structuredOutput: run.output
+        ? { valid: false, data: null, errors: [`The run stopped before a final answer: ${reason} was reached`], method: null, attempts: 0 }
+        : undefined
+    };
+  }
+
+  // The final answer as an object matching the requested schema. Where
+  // the provider supports it the schema was bound natively from the first
+  // call; elsewhere only the prompt asks for it. A reply that does not
+  // conform is sent back with its validation errors until it does or
+  // MAX_REPAIRS runs out. Repairs go to the model without the run's tools,
+  // natively forced to the schema where possible, and are not streamed.
+  async structureResponse(agent, messages, text, run) {
+    const { schema, validate } = run.output;
+    const conversation = [...messages, new AIMessage(text || '(empty reply)')];
+    const quietRun = { ...run, streaming: false };
+    const evaluate = (parsed) => (parsed.errors.length > 0 ? parsed : { ...parsed, errors: validate(parsed.value) });
+    let result = evaluate(parseJsonReply(text));
+    let method = supportsNativeOutput(agent.provider) && agent.toolCalling !== 'prompt' ? 'native' : 'reply';
+    let attempts = 1;
+
+    // Null when the time budget runs out
+    const ask = async (model, prompt) => {
+      const remainingMs = run.limits.timeBudgetMs - (Date.now() - run.startedAt);
+      if (remainingMs <= 0) {
         return null;
       }
-      
-      const toolsUsed = [];
-      const toolResults = [];
-      
-      // Execute each tool call
-      for (const toolCall of toolCalls) {
-        try {
-          // Parse the tool call (e.g., "get_weather(location=\"Toronto\")")
-          const toolMatch = toolCall.match(/(\w+)\((.*)\)/);
-          if (toolMatch) {
-            const toolName = toolMatch[1];
-            const paramsStr = toolMatch[2];
-            
-            // Parse parameters
-            const params = {};
-            if (paramsStr) {
-              // Simple parameter parsing for key="value" format
-              const paramRegex = /(\w+)="([^"]+)"/g;
-              let paramMatch;
-              while ((paramMatch = paramRegex.exec(paramsStr)) !== null) {
-                params[paramMatch[1]] = paramMatch[2];
-              }
-            }
-            
-            console.log(`Executing tool: ${toolName} with params:`, params);
-            
-            // Log point C: After invoking tools with detailed request
-            this.sendLogEntry('tool_request', {
-              tool: toolName,
-              input: params,
-              provider
-            });
-            
-            // Get the tool and execute it
-            const tools = await this.createTools();
-            const tool = tools.find(t => t.name === toolName);
-            
-            if (tool) {
-              const result = await tool.func(params);
-              
-              // Log point D: After invoking tools with detailed response from tools
-              this.sendLogEntry('tool_response', {
-                tool: toolName,
-                input: params,
-                output: result,
-                provider
-              });
-              
-              toolsUsed.push({
-                tool: toolName,
-                input: params,
-                output: result
-              });
-              
-              toolResults.push({
-                tool: toolName,
-                result: result
-              });
-              
-              console.log(`Tool ${toolName} executed successfully:`, result);
-            } else {
-              console.log(`Tool ${toolName} not found`);
-              const errorResult = `Tool ${toolName} not found`;
-              
-              // Log point D: After invoking tools with detailed response from tools (error case)
-              this.sendLogEntry('tool_response', {
-                tool: toolName,
-                input: params,
-                output: errorResult,
-                provider,
-                error: true
-              });
-              
-              toolResults.push({
-                tool: toolName,
-                result: errorResult
-              });
-            }
-          }
-        } catch (toolError) {
-          console.error(`Error executing tool call ${toolCall}:`, toolError);
-          toolResults.push({
-            tool: 'unknown',
-            result: `Error executing tool: ${toolError.message}`
-          });
+      conversation.push(new HumanMessage(prompt));
+      const deadline = withDeadline(run.signal, remainingMs);
+      try {
+        const reply = await this.callModel({ ...agent, tools: [], model }, conversation, deadline.signal, quietRun);
+        attempts++;
+        return reply;
+      } catch (error) {
+        if (run.signal && run.signal.aborted) {
+          throw new Error('Run cancelled by the client');
         }
+        if (Date.now() - run.startedAt >= run.limits.timeBudgetMs) {
+          return null;
+        }
+        throw error;
+      } finally {
+        deadline.release();
       }
-      
-      // Send tool results back to LLM for processing
-      const toolResultsText = toolResults.map(tr => 
-        `Tool: ${tr.tool}\nResult: ${tr.result}`
-      ).join('\n\n');
-      
-      const followUpMessage = `I executed the following tools and got these results:\n\n${toolResultsText}\n\nPlease provide a natural response to the user based on these tool results.`;
-      
-      console.log('Sending tool results to LLM for processing...');
-      
-      // Get the LLM model for the provider
-      const llmService = require('./llmService');
-      const llm = llmService.getModel(provider);
-      
-      if (!llm) {
-        console.error(`No LLM model found for provider: ${provider}`);
-        return {
-          response: response,
-          toolsUsed: toolsUsed,
-          reasoning: [`Executed ${toolsUsed.length} tool(s) but couldn't process results`]
-        };
+    };
+
+    // Native replies carry the object as tool call arguments (Anthropic,
+    // Google) or as JSON text (OpenAI)
+    const repairModel = bindStructuredOutput(agent.provider, agent.llm, schema) || agent.llm;
+    for (let repair = 1; result.errors.length > 0 && repair <= MAX_REPAIRS; repair++) {
+      const reply = await ask(repairModel, `Your reply does not match the response format:
+${result.errors.map(error => `- ${error}`).join('\n')}
+Reply with only the corrected JSON object.`);
+      if (!reply) {
+        result = { ...result, errors: [...result.errors, 'The time budget ran out before the answer matched the schema'] };
+        break;
       }
-      
-      // Create a new conversation context with tool results
-      const updatedChatHistory = [
-        ...chatHistory,
-        { role: 'user', content: originalMessage },
-        { role: 'assistant', content: response },
-        { role: 'user', content: followUpMessage }
-      ];
-      
-      // Get LLM response with tool results
-      let llmResponse;
+      method = 'repair';
+      const [call] = this.getToolCalls(reply);
+      text = call && !call.error ? JSON.stringify(call.args) : this.getMessageText(reply);
+      result = evaluate(call && !call.error ? { value: call.args, errors: [] } : parseJsonReply(text));
+      conversation.push(new AIMessage(text || '(empty reply)'));
+    }
+
+    const valid = result.errors.length === 0;
+    this.sendLogEntry('structured_output', {
+      provider: agent.provider,
+      method,
+      attempts,
+      valid,
+      errors: result.errors
+    }, run.sessionId);
+
+    return {
+      response: valid ? JSON.stringify(result.value) : text,
+      structuredOutput: {
+        valid,
+        data: valid ? result.value : null,
+        errors: result.errors,
+        method,
+        attempts
+      }
+    };
+  }
+
+  // One model turn. Models set to 'auto' tool calling try native tools
+  // first and switch to the prompt protocol if the backend rejects them.
+  // Turns are recorded as mock fixtures when MOCK_LLM_RECORD is set.
+  async callModel(agent, messages, signal, run) {
+    let response;
+    try {
+      response = await this.requestModel(agent, messages, signal, run);
+    } catch (error) {
+      if (!this.rejectsNativeTools(agent, error)) {
+        throw error;
+      }
+
+      // A backend that refuses tool definitions gets the prompt protocol,
+      // for this run and for later ones
+      this.promptToolModels.add(agent.modelId);
+      agent.toolCalling = 'prompt';
+      agent.model = this.bindTools(agent.provider, agent.llm, agent.tools, 'prompt');
+      const stored = this.agents.get(agent.modelId);
+      if (stored && stored !== agent) {
+        stored.toolCalling = 'prompt';
+        stored.model = this.bindTools(stored.provider, stored.llm, stored.tools, 'prompt');
+      }
+
+      this.sendLogEntry('tool_protocol_fallback', {
+        provider: agent.provider,
+        model: agent.modelId,
+        error: error.message
+      }, run.sessionId);
+      response = await this.requestModel(agent, messages, signal, run);
+    }
+
+    llmService.recordExchange(agent.modelId, messages, {
+      content: this.getMessageText(response),
+      toolCalls: this.getToolCalls(response).filter(call => !call.error)
+    });
+    return response;
+  }
+
+  // Only models set to 'auto' switch protocols, and only on an error that
+  // is about tools (e.g. Ollama's "does not support tools", vLLM without
+  // --enable-auto-tool-choice)
+  rejectsNativeTools(agent, error) {
+    return agent.toolCalling === 'auto' &&
+      agent.tools.length > 0 &&
+      error instanceof LLMProviderError &&
+      /tool/i.test(error.message);
+  }
+
+  // Without a streaming listener the model is called in one go; otherwise
+  // text deltas are forwarded as they arrive and the chunks merged into
+  // one message. Integrations without token streaming for tool-bound
+  // turns yield a single chunk, which works the same way.
+  async requestModel(agent, messages, signal, run) {
+    const { provider } = agent;
+    const retryPolicy = {
+      signal,
+      timeout: agent.parameters.timeout,
+      onRetry: (retry) => {
+        this.sendLogEntry('llm_retry', retry, run.sessionId);
+        run.emit('retry', retry);
+      }
+    };
+
+    if (!run.streaming) {
+      const { message, usage } = await llmService.callWithRetry(provider,
+        (attemptSignal) => usageService.invoke(agent.model, messages, { signal: attemptSignal }), retryPolicy);
+      this.recordUsage(agent, run, messages, message, usage);
+      return message;
+    }
+
+    // A retried stream starts over; the retry event tells clients to drop
+    // the tokens of the failed attempt
+    const response = await llmService.callWithRetry(provider, async (attemptSignal) => {
+      let streamed = null;
+      const stream = await agent.model.stream(messages, { signal: attemptSignal });
+      for await (const chunk of stream) {
+        // A timed-out attempt must not keep streaming into the retry
+        attemptSignal.throwIfAborted();
+        const text = this.getMessageText(chunk);
+        if (text) {
+          run.emit('token', { text });
+        }
+        streamed = streamed ? streamed.concat(chunk) : chunk;
+      }
+      return streamed;
+    }, retryPolicy);
+
+    // Streamed OpenAI tool call deltas keep their "index", which the API
+    // rejects when the message is sent back as history
+    const rawCalls = response.additional_kwargs && response.additional_kwargs.tool_calls;
+    if (Array.isArray(rawCalls)) {
+      response.additional_kwargs.tool_calls = rawCalls.map(({ index, ...rawCall }) => rawCall);
+    }
+    this.recordUsage(agent, run, messages, response, usageService.extractUsage(response));
+    return response;
+  }
+
+  // Streamed OpenAI responses carry no token counts; those calls are
+  // recorded with an estimate from the provider's tokenizer
+  recordUsage(agent, run, messages, response, usage) {
+    const { provider, llm } = agent;
+    const estimated = !usage;
+    if (estimated) {
+      const tokens = (message) => {
+        const calls = this.getToolCalls(message).map(({ name, args }) => ({ name, args }));
+        return memoryService.countTokens(provider, this.getMessageText(message)) +
+          (calls.length > 0 ? memoryService.countTokens(provider, JSON.stringify(calls)) : 0);
+      };
+      usage = {
+        inputTokens: messages.reduce((total, message) => total + tokens(message), 0),
+        outputTokens: tokens(response)
+      };
+    }
+
+    usageService.record(run, {
+      provider,
+      model: usageService.getModelName(llm),
+      purpose: 'agent',
+      usage,
+      estimated
+    });
+  }
+
+  // The tool calls of one model turn run concurrently, within each MCP
+  // server's maxConcurrentCalls. Outputs come back in the order the model
+  // asked for them. An approval rejection aborts the run once every call
+  // of the turn has finished. Approvals still waiting when the run is
+  // cancelled or out of time are rejected.
+  async executeToolCalls(agent, calls, run, step) {
+    const batchStartedAt = Date.now();
+    const timings = [];
+    const deadline = withDeadline(run.signal, Math.max(0, run.limits.timeBudgetMs - (batchStartedAt - run.startedAt)));
+    const settled = await Promise.allSettled(calls.map(async (call, index) => {
+      const callStartedAt = Date.now();
       try {
-        // Create a context-aware prompt that includes the original question and tool results
-        const contextPrompt = `Original user question: "${originalMessage}"
+        return await this.executeToolCall(agent, call, run, deadline.signal);
+      } finally {
+        timings[index] = {
+          tool: call.name,
+          startMs: callStartedAt - batchStartedAt,
+          durationMs: Date.now() - callStartedAt
+        };
+      }
+    }));
+    deadline.release();
+
+    // Timings are relative to the start of the turn's calls and include
+    // any wait for a server slot
+    if (calls.length > 1) {
+      this.sendLogEntry('tool_batch', {
+        provider: agent.provider,
+        step,
+        timings,
+        elapsedMs: Date.now() - batchStartedAt,
+        // What the same calls would have taken one after another
+        sequentialMs: timings.reduce((total, timing) => total + timing.durationMs, 0)
+      }, run.sessionId);
+    }
 
-I executed the following tools and got these results:
+    const rejected = settled.find(result => result.status === 'rejected');
+    if (rejected) {
+      throw rejected.reason;
+    }
+    return settled.map(result => result.value);
+  }
 
-${toolResultsText}
+  async executeToolCall(agent, call, run, signal) {
+    const { provider } = agent;
+    const startedAt = Date.now();
+    run.toolCallCount++;
+    run.emit('tool_start', { id: call.id, tool: call.name, input: call.args });
 
-Please provide a natural, helpful response to the user based on these tool results. Be conversational and informative.`;
+    // Log point C: After invoking tools with detailed request
+    this.sendLogEntry('tool_request', {
+      tool: call.name,
+      input: call.args,
+      provider
+    }, run.sessionId);
 
-        // Log point E: After eventual invocation of LLM with results from tools execution
-        this.sendLogEntry('llm_after_tools', {
-          provider,
-          contextPrompt,
-          toolResults: toolResultsText,
-          originalMessage
-        });
+    const tool = agent.tools.find(t => t.name === call.name);
+    let output;
+    let error = null;
 
-        if (provider === 'openai') {
-          llmResponse = await llmService.generateOpenAIResponse(llm, contextPrompt);
-        } else if (provider === 'anthropic') {
-          llmResponse = await llmService.generateAnthropicResponse(llm, contextPrompt);
-        } else if (provider === 'google') {
-          // For Google, use the LangChain model directly
-          const messages = [{ role: 'user', content: contextPrompt }];
-          const result = await llm.invoke(messages);
-          llmResponse = {
-            content: result.content,
-            provider: 'google',
-            model: 'gemini-1.5-flash',
-            usage: null
-          };
+    if (call.error) {
+      error = call.error;
+      output = `Error invoking tool ${call.name}: ${call.error}`;
+    } else if (!tool) {
+      error = 'Tool not found';
+      output = `Tool ${call.name} not found`;
+    } else {
+      try {
+        output = await tool.invoke(call.args, {
+          signal,
+          configurable: { runId: run.runId, sessionId: run.sessionId }
+        });
+      } catch (toolError) {
+        // An approval dropped because the run ended is not a user's
+        // rejection; the run stops on its budget or cancellation instead
+        if (toolError instanceof ToolApprovalRejectedError && !signal.aborted) {
+          throw toolError;
         }
-        
-        console.log('LLM processed tool results:', llmResponse.content);
-        
+        // Schema violations are reported back so the model can correct itself
+        error = toolError.message;
+        output = `Error invoking tool ${call.name}: ${toolError.message}`;
+      }
+    }
+
+    if (typeof output !== 'string') {
+      output = JSON.stringify(output);
+    }
+
+    // Log point D: After invoking tools with detailed response from tools
+    this.sendLogEntry('tool_response', {
+      tool: call.name,
+      input: call.args,
+      output,
+      provider,
+      startedAt: new Date(startedAt).toISOString(),
+      durationMs: Date.now() - startedAt,
+      ...(error && { error })
+    }, run.sessionId);
+    run.emit('tool_end', { id: call.id, tool: call.name, output, ...(error && { error }) });
+
+    return output;
+  }
+
+  // Integrations report tool calls parsed on `tool_calls` (malformed ones on
+  // `invalid_tool_calls`), or for the installed OpenAI version raw in
+  // `additional_kwargs.tool_calls`. Every call needs an answer, so broken
+  // ones are kept and reported back to the model as errors.
+  getToolCalls(message) {
+    if (Array.isArray(message.tool_calls) || Array.isArray(message.invalid_tool_calls)) {
+      const parsed = (message.tool_calls || []).map(call => ({
+        id: call.id || uuidv4(),
+        name: call.name,
+        args: call.args || {}
+      }));
+      const invalid = (message.invalid_tool_calls || []).map(call => ({
+        id: call.id || uuidv4(),
+        name: call.name,
+        args: call.args,
+        error: `Invalid tool call arguments${call.error ? `: ${call.error}` : ''}`
+      }));
+      if (parsed.length > 0 || invalid.length > 0) {
+        return [...parsed, ...invalid];
+      }
+    }
+
+    const rawCalls = (message.additional_kwargs && message.additional_kwargs.tool_calls) || [];
+    return rawCalls.map(call => {
+      try {
         return {
-          response: llmResponse.content,
-          toolsUsed: toolsUsed,
-          reasoning: [`Executed ${toolsUsed.length} tool(s) and processed results with LLM`]
+          id: call.id,
+          name: call.function.name,
+          args: JSON.parse(call.function.arguments || '{}')
         };
-        
-      } catch (llmError) {
-        console.error('Error getting LLM response for tool results:', llmError);
+      } catch (error) {
         return {
-          response: response,
-          toolsUsed: toolsUsed,
-          reasoning: [`Executed ${toolsUsed.length} tool(s) but LLM processing failed`]
+          id: call.id,
+          name: call.function.name,
+          args: call.function.arguments,
+          error: `Invalid JSON arguments: ${error.message}`
         };
       }
-      
-    } catch (error) {
-      console.error('Error executing tools from response:', error);
-      return null;
+    });
+  }
+
+  getMessageText(message) {
+    if (typeof message.content === 'string') {
+      return message.content;
     }
+    return (message.content || [])
+      .filter(part => part.type === 'text')
+      .map(part => part.text)
+      .join('');
+  }
+
+  // A rejected approval stops the run; the user gets told why instead of an error
+  abortedRun(provider, error, sessionId = null) {
+    this.sendLogEntry('run_aborted', {
+      provider,
+      tool: error.toolName,
+      decidedBy: error.decidedBy,
+      reason: error.message
+    }, sessionId);
+
+    return {
+      success: true,
+      aborted: true,
+      response: `Run aborted: ${error.message}.`,
+      reasoning: [],
+      toolsUsed: [],
+      provider,
+      timestamp: new Date().toISOString()
+    };
   }
 
   getAvailableAgents() {
-    const agents = Array.from(this.agents.keys()).map(provider => ({
-      id: provider,
-      name: this.getProviderName(provider),
+    const agents = Array.from(this.agents.values()).map(({ provider, modelId }) => ({
+      id: modelId,
+      provider,
+      name: llmService.getModelEntry(modelId).name,
       status: 'available'
     }));
     
@@ -597,6 +1155,7 @@ Please provide a natural, helpful response to the user based on these tool resul
     if (agents.length === 0) {
       agents.push({
         id: 'demo',
+        provider: 'demo',
         name: 'Demo Mode',
         status: 'demo'
       });
@@ -609,17 +1168,28 @@ Please provide a natural, helpful response to the user based on these tool resul
     const names = {
       openai: 'OpenAI GPT-4',
       anthropic: 'Anthropic Claude',
-      google: 'Google Gemini'
+      google: 'Google Gemini',
+      local: 'Local model',
+      mock: 'Scripted mock'
     };
     return names[provider] || provider;
   }
 
+  // Several servers can report changes at once; coalesce them into one rebuild
+  scheduleToolRefresh() {
+    clearTimeout(this.toolRefreshTimer);
+    this.toolRefreshTimer = setTimeout(() => {
+      this.refreshTools().catch(error => {
+        console.error('Error refreshing agent tools:', error);
+      });
+    }, 100);
+  }
+
   async refreshTools() {
-    // Recreate tools for all agents
-    for (const [provider, agent] of this.agents) {
-      const tools = await this.createTools();
-      // Note: In a real implementation, you'd need to recreate the agent with new tools
-      console.log(`Refreshed tools for ${provider} agent`);
+    // Recreate agents so their models are bound to the current tool set
+    for (const model of llmService.getAvailableModels()) {
+      await this.createAgent(model);
+      console.log(`Refreshed tools for ${model.id} agent`);
     }
   }
 }
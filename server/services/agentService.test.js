@@ -0,0 +1,322 @@
+// Offline tests of the agent loop. The scripted mock provider plays the
+// LLM and an in-memory stand-in replaces the MCP servers, so nothing here
+// touches the network.
+const path = require('path');
+const { ChatOpenAI } = require('@langchain/openai');
+
+process.env.MOCK_LLM_FIXTURES = path.join(__dirname, '../fixtures/mock-llm');
+// The local provider only serves as a fallback target; its model is
+// swapped for a mock one below
+process.env.LOCAL_LLM_BASE_URL = 'http://localhost:1/v1';
+process.env.LOCAL_LLM_MODEL = 'test-local';
+process.env.LLM_FALLBACK_ORDER = 'local';
+process.env.LLM_RETRY_BASE_DELAY_MS = '1';
+for (const key of ['OPENAI_API_KEY', 'ANTHROPIC_API_KEY', 'GOOGLE_API_KEY', 'MOCK_LLM_RECORD']) {
+  process.env[key] = '';
+}
+
+jest.mock('./mcpService', () => {
+  const { EventEmitter } = require('events');
+  const service = new EventEmitter();
+  service.getAvailableTools = () => [{
+    id: 'calc:add',
+    name: 'add',
+    description: 'Add two numbers',
+    serverId: 'calc',
+    parameters: {
+      type: 'object',
+      properties: { a: { type: 'number' }, b: { type: 'number' } },
+      required: ['a', 'b']
+    },
+    annotations: { readOnlyHint: true }
+  }, {
+    // No read-only hint, so every call waits for approval
+    id: 'calc:clear',
+    name: 'clear',
+    description: 'Clear the memory',
+    serverId: 'calc',
+    parameters: { type: 'object', properties: {} }
+  }];
+  service.invokeTool = jest.fn();
+  service.getResourceServers = () => [];
+  service.getResources = () => [];
+  service.getResourceTemplates = () => [];
+  service.readResource = jest.fn();
+  return service;
+});
+
+const mcpService = require('./mcpService');
+const approvalService = require('./approvalService');
+const llmService = require('./llmService');
+const agentService = require('./agentService');
+const { MockChatModel } = require('./mockChatModel');
+
+const LOCAL_MODEL = llmService.getDefaultModelId('local');
+
+// Replace the mock provider's script for one test
+const useScript = (entries) => {
+  const script = llmService.getMockScript();
+  script.entries = entries;
+  script.reset();
+};
+
+const addCall = (a, b) => ({ name: 'calc__add', args: { a, b } });
+
+const run = (options = {}) => agentService.processMessage('mock', 'What is 2 + 3 + 1?', [], { model: 'mock', ...options });
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  // The local fallback answers from the same script as the mock provider
+  llmService.models[LOCAL_MODEL] = new MockChatModel({
+    model: LOCAL_MODEL,
+    script: llmService.getMockScript()
+  });
+  await agentService.initializeAgents();
+});
+
+beforeEach(() => {
+  llmService.circuits.clear();
+  mcpService.invokeTool.mockReset();
+  mcpService.invokeTool.mockImplementation(async (toolId, { a, b }) => ({
+    content: [{ type: 'text', text: String(a + b) }]
+  }));
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('tool loop', () => {
+  test('feeds tool results back until the model answers', async () => {
+    useScript([
+      { match: { turn: 0 }, response: { content: '', toolCalls: [addCall(2, 3)] } },
+      { match: { turn: 1, tool: 'calc__add' }, response: { content: '', toolCalls: [addCall(5, 1)] } },
+      { match: { turn: 2, tool: 'calc__add' }, response: { content: 'The total is 6.' } }
+    ]);
+
+    const result = await run();
+
+    expect(result.success).toBe(true);
+    expect(result.response).toBe('The total is 6.');
+    expect(result.provider).toBe('mock');
+    expect(result.toolsUsed.map(tool => tool.input)).toEqual([{ a: 2, b: 3 }, { a: 5, b: 1 }]);
+    expect(mcpService.invokeTool).toHaveBeenNthCalledWith(1, 'calc:add', { a: 2, b: 3 });
+    expect(mcpService.invokeTool).toHaveBeenNthCalledWith(2, 'calc:add', { a: 5, b: 1 });
+    expect(result.budget).toMatchObject({ exhausted: null, steps: 3, toolCalls: 2 });
+  });
+
+  test('returns the calls of one turn in the order the model asked for them', async () => {
+    mcpService.invokeTool.mockImplementation(async (toolId, { a, b }) => {
+      // The first call finishes last
+      await new Promise(resolve => setTimeout(resolve, a === 1 ? 30 : 1));
+      return { content: [{ type: 'text', text: String(a + b) }] };
+    });
+    useScript([
+      { match: { turn: 0 }, response: { content: '', toolCalls: [addCall(1, 1), addCall(2, 2), addCall(3, 3)] } },
+      { match: { turn: 1 }, response: { content: '2, 4 and 6' } }
+    ]);
+
+    const result = await run();
+
+    expect(result.toolsUsed.map(tool => tool.input.a)).toEqual([1, 2, 3]);
+    expect(result.toolsUsed.map(tool => JSON.parse(tool.output).content[0].text)).toEqual(['2', '4', '6']);
+  });
+});
+
+describe('tool errors', () => {
+  test('reports a failing tool back to the model and keeps going', async () => {
+    mcpService.invokeTool.mockRejectedValue(new Error('calculator offline'));
+    useScript([
+      { match: { turn: 0 }, response: { content: '', toolCalls: [addCall(2, 3)] } },
+      { match: { turn: 1, tool: 'calc__add' }, response: { content: 'The calculator is offline.' } }
+    ]);
+
+    const result = await run();
+
+    expect(result.success).toBe(true);
+    expect(result.response).toBe('The calculator is offline.');
+    expect(result.toolsUsed[0].output).toBe('Error invoking tool add: calculator offline');
+  });
+
+  test('answers a call to an unknown tool with an error', async () => {
+    useScript([
+      { match: { turn: 0 }, response: { content: '', toolCalls: [{ name: 'calc__divide', args: { a: 1, b: 0 } }] } },
+      { match: { turn: 1 }, response: { content: 'I cannot divide.' } }
+    ]);
+
+    const result = await run();
+
+    expect(result.response).toBe('I cannot divide.');
+    expect(result.toolsUsed[0].output).toBe('Tool calc__divide not found');
+    expect(mcpService.invokeTool).not.toHaveBeenCalled();
+  });
+});
+
+describe('provider errors', () => {
+  test('retries a transient error', async () => {
+    useScript([
+      { match: {}, times: 1, error: { message: 'overloaded', status: 503 } },
+      { match: {}, response: { content: 'Recovered.' } }
+    ]);
+
+    const result = await run();
+
+    expect(result.success).toBe(true);
+    expect(result.response).toBe('Recovered.');
+    expect(result.provider).toBe('mock');
+  });
+
+  test('falls back to the next provider before any tool has run', async () => {
+    useScript([
+      { match: { model: 'mock' }, error: { message: 'bad request', status: 400 } },
+      { match: { model: LOCAL_MODEL }, response: { content: 'Answered locally.' } }
+    ]);
+
+    const result = await run();
+
+    expect(result.success).toBe(true);
+    expect(result.response).toBe('Answered locally.');
+    expect(result.provider).toBe('local');
+    expect(result.requestedProvider).toBe('mock');
+    expect(result.fallbacks).toEqual([expect.objectContaining({ provider: 'mock', status: 400 })]);
+  });
+
+  test('does not fall back when fallback is turned off', async () => {
+    useScript([
+      { match: { model: 'mock' }, error: { message: 'bad request', status: 400 } },
+      { match: { model: LOCAL_MODEL }, response: { content: 'Answered locally.' } }
+    ]);
+
+    const result = await run({ fallback: false });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/bad request/);
+    expect(result.fallbacks).toEqual([]);
+  });
+
+  test('does not fall back once a tool has run', async () => {
+    useScript([
+      { match: { model: 'mock', turn: 0 }, response: { content: '', toolCalls: [addCall(2, 3)] } },
+      { match: { model: 'mock' }, error: { message: 'bad request', status: 400 } },
+      { match: { model: LOCAL_MODEL }, response: { content: 'Answered locally.' } }
+    ]);
+
+    const result = await run();
+
+    expect(result.success).toBe(false);
+    expect(result.provider).toBe('mock');
+    expect(mcpService.invokeTool).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('run limits', () => {
+  test('stops at maxSteps', async () => {
+    useScript([{ match: {}, response: { content: 'Adding more.', toolCalls: [addCall(1, 1)] } }]);
+
+    const result = await run({ limits: { maxSteps: 2 } });
+
+    expect(result.success).toBe(true);
+    expect(result.budget).toMatchObject({ exhausted: 'maxSteps', steps: 2, toolCalls: 2 });
+    expect(result.response).toMatch(/step limit \(2 steps\) was reached/);
+  });
+
+  test('stops at maxToolCalls without running the calls beyond it', async () => {
+    useScript([{ match: {}, response: { content: '', toolCalls: [addCall(1, 1), addCall(2, 2)] } }]);
+
+    const result = await run({ limits: { maxToolCalls: 3 } });
+
+    expect(result.budget).toMatchObject({ exhausted: 'maxToolCalls', steps: 2, toolCalls: 3 });
+    expect(mcpService.invokeTool).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('model comparison', () => {
+  test('reports an unknown model without stopping the others', async () => {
+    useScript([{ match: {}, response: { content: 'Six.' } }]);
+
+    const results = await agentService.compareModels(['mock', 'no-such-model'], 'What is 2 + 3 + 1?');
+
+    expect(results[0]).toMatchObject({ success: true, model: 'mock', response: 'Six.' });
+    expect(results[1]).toMatchObject({ success: false, model: 'no-such-model', error: 'Model not available' });
+  });
+});
+
+describe('tool approvals', () => {
+  test('drops a pending approval when the time budget runs out', async () => {
+    useScript([
+      { match: { turn: 0 }, response: { content: '', toolCalls: [{ name: 'calc__clear', args: {} }] } },
+      { match: { turn: 1 }, response: { content: 'Cleared.' } }
+    ]);
+
+    const result = await run({ limits: { timeBudgetMs: 50 } });
+
+    expect(result.success).toBe(true);
+    expect(result.budget.exhausted).toBe('timeBudgetMs');
+    expect(result.toolsUsed[0].output).toMatch(/rejected by system: The run ended before a decision/);
+    expect(approvalService.getPendingApprovals()).toEqual([]);
+    expect(mcpService.invokeTool).not.toHaveBeenCalled();
+  });
+
+  test('drops a pending approval when the client cancels the run', async () => {
+    useScript([
+      { match: { turn: 0 }, response: { content: '', toolCalls: [{ name: 'calc__clear', args: {} }] } },
+      { match: { turn: 1 }, response: { content: 'Cleared.' } }
+    ]);
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+
+    const result = await run({ signal: controller.signal });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Run cancelled by the client');
+    expect(approvalService.getPendingApprovals()).toEqual([]);
+  });
+});
+
+describe('structured output', () => {
+  const schema = {
+    type: 'object',
+    properties: { total: { type: 'number' } },
+    required: ['total']
+  };
+
+  test('sends the schema as response_format with the first OpenAI request', async () => {
+    let body = null;
+    const fetch = async (url, init) => {
+      body = JSON.parse(init.body);
+      return new Response(JSON.stringify({
+        id: 'chatcmpl-test',
+        object: 'chat.completion',
+        created: 0,
+        model: 'gpt-4',
+        choices: [{ index: 0, message: { role: 'assistant', content: '{"total":6}' }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 }
+      }), { status: 200, headers: { 'content-type': 'application/json' } });
+    };
+    const llm = new ChatOpenAI({ openAIApiKey: 'sk-test', modelName: 'gpt-4', maxRetries: 0, configuration: { fetch } });
+    const tool = { name: 'calc__add', description: 'Add two numbers', schema: { type: 'object', properties: {} } };
+
+    const reply = await agentService.bindTools('openai', llm, [tool], 'native', schema).invoke('What is 2 + 3 + 1?');
+
+    expect(reply.content).toBe('{"total":6}');
+    expect(body.response_format).toEqual({
+      type: 'json_schema',
+      json_schema: { name: 'final_answer', description: 'Give the final answer to the user', schema, strict: false }
+    });
+    expect(body.tools.map(definition => definition.function.name)).toEqual(['calc__add']);
+  });
+
+  test('repairs a reply that does not match the schema', async () => {
+    useScript([
+      { match: { user: 'does not match the response format' }, response: { content: '{"total": 6}' } },
+      { match: {}, response: { content: 'The total is 6.' } }
+    ]);
+
+    const result = await run({ schema });
+
+    expect(result.structuredOutput).toEqual({ valid: true, data: { total: 6 }, errors: [], method: 'repair', attempts: 2 });
+    expect(result.response).toBe('{"total":6}');
+  });
+});
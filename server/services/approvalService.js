@@ -0,0 +1,190 @@
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const sessionService = require('./sessionService');
+
+const TOOL_POLICIES = ['auto', 'require-approval', 'deny'];
+const DEFAULT_APPROVAL_TIMEOUT = 5 * 60 * 1000;
+const RUN_ENDED_REASON = 'The run ended before a decision';
+
+// Thrown from a tool call when the user rejects it; aborts the agent run
+class ToolApprovalRejectedError extends Error {
+  constructor(toolName, decidedBy, reason) {
+    super(`Approval for tool ${toolName} was rejected by ${decidedBy}${reason ? `: ${reason}` : ''}`);
+    this.name = 'ToolApprovalRejectedError';
+    this.toolName = toolName;
+    this.decidedBy = decidedBy;
+  }
+}
+
+class ApprovalService {
+  constructor() {
+    this.pending = new Map();
+    this.timeout = Number(process.env.TOOL_APPROVAL_TIMEOUT_MS) || DEFAULT_APPROVAL_TIMEOUT;
+  }
+
+  // Resolution order: runtime override, server config `toolPolicies`,
+  // then the MCP tool annotations. Only tools hinted read-only run freely.
+  getToolPolicy(tool) {
+    const override = database.getToolPolicy(tool.id);
+    if (override) {
+      return { policy: override, policySource: 'override' };
+    }
+
+    const server = tool.serverId ? database.getMCPServer(tool.serverId) : null;
+    const configured = server && server.toolPolicies && server.toolPolicies[tool.name];
+    if (configured) {
+      return { policy: configured, policySource: 'config' };
+    }
+
+    const annotations = tool.annotations || {};
+    if (annotations.readOnlyHint === true) {
+      return { policy: 'auto', policySource: 'annotation' };
+    }
+    return {
+      policy: 'require-approval',
+      policySource: annotations.destructiveHint !== undefined ? 'annotation' : 'default'
+    };
+  }
+
+  setToolPolicy(toolId, policy) {
+    if (policy === null) {
+      database.deleteToolPolicy(toolId);
+      return;
+    }
+    if (!TOOL_POLICIES.includes(policy)) {
+      throw new Error(`Invalid tool policy "${policy}". Use one of: ${TOOL_POLICIES.join(', ')}`);
+    }
+    database.setToolPolicy(toolId, policy);
+  }
+
+  // Resolves with { allowed, reason } for auto/deny policies and user
+  // approvals; throws ToolApprovalRejectedError when the user says no.
+  // `signal` is the run's: once it aborts, the approval is rejected.
+  async authorize(tool, input, context = {}, signal = null) {
+    const { policy } = this.getToolPolicy(tool);
+
+    if (policy === 'auto') {
+      return { allowed: true };
+    }
+
+    if (policy === 'deny') {
+      this.record({ tool, input, context, approved: false, decidedBy: 'policy', reason: 'Denied by tool policy' });
+      return { allowed: false, reason: 'denied by tool policy' };
+    }
+
+    const decision = await this.requestApproval(tool, input, context, signal);
+    if (!decision.approved) {
+      throw new ToolApprovalRejectedError(tool.name, decision.decidedBy, decision.reason);
+    }
+    return { allowed: true };
+  }
+
+  // Pause until someone approves or rejects the call in the UI, or the
+  // run that asked is cancelled or runs out of time
+  requestApproval(tool, input, context = {}, signal = null) {
+    if (signal && signal.aborted) {
+      return Promise.resolve(this.record({ tool, input, context, approved: false, decidedBy: 'system', reason: RUN_ENDED_REASON }));
+    }
+
+    const id = uuidv4();
+    const requestedAt = new Date();
+
+    const request = {
+      id,
+      tool: tool.id,
+      toolName: tool.name,
+      serverId: tool.serverId || null,
+      description: tool.description || '',
+      input,
+      provider: context.provider || null,
+      runId: context.runId || null,
+      sessionId: context.sessionId || null,
+      requestedAt: requestedAt.toISOString(),
+      expiresAt: new Date(requestedAt.getTime() + this.timeout).toISOString()
+    };
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.decide(id, { approved: false, decidedBy: 'system', reason: 'Approval timed out' });
+      }, this.timeout);
+      const onAbort = () => {
+        this.decide(id, { approved: false, decidedBy: 'system', reason: RUN_ENDED_REASON });
+      };
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      this.pending.set(id, { request, tool, input, context, resolve, timer, signal, onAbort });
+
+      // Only the session that started the run is asked
+      console.log(`✋ Waiting for approval of ${tool.id} (${id})`);
+      sessionService.emitToSession(request.sessionId, 'tool_approval_request', request);
+    });
+  }
+
+  decide(id, { approved, reason = '', decidedBy = 'anonymous' }) {
+    const pending = this.pending.get(id);
+    if (!pending) {
+      return null;
+    }
+
+    clearTimeout(pending.timer);
+    if (pending.signal) {
+      pending.signal.removeEventListener('abort', pending.onAbort);
+    }
+    this.pending.delete(id);
+
+    const record = this.record({
+      id,
+      tool: pending.tool,
+      input: pending.input,
+      context: pending.context,
+      approved: Boolean(approved),
+      decidedBy,
+      reason,
+      requestedAt: pending.request.requestedAt
+    });
+
+    console.log(`${record.approved ? '✅' : '⛔'} Tool ${pending.tool.id} ${record.approved ? 'approved' : 'rejected'} by ${decidedBy}`);
+    sessionService.emitToSession(pending.request.sessionId, 'tool_approval_resolved', record);
+
+    pending.resolve(record);
+    return record;
+  }
+
+  record({ id = uuidv4(), tool, input, context = {}, approved, decidedBy, reason = '', requestedAt = null }) {
+    return database.recordToolApproval({
+      id,
+      tool: tool.id,
+      serverId: tool.serverId || null,
+      input,
+      provider: context.provider || null,
+      runId: context.runId || null,
+      sessionId: context.sessionId || null,
+      approved,
+      decidedBy,
+      reason,
+      requestedAt,
+      decidedAt: new Date().toISOString()
+    });
+  }
+
+  getPendingApproval(id) {
+    const pending = this.pending.get(id);
+    return pending ? pending.request : null;
+  }
+
+  getPendingApprovals() {
+    return Array.from(this.pending.values()).map(pending => pending.request);
+  }
+
+  getApprovalHistory() {
+    return database.getToolApprovals();
+  }
+}
+
+const approvalService = new ApprovalService();
+
+module.exports = approvalService;
+module.exports.ToolApprovalRejectedError = ToolApprovalRejectedError;
+module.exports.TOOL_POLICIES = TOOL_POLICIES;
@@ -0,0 +1,77 @@
+const database = require('../config/database');
+
+const TITLE_LENGTH = 60;
+
+// Conversations belong to the signed-in user who started them, or to the
+// browser session when nobody is signed in. The session is recorded either
+// way.
+class ConversationService {
+  create({ title, user = null, sessionId = null }) {
+    return database.createConversation({
+      title: this.makeTitle(title),
+      userId: user ? user.id : null,
+      sessionId
+    });
+  }
+
+  makeTitle(text = '') {
+    const title = text.trim().replace(/\s+/g, ' ');
+    if (!title) return 'New conversation';
+    return title.length > TITLE_LENGTH ? `${title.slice(0, TITLE_LENGTH - 1)}…` : title;
+  }
+
+  // A conversation with neither owner is nobody's
+  canAccess(conversation, user, sessionId) {
+    if (conversation.userId) {
+      return Boolean(user && user.id === conversation.userId);
+    }
+    if (conversation.sessionId) {
+      return conversation.sessionId === sessionId;
+    }
+    return false;
+  }
+
+  // Returns the conversation, or null when it is missing or not the caller's
+  get(id, user, sessionId) {
+    const conversation = database.getConversation(id);
+    if (!conversation || !this.canAccess(conversation, user, sessionId)) {
+      return null;
+    }
+    return conversation;
+  }
+
+  list(user, sessionId) {
+    return database.getConversations()
+      .filter(conversation => (user
+        ? conversation.userId === user.id
+        : conversation.userId === null && conversation.sessionId !== null && conversation.sessionId === sessionId))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .map(conversation => this.summarize(conversation));
+  }
+
+  summarize(conversation) {
+    const { messages, memory, ...summary } = conversation;
+    const last = messages[messages.length - 1];
+    return {
+      ...summary,
+      messageCount: messages.length,
+      provider: last && last.provider ? last.provider : null,
+      model: last && last.model ? last.model : null
+    };
+  }
+
+  addMessage(id, message) {
+    return database.addConversationMessage(id, message);
+  }
+
+  getMessages(id) {
+    const conversation = database.getConversation(id);
+    return conversation ? conversation.messages : [];
+  }
+
+  delete(id) {
+    return database.deleteConversation(id);
+  }
+}
+
+module.exports = new ConversationService();
@@ -1,158 +1,495 @@
 const { ChatOpenAI } = require('@langchain/openai');
 const { ChatAnthropic } = require('@langchain/anthropic');
 const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
+const usageService = require('./usageService');
+const { MockChatModel, MockScript, toMockFixtureEntry } = require('./mockChatModel');
+const { loadMockFixtures, appendMockFixture } = require('../config/mockFixtures');
+const { getModelRegistry, getParameterLimits, validateParameters, PROVIDERS } = require('../config/modelRegistry');
+
+const PROVIDER_API_KEYS = {
+  openai: 'OPENAI_API_KEY',
+  anthropic: 'ANTHROPIC_API_KEY',
+  google: 'GOOGLE_API_KEY',
+  local: 'LOCAL_LLM_API_KEY'
+};
+
+// Self-hosted servers such as Ollama ignore the key, but the OpenAI client
+// will not start without one
+const LOCAL_PLACEHOLDER_KEY = 'not-needed';
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// How failed LLM calls are handled: transient errors are retried with
+// jittered backoff, then the run moves on to the next configured provider
+// in `fallbackOrder`. Providers that keep failing are skipped until their
+// circuit breaker's cooldown has passed.
+const ROUTING_POLICY = {
+  maxRetries: envInt('LLM_MAX_RETRIES', 2),
+  baseDelayMs: envInt('LLM_RETRY_BASE_DELAY_MS', 500),
+  maxDelayMs: envInt('LLM_RETRY_MAX_DELAY_MS', 8000),
+  fallback: process.env.LLM_FALLBACK !== 'false',
+  fallbackOrder: (process.env.LLM_FALLBACK_ORDER || 'openai,anthropic,google')
+    .split(',')
+    .map(provider => provider.trim())
+    .filter(Boolean),
+  failureThreshold: envInt('LLM_CIRCUIT_FAILURE_THRESHOLD', 3),
+  cooldownMs: envInt('LLM_CIRCUIT_COOLDOWN_MS', 60000)
+};
+
+const TRANSIENT_STATUSES = [408, 409, 425, 429];
+const NETWORK_ERRORS = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+// HTTP status of a provider error. The SDKs set `status`; Google's only
+// puts it in the message ("[429 Too Many Requests]").
+function getErrorStatus(error) {
+  const status = error.status || error.statusCode || (error.response && error.response.status);
+  if (status) return Number(status);
+  const match = /\[(\d{3})[ \]]/.exec(error.message || '');
+  return match ? Number(match[1]) : null;
+}
+
+function isTransientError(error) {
+  const status = getErrorStatus(error);
+  if (status) {
+    return TRANSIENT_STATUSES.includes(status) || status >= 500;
+  }
+  return NETWORK_ERRORS.includes(error.code) ||
+    /rate limit|overloaded|fetch failed|socket hang up|network/i.test(error.message || '');
+}
+
+// A failed call after retries. `transient` errors and rejected keys or
+// models count against the provider's circuit breaker; other client
+// errors (e.g. an oversized request) do not.
+class LLMProviderError extends Error {
+  constructor(provider, error, attempts) {
+    super(error.message);
+    this.name = 'LLMProviderError';
+    this.provider = provider;
+    this.status = getErrorStatus(error);
+    this.transient = isTransientError(error);
+    this.attempts = attempts;
+    this.cause = error;
+  }
+
+  get providerFault() {
+    return this.transient || [401, 403, 404].includes(this.status);
+  }
+}
+
+// Resolves after `ms`, or rejects as soon as `signal` aborts
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(signal.reason);
+    return;
+  }
+  const timer = setTimeout(resolve, ms);
+  if (signal) {
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  }
+});
 
 class LLMService {
   constructor() {
-    this.models = {
-      openai: null,
-      anthropic: null,
-      google: null
-    };
+    // LangChain chat models keyed by registry model id; only models whose
+    // provider has an API key are created
+    this.registry = getModelRegistry();
+    this.models = {};
+    this.circuits = new Map();
+    this.mockScript = null;
     this.initializeModels();
   }
 
   initializeModels() {
     console.log('🔧 Initializing LLM models...');
     console.log('Environment variables:');
-    console.log('- OPENAI_API_KEY:', process.env.OPENAI_API_KEY ? 'Set' : 'Not set');
-    console.log('- ANTHROPIC_API_KEY:', process.env.ANTHROPIC_API_KEY ? 'Set' : 'Not set');
-    console.log('- GOOGLE_API_KEY:', process.env.GOOGLE_API_KEY ? 'Set' : 'Not set');
-    
-    
-    // Initialize OpenAI
-    if (process.env.OPENAI_API_KEY) {
-      this.models.openai = new ChatOpenAI({
-        apiKey: process.env.OPENAI_API_KEY,
-        model: 'gpt-4o-mini',
-        temperature: 0.7
-      });
-      console.log('✅ OpenAI model initialized with gpt-4o-mini');
-    }
-    // Initialize Anthropic
-    if (process.env.ANTHROPIC_API_KEY) {
-      this.models.anthropic = new ChatAnthropic({
-        apiKey: process.env.ANTHROPIC_API_KEY,
-        model: 'claude-3-sonnet-20240229'
-      });
-      console.log('✅ Anthropic model initialized');
-    }
-    
-    // Initialize Google
-    if (process.env.GOOGLE_API_KEY) {
+    for (const key of Object.values(PROVIDER_API_KEYS)) {
+      console.log(`- ${key}:`, process.env[key] ? 'Set' : 'Not set');
+    }
+    console.log('- LOCAL_LLM_BASE_URL:', process.env.LOCAL_LLM_BASE_URL || 'Not set');
+    console.log('- MOCK_LLM_FIXTURES:', process.env.MOCK_LLM_FIXTURES || 'Not set');
+    if (process.env.MOCK_LLM_RECORD) {
+      console.log(`🎙️ Recording agent model turns to ${process.env.MOCK_LLM_RECORD}`);
+    }
+
+    for (const entry of this.registry.models) {
+      if (!this.isEnabled(entry)) {
+        continue;
+      }
       try {
-        this.models.google = new ChatGoogleGenerativeAI({
-          apiKey: process.env.GOOGLE_API_KEY,
-          model: 'gemini-1.5-flash'
-        });
-        console.log('✅ Google Gemini 1.5 Flash model initialized');
+        this.models[entry.id] = this.createModel(entry);
+        console.log(`✅ ${entry.name} (${entry.id}) initialized`);
       } catch (error) {
-        console.error('❌ Failed to initialize Google model:', error);
+        console.error(`❌ Failed to initialize model ${entry.id}:`, error);
       }
-    } else {
-      console.log('❌ Google API key not found');
     }
-    
-    console.log('Final models state:', Object.keys(this.models).filter(key => this.models[key] !== null));
+
+    console.log('Final models state:', Object.keys(this.models));
+    console.log('🔀 LLM routing policy:', ROUTING_POLICY);
+  }
+
+  // Hosted models need their provider's API key; local ones a base URL
+  // and mock ones a fixture file
+  isEnabled(entry) {
+    if (entry.provider === 'local') {
+      return Boolean(entry.baseUrl || process.env.LOCAL_LLM_BASE_URL);
+    }
+    if (entry.provider === 'mock') {
+      return Boolean(process.env.MOCK_LLM_FIXTURES);
+    }
+    return Boolean(process.env[PROVIDER_API_KEYS[entry.provider]]);
   }
 
-  getModel(provider) {
-    const model = this.models[provider];
-    if (!model) {
+  // `timeout` is not passed on: callWithRetry enforces it the same way
+  // for every provider
+  createModel(entry, parameters = entry.parameters) {
+    const apiKey = process.env[PROVIDER_API_KEYS[entry.provider]];
+    const { temperature, maxTokens, stop } = parameters;
+    const topP = parameters.topP === null ? undefined : parameters.topP;
+    const stopSequences = stop.length > 0 ? stop : undefined;
+    switch (entry.provider) {
+      case 'openai':
+        // The installed OpenAI integration only reads `modelName` and
+        // `openAIApiKey`; anything else silently runs its default model
+        return new ChatOpenAI({
+          openAIApiKey: apiKey,
+          modelName: entry.model,
+          temperature,
+          maxTokens,
+          topP,
+          stop: stopSequences,
+          maxRetries: 0
+        });
+      case 'anthropic':
+        return new ChatAnthropic({
+          apiKey,
+          model: entry.model,
+          temperature,
+          maxTokens,
+          topP,
+          stopSequences,
+          maxRetries: 0
+        });
+      case 'google':
+        return new ChatGoogleGenerativeAI({
+          apiKey,
+          model: entry.model,
+          temperature,
+          maxOutputTokens: maxTokens,
+          topP,
+          stopSequences,
+          maxRetries: 0
+        });
+      case 'local':
+        // Ollama, llama.cpp, vLLM and the like speak the OpenAI protocol
+        return new ChatOpenAI({
+          openAIApiKey: apiKey || LOCAL_PLACEHOLDER_KEY,
+          modelName: entry.model,
+          temperature,
+          maxTokens,
+          topP,
+          stop: stopSequences,
+          maxRetries: 0,
+          configuration: { baseURL: entry.baseUrl || process.env.LOCAL_LLM_BASE_URL }
+        });
+      case 'mock':
+        // Scripted replies; generation parameters do not change them
+        return new MockChatModel({ model: entry.model, script: this.getMockScript() });
+      default:
+        throw new Error(`Unsupported LLM provider: ${entry.provider}`);
+    }
+  }
+
+  // The fixtures are read once and shared by all mock models
+  getMockScript() {
+    if (!this.mockScript) {
+      this.mockScript = new MockScript(loadMockFixtures());
+    }
+    return this.mockScript;
+  }
+
+  // With MOCK_LLM_RECORD set, each agent turn answered by a real model is
+  // appended to that fixture file, for replay with the mock provider.
+  // `reply` is the turn's text and tool calls.
+  recordExchange(modelId, messages, reply) {
+    const file = process.env.MOCK_LLM_RECORD;
+    const entry = this.getModelEntry(modelId);
+    if (!file || !entry || entry.provider === 'mock') {
+      return;
+    }
+    try {
+      appendMockFixture(file, toMockFixtureEntry(messages, reply, modelId));
+    } catch (error) {
+      console.error(`Failed to record ${modelId} response:`, error.message);
+    }
+  }
+
+  // Registry entry for a model id, or null
+  getModelEntry(modelId) {
+    return this.registry.models.find(entry => entry.id === modelId) || null;
+  }
+
+  getDefaultModelId(provider) {
+    return this.registry.defaults[provider] || null;
+  }
+
+  isConfigured(provider) {
+    return Boolean(this.models[this.getDefaultModelId(provider)]);
+  }
+
+  // A model id, or a provider standing for its default model
+  findModel(id) {
+    return this.getModelEntry(id) || this.getModelEntry(this.getDefaultModelId(id));
+  }
+
+  // A specific model of the provider, or its default one. Requests that
+  // override generation parameters get a model instance of their own.
+  getModel(provider, modelId = null, overrides = {}) {
+    const id = modelId || this.getDefaultModelId(provider);
+    const entry = this.getModelEntry(id);
+    const model = this.models[id];
+    if (!model || entry.provider !== provider) {
       throw new Error(`LLM provider '${provider}' not configured or API key missing`);
     }
-    return model;
+    if (Object.keys(overrides).length === 0) {
+      return model;
+    }
+    return this.createModel(entry, this.resolveParameters(id, overrides));
   }
 
+  // The model's default generation parameters with a request's overrides
+  // applied. Overrides are validated against the requested model; when
+  // they are carried over to a fallback model, `clamp` fits them to its
+  // limits instead.
+  resolveParameters(modelId, overrides = {}, { clamp = false } = {}) {
+    const entry = this.getModelEntry(modelId);
+    const parameters = { ...entry.parameters, ...overrides };
+    if (clamp) {
+      const limits = getParameterLimits(entry);
+      parameters.temperature = Math.min(parameters.temperature, limits.temperature.max);
+      if (limits.maxTokens.max !== null) {
+        parameters.maxTokens = Math.min(parameters.maxTokens, limits.maxTokens.max);
+      }
+      if (limits.stop.maxItems !== null) {
+        parameters.stop = parameters.stop.slice(0, limits.stop.maxItems);
+      }
+    }
+    return parameters;
+  }
+
+  getParameterLimits(modelId) {
+    return getParameterLimits(this.getModelEntry(modelId));
+  }
+
+  // Returns a list of problems with a request's parameter overrides
+  validateParameters(modelId, overrides) {
+    return validateParameters(overrides, this.getModelEntry(modelId));
+  }
+
+  // options: `model` (registry id; the provider's default otherwise) and
+  // `parameters` overriding its generation defaults
   async generateResponse(provider, prompt, options = {}) {
     try {
-      const model = this.getModel(provider);
-      
-      switch (provider) {
-        case 'openai':
-          return await this.generateOpenAIResponse(model, prompt, options);
-        case 'anthropic':
-          return await this.generateAnthropicResponse(model, prompt, options);
-        case 'google':
-          return await this.generateGoogleResponse(model, prompt, options);
-        default:
-          throw new Error(`Unsupported LLM provider: ${provider}`);
+      if (!PROVIDERS.includes(provider)) {
+        throw new Error(`Unsupported LLM provider: ${provider}`);
       }
+      const overrides = options.parameters || {};
+      const model = this.getModel(provider, options.model, overrides);
+      options = { ...options, timeout: this.resolveParameters(options.model || this.getDefaultModelId(provider), overrides).timeout };
+      
+      return await this.generateProviderResponse(provider, model, prompt, options);
     } catch (error) {
       console.error(`Error generating response with ${provider}:`, error);
       throw error;
     }
   }
 
-  async generateOpenAIResponse(model, prompt, options) {
-    const response = await model.invoke(prompt);
+  // Every provider's models share the usage-recording invoke, so one
+  // method serves them all
+  async generateProviderResponse(provider, model, prompt, options) {
+    const { message: response, usage } = await this.callWithRetry(provider,
+      (signal) => usageService.invoke(model, prompt, { signal }), { timeout: options.timeout });
     return {
       content: response.content,
-      provider: 'openai',
-      model: model.model,
-      usage: response.usage || null
+      provider,
+      model: usageService.getModelName(model),
+      usage
     };
   }
 
-  async generateAnthropicResponse(model, prompt, options) {
-    const response = await model.invoke(prompt);
-    return {
-      content: response.content,
-      provider: 'anthropic',
-      model: model.model,
-      usage: response.usage || null
-    };
+  // Every registered model, whether or not its provider is configured
+  getCatalogue() {
+    return this.registry.models.map(entry => ({
+      ...entry,
+      available: Boolean(this.models[entry.id]),
+      default: this.registry.defaults[entry.provider] === entry.id,
+      circuit: this.getCircuit(entry.provider)
+    }));
+  }
+
+  getAvailableModels() {
+    return this.getCatalogue().filter(entry => entry.available);
+  }
+
+  getDefaultModels() {
+    return this.registry.defaults;
+  }
+
+  getRoutingPolicy() {
+    return ROUTING_POLICY;
+  }
+
+  // Providers to try for a request, in order: the requested one, then the
+  // other configured providers when fallback is on. Providers with an open
+  // circuit are left out.
+  getRoute(provider, { fallback = true } = {}) {
+    const candidates = fallback && ROUTING_POLICY.fallback
+      ? [provider, ...ROUTING_POLICY.fallbackOrder.filter(other => other !== provider && this.isConfigured(other))]
+      : [provider];
+    return candidates.filter(candidate => this.getCircuit(candidate).state !== 'open');
+  }
+
+  // Run one LLM call, retrying transient errors with full-jitter
+  // exponential backoff. Aborts (client cancel, time budget) are passed
+  // through untouched; other failures become an LLMProviderError. `call`
+  // gets the signal to pass on to the model; an attempt that takes longer
+  // than `timeout` ms is abandoned and retried like any transient error.
+  async callWithRetry(provider, call, { signal = null, onRetry = null, timeout = null } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await this.attempt(provider, call, signal, timeout);
+        this.recordSuccess(provider);
+        return result;
+      } catch (error) {
+        if (signal && signal.aborted) {
+          throw error;
+        }
+
+        const failure = error instanceof LLMProviderError ? error : new LLMProviderError(provider, error, attempt);
+        if (!failure.transient || attempt > ROUTING_POLICY.maxRetries) {
+          this.recordFailure(provider, failure);
+          throw failure;
+        }
+
+        const delayMs = this.getRetryDelay(attempt, error);
+        console.warn(`⚠️ ${provider} call failed (${error.message}); retry ${attempt}/${ROUTING_POLICY.maxRetries} in ${delayMs}ms`);
+        if (onRetry) {
+          onRetry({ provider, attempt, delayMs, error: error.message });
+        }
+        await sleep(delayMs, signal);
+      }
+    }
   }
 
-  async generateGoogleResponse(model, prompt, options) {
-    const genModel = model.getGenerativeModel({ model: 'gemini-2.0-flash-exp' });
-    const result = await genModel.generateContent(prompt);
-    const response = await result.response;
-    
+  // One call bounded by `timeout`. Racing the timer also covers
+  // integrations that ignore the abort signal.
+  async attempt(provider, call, signal, timeout) {
+    if (!timeout) {
+      return call(signal);
+    }
+
+    const controller = new AbortController();
+    const forwardAbort = () => controller.abort(signal.reason);
+    if (signal && signal.aborted) {
+      forwardAbort();
+    } else if (signal) {
+      signal.addEventListener('abort', forwardAbort, { once: true });
+    }
+
+    let timer;
+    const expired = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = Object.assign(new Error(`${provider} did not respond within ${timeout}ms`), { code: 'ETIMEDOUT' });
+        controller.abort(error);
+        reject(error);
+      }, timeout);
+    });
+
+    try {
+      return await Promise.race([call(controller.signal), expired]);
+    } finally {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', forwardAbort);
+      }
+    }
+  }
+
+  // A Retry-After header from the provider wins over the computed backoff
+  getRetryDelay(attempt, error) {
+    const ceiling = Math.min(ROUTING_POLICY.maxDelayMs, ROUTING_POLICY.baseDelayMs * 2 ** (attempt - 1));
+    const retryAfter = error.headers && Number(error.headers['retry-after']);
+    if (retryAfter > 0) {
+      return Math.min(ROUTING_POLICY.maxDelayMs, retryAfter * 1000);
+    }
+    return Math.round(Math.random() * ceiling);
+  }
+
+  // closed: in rotation; open: skipped until `openUntil`; half-open: the
+  // cooldown has passed and the next call decides
+  getCircuit(provider) {
+    const circuit = this.circuits.get(provider) || { failures: 0, openUntil: null, lastError: null, lastFailureAt: null };
+    let state = 'closed';
+    if (circuit.openUntil) {
+      state = Date.now() < circuit.openUntil ? 'open' : 'half-open';
+    }
     return {
-      content: response.text(),
-      provider: 'google',
-      model: 'gemini-2.0-flash-exp',
-      usage: null
+      state,
+      failures: circuit.failures,
+      openUntil: circuit.openUntil ? new Date(circuit.openUntil).toISOString() : null,
+      lastError: circuit.lastError,
+      lastFailureAt: circuit.lastFailureAt
     };
   }
 
-  getAvailableModels() {
-    const available = [];
-    
-    if (this.models.openai) {
-      available.push({
-        id: 'openai',
-        name: 'OpenAI GPT-4',
-        provider: 'OpenAI',
-        description: 'Advanced language model with strong reasoning capabilities'
-      });
-    }
-    
-    if (this.models.anthropic) {
-      available.push({
-        id: 'anthropic',
-        name: 'Anthropic Claude',
-        provider: 'Anthropic',
-        description: 'Helpful, harmless, and honest AI assistant'
-      });
-    }
-    
-    if (this.models.google) {
-      available.push({
-        id: 'google',
-        name: 'Google Gemini',
-        provider: 'Google',
-        description: 'Multimodal AI model with strong performance'
-      });
-    }
-    
-    return available;
-  }
-
-  validateProvider(provider) {
-    return this.models[provider] !== null;
+  recordSuccess(provider) {
+    if (this.circuits.has(provider) && this.getCircuit(provider).state !== 'closed') {
+      console.log(`🔌 Circuit for ${provider} closed`);
+    }
+    this.circuits.delete(provider);
+  }
+
+  recordFailure(provider, error) {
+    if (!error.providerFault) return;
+
+    const { state } = this.getCircuit(provider);
+    const circuit = this.circuits.get(provider) || { failures: 0, openUntil: null };
+    circuit.failures++;
+    circuit.lastError = error.message;
+    circuit.lastFailureAt = new Date().toISOString();
+
+    // One failed trial call reopens a half-open circuit
+    if (state === 'half-open' || circuit.failures >= ROUTING_POLICY.failureThreshold) {
+      circuit.openUntil = Date.now() + ROUTING_POLICY.cooldownMs;
+      console.warn(`🔌 Circuit for ${provider} opened for ${ROUTING_POLICY.cooldownMs}ms after ${circuit.failures} failure(s)`);
+    }
+    this.circuits.set(provider, circuit);
+  }
+
+  // A user-facing explanation of a failed call
+  describeError(error, name = error.provider) {
+    if (error.status === 401 || error.status === 403) {
+      return `${name} rejected the API key. Please check your .env file configuration.`;
+    }
+    if (error.status === 404) {
+      return `${name} could not find the model. Please check the model name and API configuration.`;
+    }
+    if (error.status === 429) {
+      return `${name} is rate limiting requests. Please try again shortly.`;
+    }
+    if (error.status >= 500) {
+      return `${name} is unavailable (HTTP ${error.status}). Please try again shortly.`;
+    }
+    return error.message;
   }
 }
 
-module.exports = new LLMService();
+const llmService = new LLMService();
+
+module.exports = llmService;
+module.exports.LLMProviderError = LLMProviderError;
@@ -0,0 +1,124 @@
+// Circuit breaker of the LLM routing policy. Calls are plain functions
+// that fail on cue and the clock is stubbed, so no provider is contacted.
+const path = require('path');
+
+// The mock provider is the configured fallback target
+process.env.MOCK_LLM_FIXTURES = path.join(__dirname, '../fixtures/mock-llm');
+process.env.LLM_MAX_RETRIES = '1';
+process.env.LLM_RETRY_BASE_DELAY_MS = '1';
+process.env.LLM_CIRCUIT_FAILURE_THRESHOLD = '2';
+process.env.LLM_CIRCUIT_COOLDOWN_MS = '1000';
+process.env.LLM_FALLBACK_ORDER = 'mock';
+for (const key of ['OPENAI_API_KEY', 'ANTHROPIC_API_KEY', 'GOOGLE_API_KEY', 'MOCK_LLM_RECORD']) {
+  process.env[key] = '';
+}
+
+const llmService = require('./llmService');
+
+const START = Date.parse('2026-01-01T00:00:00Z');
+let now = START;
+
+const failWith = (status, message = `Request failed with status ${status}`) => jest.fn(async () => {
+  throw Object.assign(new Error(message), { status });
+});
+const succeed = () => jest.fn(async () => 'ok');
+
+// One call through the retry loop; failures are expected
+const attempt = (call) => llmService.callWithRetry('mock', call).catch(error => error);
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  now = START;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  llmService.circuits.clear();
+});
+
+afterEach(() => {
+  Date.now.mockRestore();
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('circuit breaker', () => {
+  test('stays closed below the failure threshold', async () => {
+    const call = failWith(503);
+
+    const error = await attempt(call);
+
+    expect(error).toMatchObject({ name: 'LLMProviderError', provider: 'mock', status: 503, transient: true });
+    // Retried once before the failure counted
+    expect(call).toHaveBeenCalledTimes(2);
+    expect(llmService.getCircuit('mock')).toMatchObject({ state: 'closed', failures: 1, openUntil: null });
+  });
+
+  test('opens after repeated provider faults and leaves the route', async () => {
+    expect(llmService.getRoute('openai')).toEqual(['openai', 'mock']);
+
+    await attempt(failWith(503));
+    await attempt(failWith(401, 'Invalid API key'));
+
+    expect(llmService.getCircuit('mock')).toMatchObject({
+      state: 'open',
+      failures: 2,
+      openUntil: new Date(START + 1000).toISOString(),
+      lastError: 'Invalid API key'
+    });
+    expect(llmService.getRoute('openai')).toEqual(['openai']);
+    expect(llmService.getRoute('mock', { fallback: false })).toEqual([]);
+  });
+
+  test('does not count errors caused by the request', async () => {
+    const call = failWith(400, 'Prompt is too long');
+
+    await attempt(call);
+    await attempt(call);
+
+    expect(call).toHaveBeenCalledTimes(2);
+    expect(llmService.getCircuit('mock').state).toBe('closed');
+    expect(llmService.circuits.has('mock')).toBe(false);
+  });
+
+  test('a success resets the failure count', async () => {
+    await attempt(failWith(503));
+    await attempt(succeed());
+    await attempt(failWith(503));
+
+    expect(llmService.getCircuit('mock')).toMatchObject({ state: 'closed', failures: 1 });
+  });
+
+  describe('half-open', () => {
+    beforeEach(async () => {
+      await attempt(failWith(503));
+      await attempt(failWith(503));
+      now = START + 1000;
+    });
+
+    test('lets a trial call through once the cooldown has passed', () => {
+      expect(llmService.getCircuit('mock').state).toBe('half-open');
+      expect(llmService.getRoute('openai')).toEqual(['openai', 'mock']);
+    });
+
+    test('closes when the trial call succeeds', async () => {
+      await expect(llmService.callWithRetry('mock', succeed())).resolves.toBe('ok');
+
+      expect(llmService.getCircuit('mock')).toMatchObject({ state: 'closed', failures: 0, openUntil: null });
+      expect(console.log).toHaveBeenCalledWith('🔌 Circuit for mock closed');
+    });
+
+    test('reopens after a single failed trial call', async () => {
+      await attempt(failWith(429, 'Rate limit reached'));
+
+      expect(llmService.getCircuit('mock')).toMatchObject({
+        state: 'open',
+        failures: 3,
+        openUntil: new Date(START + 2000).toISOString()
+      });
+    });
+  });
+});
@@ -1,10 +1,36 @@
 const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
 const database = require('../config/database');
+const {
+  StdioTransport,
+  WebSocketTransport,
+  StreamableHttpTransport,
+  SseTransport
+} = require('./mcpTransport');
 
-class MCPService {
+const PROTOCOL_VERSION = '2024-11-05';
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-03-26', '2024-11-05'];
+const DEFAULT_RETRY_ATTEMPTS = 3;
+const DEFAULT_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 60000;
+const DEFAULT_HEALTH_CHECK_INTERVAL = 30000;
+const DEFAULT_MAX_CONCURRENT_CALLS = 4;
+const SHUTDOWN_GRACE_PERIOD = 5000;
+
+class MCPService extends EventEmitter {
   constructor() {
+    super();
     this.connections = new Map();
     this.tools = new Map();
+    this.resources = new Map();
+    this.prompts = new Map();
+    this.subscriptions = new Map();
+    this.transports = new Map();
+    this.restarts = new Map();
+    this.healthChecks = new Map();
+    this.callSlots = new Map();
+    this.shuttingDown = false;
+    this.io = null; // Will be set by the server
     this.initializeConnections();
   }
 
@@ -19,9 +45,9 @@ class MCPService {
   }
 
   async connectToServer(serverConfig) {
+    const { id, protocol, command, args, config } = serverConfig;
+
     try {
-      const { id, protocol, command, args, config } = serverConfig;
-      
       if (protocol === 'stdio') {
         // Create STDIO-based connection to MCP server
         const env = { ...process.env, ...config.env };
@@ -29,65 +55,33 @@ class MCPService {
           stdio: ['pipe', 'pipe', 'pipe'],
           env 
         });
+        const transport = new StdioTransport(id, childProcess, { timeout: serverConfig.timeout });
+        this.attachTransport(id, transport);
         
         console.log(`Starting STDIO MCP server: ${id}`);
         
         // Handle process events
         childProcess.on('spawn', () => {
           console.log(`Connected to MCP server: ${id}`);
-          this.connections.set(id, { 
+          this.setConnection(id, { 
             process: childProcess, 
+            transport,
             config: serverConfig, 
-            status: 'connected',
+            status: 'initializing',
             protocol: 'stdio'
           });
           
-          // Send initialization message
-          this.sendMessage(id, {
-            jsonrpc: '2.0',
-            id: 1,
-            method: 'initialize',
-            params: {
-              protocolVersion: '2024-11-05',
-              capabilities: {
-                tools: {}
-              },
-              clientInfo: {
-                name: 'mcp-agent-app',
-                version: '1.0.0'
-              }
-            }
-          });
+          this.initializeSession(id);
         });
 
         childProcess.on('error', (error) => {
           console.error(`Process error for ${id}:`, error);
-          this.connections.set(id, { 
-            process: null, 
-            config: serverConfig, 
-            status: 'error',
-            protocol: 'stdio'
-          });
+          this.handleConnectionLost(serverConfig, transport, 'error', error.message);
         });
 
         childProcess.on('exit', (code) => {
           console.log(`MCP server ${id} exited with code ${code}`);
-          this.connections.set(id, { 
-            process: null, 
-            config: serverConfig, 
-            status: 'disconnected',
-            protocol: 'stdio'
-          });
-        });
-
-        // Handle stdout for responses
-        childProcess.stdout.on('data', (data) => {
-          try {
-            const message = JSON.parse(data.toString());
-            this.handleMessage(id, message);
-          } catch (error) {
-            console.error(`Error parsing message from ${id}:`, error);
-          }
+          this.handleConnectionLost(serverConfig, transport, 'disconnected', `exited with code ${code}`);
         });
 
         // Handle stderr for errors
@@ -95,87 +89,656 @@ class MCPService {
           console.error(`MCP server ${id} stderr:`, data.toString());
         });
 
+        // Settle once the process has started (or failed to), so callers
+        // see its status; the handshake continues in the background
+        await new Promise(resolve => {
+          childProcess.once('spawn', resolve);
+          childProcess.once('error', resolve);
+        });
+
       } else if (protocol === 'ws') {
         // WebSocket connection (for backward compatibility)
         const { host, port } = serverConfig;
         const WebSocket = require('ws');
         const ws = new WebSocket(`ws://${host}:${port}`);
+        const transport = new WebSocketTransport(id, ws, { timeout: serverConfig.timeout });
+        this.attachTransport(id, transport);
         
         ws.on('open', () => {
           console.log(`Connected to WebSocket MCP server: ${id}`);
-          this.connections.set(id, { 
+          this.setConnection(id, { 
             ws, 
+            transport,
             config: serverConfig, 
-            status: 'connected',
+            status: 'initializing',
             protocol: 'ws'
           });
           
-          // Send initialization message
-          this.sendMessage(id, {
-            jsonrpc: '2.0',
-            id: 1,
-            method: 'initialize',
-            params: {
-              protocolVersion: '2024-11-05',
-              capabilities: {
-                tools: {}
-              },
-              clientInfo: {
-                name: 'mcp-agent-app',
-                version: '1.0.0'
-              }
-            }
-          });
-        });
-
-        ws.on('message', (data) => {
-          try {
-            const message = JSON.parse(data.toString());
-            this.handleMessage(id, message);
-          } catch (error) {
-            console.error(`Error parsing message from ${id}:`, error);
-          }
+          this.initializeSession(id);
         });
 
         ws.on('close', () => {
           console.log(`Disconnected from WebSocket MCP server: ${id}`);
-          this.connections.set(id, { 
-            ws: null, 
-            config: serverConfig, 
-            status: 'disconnected',
-            protocol: 'ws'
-          });
+          this.handleConnectionLost(serverConfig, transport, 'disconnected', 'socket closed');
         });
 
         ws.on('error', (error) => {
           console.error(`WebSocket error for ${id}:`, error);
-          this.connections.set(id, { 
-            ws: null, 
-            config: serverConfig, 
-            status: 'error',
-            protocol: 'ws'
-          });
+          this.handleConnectionLost(serverConfig, transport, 'error', error.message);
         });
+      } else if (protocol === 'http' || protocol === 'sse') {
+        // Remote MCP server over Streamable HTTP or legacy HTTP+SSE
+        const options = {
+          url: serverConfig.url,
+          headers: this.buildHttpHeaders(serverConfig),
+          timeout: serverConfig.timeout
+        };
+        const transport = protocol === 'http'
+          ? new StreamableHttpTransport(id, options)
+          : new SseTransport(id, options);
+        this.attachTransport(id, transport);
+
+        transport.on('close', () => {
+          if (this.isCurrentTransport(id, transport)) {
+            console.log(`Disconnected from ${protocol.toUpperCase()} MCP server: ${id}`);
+          }
+          this.handleConnectionLost(serverConfig, transport, 'disconnected', 'connection closed');
+        });
+
+        if (protocol === 'sse') {
+          await transport.connect();
+        }
+
+        console.log(`Connected to ${protocol.toUpperCase()} MCP server: ${id}`);
+        this.setConnection(id, { 
+          transport,
+          config: serverConfig, 
+          status: 'initializing',
+          protocol
+        });
+
+        await this.initializeSession(id);
+
+        if (protocol === 'http' && this.isCurrentTransport(id, transport)) {
+          transport.openEventStream();
+        }
       }
 
     } catch (error) {
-      console.error(`Failed to connect to MCP server ${serverConfig.id}:`, error);
-      this.connections.set(serverConfig.id, { 
-        process: null, 
-        config: serverConfig, 
-        status: 'failed',
-        protocol: serverConfig.protocol || 'unknown'
+      console.error(`Failed to connect to MCP server ${id}:`, error);
+      // Transports that already reported their own failure have a restart queued
+      if (!this.isRestartPending(id)) {
+        this.handleConnectionLost(serverConfig, this.transports.get(id) || null, 'failed', error.message);
+      }
+    }
+  }
+
+  setSocketIO(io) {
+    this.io = io;
+  }
+
+  setConnection(serverId, connection) {
+    const previous = this.connections.get(serverId);
+    this.connections.set(serverId, connection);
+    if (!previous || previous.status !== connection.status) {
+      this.notifyStatus(serverId, previous ? previous.status : null);
+    }
+  }
+
+  setStatus(serverId, status, error) {
+    const connection = this.connections.get(serverId);
+    if (!connection) return;
+
+    const previousStatus = connection.status;
+    connection.status = status;
+    if (error !== undefined) {
+      connection.error = error;
+    }
+    if (previousStatus !== status) {
+      this.notifyStatus(serverId, previousStatus);
+    }
+  }
+
+  // Push status transitions to every connected client
+  notifyStatus(serverId, previousStatus) {
+    const status = this.getServerStatus()[serverId];
+    if (!status) return;
+
+    const update = {
+      ...status,
+      previousStatus,
+      timestamp: new Date().toISOString()
+    };
+
+    this.emit('statusChanged', update);
+    if (this.io) {
+      this.io.emit('mcp_status', update);
+    }
+  }
+
+  // Single place where a dead or unhealthy connection is cleaned up:
+  // in-flight requests are rejected, tools are withdrawn and a restart
+  // is scheduled. Events from replaced transports are ignored.
+  handleConnectionLost(serverConfig, transport, status, reason) {
+    const { id } = serverConfig;
+    if (transport && !this.isCurrentTransport(id, transport)) return;
+
+    const connection = this.teardownConnection(id, reason);
+    this.clearServerState(id);
+    this.setConnection(id, {
+      process: null,
+      ws: null,
+      transport: null,
+      config: connection ? connection.config : serverConfig,
+      status,
+      protocol: serverConfig.protocol || 'unknown',
+      error: reason
+    });
+
+    this.scheduleRestart(id);
+  }
+
+  // Withdraw everything a server contributed to the agents
+  clearServerState(serverId) {
+    this.clearTools(serverId);
+    this.clearResources(serverId);
+    this.clearPrompts(serverId);
+  }
+
+  // Stop the process or socket behind a connection. The transport is
+  // detached first so its exit/close events no longer count as crashes.
+  teardownConnection(serverId, reason = 'connection closed') {
+    const connection = this.connections.get(serverId);
+    const transport = this.transports.get(serverId);
+
+    this.transports.delete(serverId);
+    this.stopHealthCheck(serverId);
+
+    if (transport) {
+      transport.close(reason);
+    }
+
+    if (connection && connection.process && connection.process.exitCode === null) {
+      connection.process.stdin.end();
+      connection.process.kill();
+    }
+    if (connection && connection.ws) {
+      connection.ws.close();
+    }
+
+    return connection;
+  }
+
+  isRestartPending(serverId) {
+    const state = this.restarts.get(serverId);
+    return Boolean(state && state.timer);
+  }
+
+  // Exponential backoff driven by the retryAttempts/retryDelay settings
+  scheduleRestart(serverId) {
+    const serverConfig = database.getMCPServer(serverId) || (this.connections.get(serverId) || {}).config;
+    if (this.shuttingDown || !serverConfig || !serverConfig.enabled) return;
+
+    const state = this.restarts.get(serverId) || { attempts: 0, timer: null, nextRetryAt: null };
+    if (state.timer) return;
+
+    const maxAttempts = serverConfig.retryAttempts !== undefined ? serverConfig.retryAttempts : DEFAULT_RETRY_ATTEMPTS;
+    if (state.attempts >= maxAttempts) {
+      console.error(`❌ MCP server ${serverId} failed after ${state.attempts} restart attempt(s); giving up`);
+      this.restarts.delete(serverId);
+      this.setStatus(serverId, 'failed', `Gave up after ${state.attempts} restart attempt(s)`);
+      return;
+    }
+
+    const baseDelay = serverConfig.retryDelay !== undefined ? serverConfig.retryDelay : DEFAULT_RETRY_DELAY;
+    const delay = Math.min(baseDelay * 2 ** state.attempts, MAX_RETRY_DELAY);
+    state.attempts++;
+    state.nextRetryAt = new Date(Date.now() + delay).toISOString();
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      state.nextRetryAt = null;
+
+      const latest = database.getMCPServer(serverId) || serverConfig;
+      if (this.shuttingDown || !latest.enabled) return;
+
+      console.log(`🔄 Restarting MCP server ${serverId} (attempt ${state.attempts}/${maxAttempts})`);
+      this.connectToServer(latest);
+    }, delay);
+
+    this.restarts.set(serverId, state);
+    console.log(`⏳ MCP server ${serverId} will restart in ${delay}ms`);
+    this.setStatus(serverId, 'reconnecting');
+  }
+
+  cancelRestart(serverId) {
+    const state = this.restarts.get(serverId);
+    if (state) {
+      clearTimeout(state.timer);
+      this.restarts.delete(serverId);
+    }
+  }
+
+  // Periodic ping; a server that stops answering is restarted. Error
+  // replies (e.g. ping not implemented) still prove the server is alive.
+  startHealthCheck(serverId) {
+    this.stopHealthCheck(serverId);
+
+    const connection = this.connections.get(serverId);
+    const interval = (connection && connection.config.healthCheckInterval) || DEFAULT_HEALTH_CHECK_INTERVAL;
+
+    const timer = setInterval(async () => {
+      const current = this.connections.get(serverId);
+      if (!current || current.status !== 'connected' || !current.transport) return;
+
+      const { transport } = current;
+      try {
+        await transport.request('ping', {});
+      } catch (error) {
+        if (error.code !== undefined || !this.isCurrentTransport(serverId, transport)) return;
+        console.warn(`💔 Health check failed for MCP server ${serverId}:`, error.message);
+        this.handleConnectionLost(current.config, transport, 'error', `health check failed: ${error.message}`);
+        return;
+      }
+
+      // Stable again: the next crash starts the backoff from scratch
+      this.restarts.delete(serverId);
+    }, interval);
+
+    this.healthChecks.set(serverId, timer);
+  }
+
+  stopHealthCheck(serverId) {
+    clearInterval(this.healthChecks.get(serverId));
+    this.healthChecks.delete(serverId);
+  }
+
+  // Close every connection and wait for child processes to exit
+  async shutdown() {
+    this.shuttingDown = true;
+
+    for (const serverId of this.restarts.keys()) {
+      this.cancelRestart(serverId);
+    }
+
+    const exits = [];
+    for (const [serverId, connection] of this.connections) {
+      const child = connection.process;
+      if (child && child.exitCode === null) {
+        exits.push(new Promise((resolve) => {
+          const timer = setTimeout(() => {
+            child.kill('SIGKILL');
+            resolve();
+          }, SHUTDOWN_GRACE_PERIOD);
+          child.once('exit', () => {
+            clearTimeout(timer);
+            resolve();
+          });
+        }));
+      }
+      this.teardownConnection(serverId, 'shutting down');
+    }
+
+    await Promise.all(exits);
+  }
+
+  // Last resort for process.on('exit'), where nothing async can run
+  killAll() {
+    for (const connection of this.connections.values()) {
+      if (connection.process && connection.process.exitCode === null) {
+        connection.process.kill('SIGKILL');
+      }
+    }
+  }
+
+  buildHttpHeaders(serverConfig) {
+    const headers = { ...(serverConfig.headers || {}) };
+    const auth = serverConfig.config && serverConfig.config.auth;
+
+    if (auth && auth.type === 'token' && auth.token && !headers.Authorization) {
+      headers.Authorization = `Bearer ${auth.token}`;
+    } else if (auth && auth.type === 'basic' && auth.username && !headers.Authorization) {
+      const credentials = Buffer.from(`${auth.username}:${auth.password || ''}`).toString('base64');
+      headers.Authorization = `Basic ${credentials}`;
+    }
+
+    return headers;
+  }
+
+  // Route server-initiated traffic from a transport into handleMessage.
+  // Responses to our own requests are resolved inside the transport.
+  attachTransport(serverId, transport) {
+    this.transports.set(serverId, transport);
+    transport.on('notification', (message) => this.handleMessage(serverId, message, transport));
+    transport.on('request', (message) => this.handleMessage(serverId, message, transport));
+  }
+
+  // Events from a replaced connection (e.g. after reconnect) must not
+  // overwrite the state of the new one.
+  isCurrentTransport(serverId, transport) {
+    return this.transports.get(serverId) === transport;
+  }
+
+  // MCP lifecycle: initialize -> notifications/initialized -> discovery
+  async initializeSession(serverId) {
+    const connection = this.connections.get(serverId);
+    if (!connection || !connection.transport) return;
+
+    const { transport } = connection;
+
+    try {
+      const result = await transport.request('initialize', {
+        protocolVersion: PROTOCOL_VERSION,
+        capabilities: {},
+        clientInfo: {
+          name: 'mcp-agent-app',
+          version: '1.0.0'
+        }
       });
+
+      if (!SUPPORTED_PROTOCOL_VERSIONS.includes(result.protocolVersion)) {
+        throw new Error(`Unsupported protocol version: ${result.protocolVersion}`);
+      }
+
+      if (!this.isCurrentTransport(serverId, transport)) return;
+
+      connection.protocolVersion = result.protocolVersion;
+      transport.protocolVersion = result.protocolVersion;
+      connection.capabilities = result.capabilities || {};
+      connection.serverInfo = result.serverInfo || null;
+
+      transport.notify('notifications/initialized');
+      this.setStatus(serverId, 'connected');
+      this.startHealthCheck(serverId);
+      console.log(`✅ MCP server ${serverId} initialized (${connection.serverInfo ? connection.serverInfo.name : 'unknown'}, protocol ${result.protocolVersion})`);
+
+      if (connection.capabilities.tools) {
+        await this.refreshTools(serverId);
+      } else {
+        console.log(`MCP server ${serverId} does not advertise tools`);
+      }
+
+      if (connection.capabilities.resources) {
+        await this.refreshResources(serverId);
+        await this.restoreSubscriptions(serverId);
+      }
+
+      if (connection.capabilities.prompts) {
+        await this.refreshPrompts(serverId);
+      }
+    } catch (error) {
+      console.error(`Initialization failed for MCP server ${serverId}:`, error.message);
+      this.handleConnectionLost(connection.config, transport, 'error', `initialization failed: ${error.message}`);
+    }
+  }
+
+  // Page through tools/list and replace this server's tool set
+  async refreshTools(serverId) {
+    const connection = this.connections.get(serverId);
+    if (!connection || !connection.transport) return;
+
+    const { transport } = connection;
+
+    try {
+      const tools = await this.listAll(transport, 'tools/list', 'tools');
+
+      if (!this.isCurrentTransport(serverId, transport)) return;
+
+      this.updateTools(serverId, tools);
+      console.log(`🔧 Discovered ${tools.length} tools on MCP server ${serverId}`);
+    } catch (error) {
+      console.error(`Failed to list tools for MCP server ${serverId}:`, error.message);
+    }
+  }
+
+  // Collect every page of a paginated list method
+  async listAll(transport, method, key) {
+    const items = [];
+    let cursor;
+
+    do {
+      const result = await transport.request(method, cursor ? { cursor } : {});
+      items.push(...(result[key] || []));
+      cursor = result.nextCursor;
+    } while (cursor);
+
+    return items;
+  }
+
+  async refreshResources(serverId) {
+    const connection = this.connections.get(serverId);
+    if (!connection || !connection.transport) return;
+
+    const { transport } = connection;
+
+    try {
+      const resources = await this.listAll(transport, 'resources/list', 'resources');
+      let templates = [];
+      try {
+        templates = await this.listAll(transport, 'resources/templates/list', 'resourceTemplates');
+      } catch (error) {
+        // Templates are optional; older servers answer "method not found"
+        if (error.code === undefined) throw error;
+      }
+
+      if (!this.isCurrentTransport(serverId, transport)) return;
+
+      this.resources.set(serverId, { resources, templates });
+      this.emit('resourcesChanged', { serverId });
+      console.log(`📚 Discovered ${resources.length} resources and ${templates.length} templates on MCP server ${serverId}`);
+    } catch (error) {
+      console.error(`Failed to list resources for MCP server ${serverId}:`, error.message);
+    }
+  }
+
+  clearResources(serverId) {
+    if (this.resources.delete(serverId)) {
+      this.emit('resourcesChanged', { serverId });
+    }
+  }
+
+  getResources(serverId) {
+    const entry = this.resources.get(serverId);
+    return entry ? entry.resources : [];
+  }
+
+  getResourceTemplates(serverId) {
+    const entry = this.resources.get(serverId);
+    return entry ? entry.templates : [];
+  }
+
+  // Servers whose connection advertises the resources capability
+  getResourceServers() {
+    return Array.from(this.connections.entries())
+      .filter(([, connection]) => connection.status === 'connected' && connection.capabilities && connection.capabilities.resources)
+      .map(([id]) => id);
+  }
+
+  getConnectedTransport(serverId, capability) {
+    const connection = this.connections.get(serverId);
+    if (!connection || connection.status !== 'connected' || !connection.transport) {
+      throw new Error(`MCP server ${serverId} not connected`);
+    }
+    if (capability && !(connection.capabilities && connection.capabilities[capability])) {
+      throw new Error(`MCP server ${serverId} does not support ${capability}`);
+    }
+    return connection.transport;
+  }
+
+  async readResource(serverId, uri) {
+    const transport = this.getConnectedTransport(serverId, 'resources');
+    return transport.request('resources/read', { uri });
+  }
+
+  async subscribeResource(serverId, uri) {
+    const connection = this.connections.get(serverId);
+    const transport = this.getConnectedTransport(serverId, 'resources');
+    if (!connection.capabilities.resources.subscribe) {
+      throw new Error(`MCP server ${serverId} does not support resource subscriptions`);
+    }
+
+    await transport.request('resources/subscribe', { uri });
+
+    if (!this.subscriptions.has(serverId)) {
+      this.subscriptions.set(serverId, new Set());
+    }
+    this.subscriptions.get(serverId).add(uri);
+  }
+
+  async unsubscribeResource(serverId, uri) {
+    const uris = this.subscriptions.get(serverId);
+    if (uris) {
+      uris.delete(uri);
+    }
+
+    const transport = this.getConnectedTransport(serverId, 'resources');
+    await transport.request('resources/unsubscribe', { uri });
+  }
+
+  getSubscriptions(serverId) {
+    return Array.from(this.subscriptions.get(serverId) || []);
+  }
+
+  // Subscriptions survive restarts; re-register them on the new session
+  async restoreSubscriptions(serverId) {
+    const connection = this.connections.get(serverId);
+    const uris = this.getSubscriptions(serverId);
+    if (uris.length === 0 || !connection.capabilities.resources.subscribe) return;
+
+    for (const uri of uris) {
+      try {
+        await connection.transport.request('resources/subscribe', { uri });
+      } catch (error) {
+        console.error(`Failed to restore subscription ${uri} on ${serverId}:`, error.message);
+      }
+    }
+  }
+
+  handleResourceUpdated(serverId, uri) {
+    const update = { serverId, uri, timestamp: new Date().toISOString() };
+    this.emit('resourceUpdated', update);
+    if (this.io) {
+      this.io.emit('mcp_resource_updated', update);
+    }
+  }
+
+  async refreshPrompts(serverId) {
+    const connection = this.connections.get(serverId);
+    if (!connection || !connection.transport) return;
+
+    const { transport } = connection;
+
+    try {
+      const prompts = await this.listAll(transport, 'prompts/list', 'prompts');
+      if (!this.isCurrentTransport(serverId, transport)) return;
+
+      this.prompts.set(serverId, prompts);
+      this.notifyPromptsChanged(serverId);
+      console.log(`💬 Discovered ${prompts.length} prompts on MCP server ${serverId}`);
+    } catch (error) {
+      console.error(`Failed to list prompts for MCP server ${serverId}:`, error.message);
+    }
+  }
+
+  clearPrompts(serverId) {
+    if (this.prompts.delete(serverId)) {
+      this.notifyPromptsChanged(serverId);
+    }
+  }
+
+  notifyPromptsChanged(serverId) {
+    this.emit('promptsChanged', { serverId });
+    if (this.io) {
+      this.io.emit('mcp_prompts_changed', { serverId });
     }
   }
 
-  handleMessage(serverId, message) {
-    if (message.method === 'tools/list') {
-      this.updateTools(serverId, message.params.tools || []);
+  getAvailablePrompts() {
+    const prompts = [];
+    for (const [serverId, serverPrompts] of this.prompts) {
+      for (const prompt of serverPrompts) {
+        prompts.push({
+          id: `${serverId}:${prompt.name}`,
+          name: prompt.name,
+          description: prompt.description || '',
+          arguments: prompt.arguments || [],
+          serverId
+        });
+      }
+    }
+    return prompts;
+  }
+
+  // Render a prompt template on the server; message content is flattened
+  // to plain text so it can go straight into the conversation
+  async getPrompt(serverId, name, args = {}) {
+    const transport = this.getConnectedTransport(serverId, 'prompts');
+    const result = await transport.request('prompts/get', { name, arguments: args });
+
+    return {
+      description: result.description || '',
+      messages: (result.messages || []).map(message => ({
+        role: message.role,
+        content: this.flattenPromptContent(message.content)
+      }))
+    };
+  }
+
+  flattenPromptContent(content) {
+    const items = Array.isArray(content) ? content : [content];
+    return items.map(item => {
+      if (!item) return '';
+      if (item.type === 'text') return item.text;
+      if (item.type === 'resource' && item.resource) {
+        return item.resource.text !== undefined
+          ? item.resource.text
+          : `[resource ${item.resource.uri}]`;
+      }
+      return `[${item.type} content]`;
+    }).join('\n');
+  }
+
+  // Handles server-initiated notifications and requests only
+  handleMessage(serverId, message, transport) {
+    const isRequest = message.id !== undefined && message.id !== null;
+
+    if (!isRequest) {
+      switch (message.method) {
+        case 'notifications/tools/list_changed':
+          this.refreshTools(serverId);
+          break;
+        case 'notifications/resources/list_changed':
+          this.refreshResources(serverId);
+          break;
+        case 'notifications/prompts/list_changed':
+          this.refreshPrompts(serverId);
+          break;
+        case 'notifications/resources/updated':
+          this.handleResourceUpdated(serverId, message.params && message.params.uri);
+          break;
+        case 'notifications/message':
+          console.log(`MCP server ${serverId} log:`, message.params);
+          break;
+        default:
+          break;
+      }
+      return;
+    }
+
+    if (!transport) return;
+
+    try {
+      if (message.method === 'ping') {
+        transport.respond(message.id, {});
+      } else {
+        transport.respondError(message.id, -32601, `Method not found: ${message.method}`);
+      }
+    } catch (error) {
+      console.error(`Failed to respond to ${message.method} from ${serverId}:`, error.message);
     }
   }
 
   updateTools(serverId, tools) {
+    this.clearTools(serverId, { silent: true });
     for (const tool of tools) {
       const toolId = `${serverId}:${tool.name}`;
       this.tools.set(toolId, {
@@ -184,18 +747,19 @@ class MCPService {
         fullName: toolId
       });
     }
+    this.emit('toolsChanged', { serverId });
   }
 
-  sendMessage(serverId, message) {
-    const connection = this.connections.get(serverId);
-    if (!connection) return;
-
-    if (connection.protocol === 'stdio' && connection.process) {
-      // Send message to STDIO process via stdin
-      connection.process.stdin.write(JSON.stringify(message) + '\n');
-    } else if (connection.protocol === 'ws' && connection.ws && connection.ws.readyState === 1) {
-      // Send message to WebSocket
-      connection.ws.send(JSON.stringify(message));
+  clearTools(serverId, { silent = false } = {}) {
+    let removed = 0;
+    for (const [toolId, tool] of this.tools) {
+      if (tool.serverId === serverId) {
+        this.tools.delete(toolId);
+        removed++;
+      }
+    }
+    if (removed > 0 && !silent) {
+      this.emit('toolsChanged', { serverId });
     }
   }
 
@@ -205,82 +769,47 @@ class MCPService {
       throw new Error(`Tool not found: ${toolName}`);
     }
 
-    const connection = this.connections.get(tool.serverId);
-    if (!connection || connection.status !== 'connected') {
-      throw new Error(`MCP server ${tool.serverId} not connected`);
-    }
-
-    const messageId = Date.now();
-    
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error(`Tool invocation timeout: ${toolName}`));
-      }, 30000);
-
-      if (connection.protocol === 'stdio') {
-        // Handle STDIO response
-        const messageHandler = (data) => {
-          try {
-            const response = JSON.parse(data.toString());
-            if (response.id === messageId) {
-              clearTimeout(timeout);
-              connection.process.stdout.removeListener('data', messageHandler);
-              
-              if (response.error) {
-                reject(new Error(response.error.message));
-              } else {
-                resolve(response.result);
-              }
-            }
-          } catch (error) {
-            console.error('Error parsing tool response:', error);
-          }
-        };
+    return this.withCallSlot(tool.serverId, () => {
+      // The connection may have dropped while the call was queued
+      const connection = this.connections.get(tool.serverId);
+      if (!connection || connection.status !== 'connected' || !connection.transport) {
+        throw new Error(`MCP server ${tool.serverId} not connected`);
+      }
 
-        connection.process.stdout.on('data', messageHandler);
+      return connection.transport.request('tools/call', {
+        name: tool.name,
+        arguments: parameters
+      });
+    });
+  }
 
-        this.sendMessage(tool.serverId, {
-          jsonrpc: '2.0',
-          id: messageId,
-          method: 'tools/call',
-          params: {
-            name: tool.name,
-            arguments: parameters
-          }
-        });
-      } else if (connection.protocol === 'ws') {
-        // Handle WebSocket response
-        const messageHandler = (data) => {
-          try {
-            const response = JSON.parse(data.toString());
-            if (response.id === messageId) {
-              clearTimeout(timeout);
-              connection.ws.removeEventListener('message', messageHandler);
-              
-              if (response.error) {
-                reject(new Error(response.error.message));
-              } else {
-                resolve(response.result);
-              }
-            }
-          } catch (error) {
-            console.error('Error parsing tool response:', error);
-          }
-        };
+  // At most `maxConcurrentCalls` tool calls run on a server at once; the
+  // rest wait in arrival order. A finished call hands its slot straight
+  // to the next waiting one.
+  async withCallSlot(serverId, fn) {
+    const connection = this.connections.get(serverId);
+    const limit = (connection && connection.config.maxConcurrentCalls) || DEFAULT_MAX_CONCURRENT_CALLS;
+    if (!this.callSlots.has(serverId)) {
+      this.callSlots.set(serverId, { active: 0, waiting: [] });
+    }
+    const slots = this.callSlots.get(serverId);
 
-        connection.ws.addEventListener('message', messageHandler);
+    if (slots.active < limit) {
+      slots.active++;
+    } else {
+      await new Promise(resolve => slots.waiting.push(resolve));
+    }
 
-        this.sendMessage(tool.serverId, {
-          jsonrpc: '2.0',
-          id: messageId,
-          method: 'tools/call',
-          params: {
-            name: tool.name,
-            arguments: parameters
-          }
-        });
+    try {
+      return await fn();
+    } finally {
+      const next = slots.waiting.shift();
+      if (next) {
+        next();
+      } else {
+        slots.active--;
       }
-    });
+    }
   }
 
   getAvailableTools() {
@@ -289,7 +818,8 @@ class MCPService {
       name: tool.name,
       description: tool.description,
       serverId: tool.serverId,
-      parameters: tool.inputSchema || {}
+      parameters: tool.inputSchema || {},
+      annotations: tool.annotations || {}
     }));
   }
 
@@ -301,27 +831,99 @@ class MCPService {
         name: connection.config.name,
         status: connection.status,
         protocol: connection.protocol,
-        ...(connection.protocol === 'ws' ? {
-          host: connection.config.host,
-          port: connection.config.port
-        } : {
-          command: connection.config.command,
-          args: connection.config.args
-        })
+        serverInfo: connection.serverInfo || null,
+        capabilities: connection.capabilities || {},
+        toolCount: this.getAvailableTools().filter(tool => tool.serverId === id).length,
+        resourceCount: this.getResources(id).length,
+        promptCount: (this.prompts.get(id) || []).length,
+        activeCalls: this.callSlots.has(id) ? this.callSlots.get(id).active : 0,
+        queuedCalls: this.callSlots.has(id) ? this.callSlots.get(id).waiting.length : 0,
+        error: connection.error || null,
+        restartAttempts: this.restarts.has(id) ? this.restarts.get(id).attempts : 0,
+        nextRetryAt: this.restarts.has(id) ? this.restarts.get(id).nextRetryAt : null,
+        ...this.describeEndpoint(connection)
       };
     }
     return status;
   }
 
+  describeEndpoint(connection) {
+    const { config } = connection;
+    switch (connection.protocol) {
+      case 'ws':
+        return { host: config.host, port: config.port };
+      case 'http':
+        return {
+          url: config.url,
+          sessionId: connection.transport ? connection.transport.sessionId : null
+        };
+      case 'sse':
+        return {
+          url: config.url,
+          endpoint: connection.transport ? connection.transport.endpoint : null
+        };
+      default:
+        return { command: config.command, args: config.args };
+    }
+  }
+
   async reconnectToServer(serverId) {
     const connection = this.connections.get(serverId);
     if (connection) {
-      if (connection.protocol === 'stdio' && connection.process) {
-        connection.process.kill();
-      } else if (connection.protocol === 'ws' && connection.ws) {
-        connection.ws.close();
-      }
-      await this.connectToServer(connection.config);
+      // A manual reconnect starts the backoff from scratch
+      this.cancelRestart(serverId);
+      this.teardownConnection(serverId, 'reconnecting');
+      this.clearServerState(serverId);
+      this.setStatus(serverId, 'reconnecting');
+      await this.connectToServer(database.getMCPServer(serverId) || connection.config);
+    }
+  }
+
+  // Bring the live connection in line with the stored config after it was
+  // created or edited: enabled servers (re)connect, disabled ones stop
+  async applyServerConfig(serverId) {
+    const serverConfig = database.getMCPServer(serverId);
+    if (!serverConfig) return;
+
+    if (!serverConfig.enabled) {
+      this.disconnectServer(serverId);
+      return;
+    }
+
+    if (this.connections.has(serverId)) {
+      await this.reconnectToServer(serverId);
+    } else {
+      await this.connectToServer(serverConfig);
+    }
+  }
+
+  disconnectServer(serverId) {
+    const connection = this.connections.get(serverId);
+    this.cancelRestart(serverId);
+    this.teardownConnection(serverId, 'disabled');
+    this.clearServerState(serverId);
+
+    if (connection) {
+      this.setConnection(serverId, {
+        process: null,
+        ws: null,
+        transport: null,
+        config: database.getMCPServer(serverId) || connection.config,
+        status: 'disabled',
+        protocol: connection.protocol
+      });
+    }
+  }
+
+  removeServer(serverId) {
+    this.disconnectServer(serverId);
+    this.connections.delete(serverId);
+    this.subscriptions.delete(serverId);
+
+    const update = { id: serverId, status: 'removed', timestamp: new Date().toISOString() };
+    this.emit('statusChanged', update);
+    if (this.io) {
+      this.io.emit('mcp_status', update);
     }
   }
 }
@@ -0,0 +1,115 @@
+// Restart backoff of MCP connections. The server registry is an in-memory
+// stand-in and connecting is stubbed, so no process is started.
+const mockServers = new Map();
+
+jest.mock('../config/database', () => ({
+  getMCPServers: () => Array.from(mockServers.values()),
+  getMCPServer: id => mockServers.get(id)
+}));
+
+const mcpService = require('./mcpService');
+
+const addServer = (fields = {}) => {
+  const server = { id: 'files', name: 'Files', protocol: 'stdio', command: 'npx', args: [], enabled: true, retryAttempts: 3, retryDelay: 1000, ...fields };
+  mockServers.set(server.id, server);
+  mcpService.connections.set(server.id, { config: server, status: 'error', protocol: 'stdio' });
+  return server;
+};
+
+const status = () => mcpService.getServerStatus().files;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(mcpService, 'connectToServer').mockImplementation(async () => {});
+});
+
+afterEach(() => {
+  mcpService.cancelRestart('files');
+  mcpService.connections.clear();
+  mockServers.clear();
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('scheduleRestart', () => {
+  test('doubles the delay after each failed attempt', () => {
+    const server = addServer();
+    const delays = [];
+
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      const scheduledAt = Date.now();
+      mcpService.scheduleRestart('files');
+      expect(status()).toMatchObject({ status: 'reconnecting', restartAttempts: attempt });
+      delays.push(Date.parse(status().nextRetryAt) - scheduledAt);
+
+      jest.advanceTimersByTime(delays[delays.length - 1] - 1);
+      expect(mcpService.connectToServer).toHaveBeenCalledTimes(attempt - 1);
+      jest.advanceTimersByTime(1);
+      expect(mcpService.connectToServer).toHaveBeenCalledTimes(attempt);
+    }
+
+    expect(delays).toEqual([1000, 2000, 4000]);
+    expect(mcpService.connectToServer).toHaveBeenLastCalledWith(server);
+  });
+
+  test('gives up once retryAttempts are used', () => {
+    addServer({ retryAttempts: 1 });
+
+    mcpService.scheduleRestart('files');
+    jest.runOnlyPendingTimers();
+    mcpService.scheduleRestart('files');
+
+    expect(mcpService.connectToServer).toHaveBeenCalledTimes(1);
+    expect(status()).toMatchObject({ status: 'failed', error: 'Gave up after 1 restart attempt(s)', restartAttempts: 0 });
+  });
+
+  test('caps the delay at one minute', () => {
+    addServer({ retryAttempts: 5, retryDelay: 40000 });
+
+    mcpService.scheduleRestart('files');
+    jest.runOnlyPendingTimers();
+    const scheduledAt = Date.now();
+    mcpService.scheduleRestart('files');
+
+    expect(Date.parse(status().nextRetryAt) - scheduledAt).toBe(60000);
+  });
+
+  test('keeps a single restart pending', () => {
+    addServer();
+
+    mcpService.scheduleRestart('files');
+    mcpService.scheduleRestart('files');
+    jest.runOnlyPendingTimers();
+
+    expect(mcpService.connectToServer).toHaveBeenCalledTimes(1);
+    expect(status().restartAttempts).toBe(1);
+  });
+
+  test('does not restart a server that was disabled meanwhile', () => {
+    const server = addServer();
+
+    mcpService.scheduleRestart('files');
+    server.enabled = false;
+    jest.runOnlyPendingTimers();
+    mcpService.scheduleRestart('files');
+
+    expect(mcpService.connectToServer).not.toHaveBeenCalled();
+    expect(mcpService.isRestartPending('files')).toBe(false);
+  });
+
+  test('a manual reconnect starts the backoff from scratch', () => {
+    addServer();
+
+    mcpService.scheduleRestart('files');
+    jest.runOnlyPendingTimers();
+    mcpService.scheduleRestart('files');
+    mcpService.cancelRestart('files');
+    const scheduledAt = Date.now();
+    mcpService.scheduleRestart('files');
+
+    expect(status().restartAttempts).toBe(1);
+    expect(Date.parse(status().nextRetryAt) - scheduledAt).toBe(1000);
+  });
+});
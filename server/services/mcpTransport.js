@@ -0,0 +1,438 @@
+const { EventEmitter } = require('events');
+const { StringDecoder } = require('string_decoder');
+
+const DEFAULT_REQUEST_TIMEOUT = 30000;
+
+// Base JSON-RPC 2.0 transport shared by every MCP connection.
+// Handles newline-delimited framing, request ids and response correlation;
+// subclasses only need to implement write().
+class JsonRpcTransport extends EventEmitter {
+  constructor(serverId, options = {}) {
+    super();
+    this.serverId = serverId;
+    this.timeout = options.timeout || DEFAULT_REQUEST_TIMEOUT;
+    this.nextId = 1;
+    this.pending = new Map();
+    this.buffer = '';
+    this.decoder = new StringDecoder('utf8');
+    this.closed = false;
+  }
+
+  write(payload) {
+    throw new Error(`write() not implemented for ${this.constructor.name}`);
+  }
+
+  request(method, params = {}, options = {}) {
+    if (this.closed) {
+      return Promise.reject(new Error(`MCP server ${this.serverId} not connected`));
+    }
+
+    const id = this.nextId++;
+    const timeoutMs = options.timeout || this.timeout;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`MCP request timeout after ${timeoutMs}ms: ${method} (${this.serverId})`));
+      }, timeoutMs);
+
+      this.pending.set(id, { method, resolve, reject, timer });
+
+      try {
+        this.write({ jsonrpc: '2.0', id, method, params });
+      } catch (error) {
+        clearTimeout(timer);
+        this.pending.delete(id);
+        reject(error);
+      }
+    });
+  }
+
+  notify(method, params) {
+    const message = { jsonrpc: '2.0', method };
+    if (params !== undefined) {
+      message.params = params;
+    }
+    this.write(message);
+  }
+
+  respond(id, result) {
+    this.write({ jsonrpc: '2.0', id, result });
+  }
+
+  respondError(id, code, message) {
+    this.write({ jsonrpc: '2.0', id, error: { code, message } });
+  }
+
+  // Feed raw bytes from the underlying stream; partial lines are buffered
+  // until the terminating newline arrives.
+  handleData(chunk) {
+    this.buffer += typeof chunk === 'string' ? chunk : this.decoder.write(chunk);
+
+    let newlineIndex;
+    while ((newlineIndex = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, newlineIndex).trim();
+      this.buffer = this.buffer.slice(newlineIndex + 1);
+      if (line) {
+        this.handleLine(line);
+      }
+    }
+  }
+
+  handleLine(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      console.error(`Error parsing message from ${this.serverId}:`, error.message);
+      return;
+    }
+    this.handleMessage(message);
+  }
+
+  handleMessage(message) {
+    if (Array.isArray(message)) {
+      message.forEach(item => this.handleMessage(item));
+      return;
+    }
+
+    if (!message || typeof message !== 'object') {
+      return;
+    }
+
+    const hasId = message.id !== undefined && message.id !== null;
+
+    if (hasId && !message.method) {
+      this.handleResponse(message);
+    } else if (hasId) {
+      this.emit('request', message);
+    } else if (message.method) {
+      this.emit('notification', message);
+    }
+  }
+
+  handleResponse(message) {
+    const pending = this.pending.get(message.id);
+    if (!pending) {
+      console.warn(`Received response for unknown request ${message.id} from ${this.serverId}`);
+      return;
+    }
+
+    clearTimeout(pending.timer);
+    this.pending.delete(message.id);
+
+    if (message.error) {
+      const error = new Error(message.error.message || `MCP request failed: ${pending.method}`);
+      error.code = message.error.code;
+      error.data = message.error.data;
+      pending.reject(error);
+    } else {
+      pending.resolve(message.result);
+    }
+  }
+
+  rejectAll(error) {
+    for (const [id, pending] of this.pending) {
+      clearTimeout(pending.timer);
+      pending.reject(error);
+      this.pending.delete(id);
+    }
+  }
+
+  close(reason = 'connection closed') {
+    if (this.closed) return;
+    this.closed = true;
+    this.rejectAll(new Error(`MCP server ${this.serverId} ${reason}`));
+    this.emit('close');
+  }
+}
+
+class StdioTransport extends JsonRpcTransport {
+  constructor(serverId, childProcess, options = {}) {
+    super(serverId, options);
+    this.process = childProcess;
+
+    childProcess.stdout.on('data', (data) => this.handleData(data));
+
+    // Writes racing a crashed child fail with EPIPE; the exit handler
+    // takes care of the connection, so only log here
+    childProcess.stdin.on('error', (error) => {
+      console.error(`MCP server ${serverId} stdin error:`, error.message);
+    });
+  }
+
+  write(payload) {
+    if (this.closed || !this.process.stdin.writable) {
+      throw new Error(`MCP server ${this.serverId} not connected`);
+    }
+    this.process.stdin.write(JSON.stringify(payload) + '\n');
+  }
+}
+
+// WebSocket frames already delimit messages, so each frame is one line.
+class WebSocketTransport extends JsonRpcTransport {
+  constructor(serverId, ws, options = {}) {
+    super(serverId, options);
+    this.ws = ws;
+
+    ws.on('message', (data) => this.handleLine(data.toString()));
+  }
+
+  write(payload) {
+    if (this.closed || this.ws.readyState !== 1) {
+      throw new Error(`MCP server ${this.serverId} not connected`);
+    }
+    this.ws.send(JSON.stringify(payload));
+  }
+}
+
+// Parse a text/event-stream body from fetch() and invoke onEvent for every
+// dispatched event. Resolves when the stream ends.
+async function readEventStream(body, onEvent) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let event = { event: 'message', data: [], id: null };
+
+  const dispatch = () => {
+    if (event.data.length > 0) {
+      onEvent({ event: event.event, data: event.data.join('\n'), id: event.id });
+    }
+    event = { event: 'message', data: [], id: null };
+  };
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let newlineIndex;
+    while ((newlineIndex = buffer.search(/\r\n|\r|\n/)) !== -1) {
+      // A trailing CR may be the first half of a CRLF split across chunks
+      if (newlineIndex === buffer.length - 1 && buffer[newlineIndex] === '\r') break;
+
+      const line = buffer.slice(0, newlineIndex);
+      const separatorLength = buffer.startsWith('\r\n', newlineIndex) ? 2 : 1;
+      buffer = buffer.slice(newlineIndex + separatorLength);
+
+      if (line === '') {
+        dispatch();
+        continue;
+      }
+      if (line.startsWith(':')) continue;
+
+      const colonIndex = line.indexOf(':');
+      const field = colonIndex === -1 ? line : line.slice(0, colonIndex);
+      let value = colonIndex === -1 ? '' : line.slice(colonIndex + 1);
+      if (value.startsWith(' ')) value = value.slice(1);
+
+      if (field === 'event') event.event = value;
+      else if (field === 'data') event.data.push(value);
+      else if (field === 'id') event.id = value;
+    }
+  }
+
+  dispatch();
+}
+
+// Streamable HTTP transport (MCP 2025-03-26): every message is POSTed to a
+// single endpoint and the server answers with JSON or an SSE stream.
+class StreamableHttpTransport extends JsonRpcTransport {
+  constructor(serverId, options = {}) {
+    super(serverId, options);
+    this.url = options.url;
+    this.headers = options.headers || {};
+    this.sessionId = null;
+    this.protocolVersion = null;
+    this.abortController = new AbortController();
+  }
+
+  buildHeaders(extra = {}) {
+    const headers = {
+      ...this.headers,
+      Accept: 'application/json, text/event-stream',
+      ...extra
+    };
+    if (this.sessionId) {
+      headers['Mcp-Session-Id'] = this.sessionId;
+    }
+    if (this.protocolVersion) {
+      headers['MCP-Protocol-Version'] = this.protocolVersion;
+    }
+    return headers;
+  }
+
+  write(payload) {
+    if (this.closed) {
+      throw new Error(`MCP server ${this.serverId} not connected`);
+    }
+
+    this.post(payload).catch((error) => {
+      if (payload.id !== undefined && this.pending.has(payload.id)) {
+        const pending = this.pending.get(payload.id);
+        clearTimeout(pending.timer);
+        this.pending.delete(payload.id);
+        pending.reject(error);
+      } else {
+        console.error(`Error sending message to ${this.serverId}:`, error.message);
+      }
+    });
+  }
+
+  async post(payload) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: this.buildHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(payload),
+      signal: this.abortController.signal
+    });
+
+    const sessionId = response.headers.get('mcp-session-id');
+    if (sessionId) {
+      this.sessionId = sessionId;
+    }
+
+    if (response.status === 404 && this.sessionId) {
+      // The server dropped our session; callers must re-initialize
+      this.close('session expired');
+      throw new Error(`MCP session expired for ${this.serverId}`);
+    }
+
+    if (!response.ok) {
+      throw new Error(`MCP server ${this.serverId} returned HTTP ${response.status}`);
+    }
+
+    if (response.status === 202 || !response.body) {
+      return;
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType.includes('text/event-stream')) {
+      await readEventStream(response.body, ({ data }) => this.handleLine(data));
+    } else if (contentType.includes('application/json')) {
+      this.handleLine(await response.text());
+    }
+  }
+
+  // Optional GET stream for server-initiated notifications and requests.
+  // Servers that do not offer one answer 405.
+  async openEventStream() {
+    try {
+      const response = await fetch(this.url, {
+        method: 'GET',
+        headers: this.buildHeaders({ Accept: 'text/event-stream' }),
+        signal: this.abortController.signal
+      });
+
+      if (!response.ok || !response.body) {
+        return;
+      }
+
+      await readEventStream(response.body, ({ data }) => this.handleLine(data));
+    } catch (error) {
+      if (!this.closed) {
+        console.error(`Event stream error for ${this.serverId}:`, error.message);
+      }
+    }
+  }
+
+  close(reason) {
+    if (this.closed) return;
+    const sessionId = this.sessionId;
+    super.close(reason);
+    this.abortController.abort();
+
+    if (sessionId) {
+      fetch(this.url, {
+        method: 'DELETE',
+        headers: { ...this.headers, 'Mcp-Session-Id': sessionId }
+      }).catch(() => {});
+    }
+  }
+}
+
+// Legacy HTTP+SSE transport (MCP 2024-11-05): a long-lived GET stream
+// delivers messages and announces the endpoint that accepts POSTs.
+class SseTransport extends JsonRpcTransport {
+  constructor(serverId, options = {}) {
+    super(serverId, options);
+    this.url = options.url;
+    this.headers = options.headers || {};
+    this.endpoint = null;
+    this.abortController = new AbortController();
+  }
+
+  // Resolves once the server has announced its message endpoint
+  connect() {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        reject(new Error(`Timed out waiting for SSE endpoint from ${this.serverId}`));
+        this.close('connection timeout');
+      }, this.timeout);
+
+      fetch(this.url, {
+        method: 'GET',
+        headers: { ...this.headers, Accept: 'text/event-stream' },
+        signal: this.abortController.signal
+      })
+        .then((response) => {
+          if (!response.ok || !response.body) {
+            throw new Error(`MCP server ${this.serverId} returned HTTP ${response.status}`);
+          }
+
+          return readEventStream(response.body, ({ event, data }) => {
+            if (event === 'endpoint') {
+              this.endpoint = new URL(data, this.url).toString();
+              clearTimeout(timer);
+              resolve();
+            } else if (event === 'message') {
+              this.handleLine(data);
+            }
+          });
+        })
+        .then(() => this.close('stream ended'))
+        .catch((error) => {
+          clearTimeout(timer);
+          reject(error);
+          this.close(this.closed ? undefined : `stream error: ${error.message}`);
+        });
+    });
+  }
+
+  write(payload) {
+    if (this.closed || !this.endpoint) {
+      throw new Error(`MCP server ${this.serverId} not connected`);
+    }
+
+    fetch(this.endpoint, {
+      method: 'POST',
+      headers: { ...this.headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: this.abortController.signal
+    })
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`MCP server ${this.serverId} returned HTTP ${response.status}`);
+        }
+      })
+      .catch((error) => {
+        if (payload.id !== undefined && this.pending.has(payload.id)) {
+          const pending = this.pending.get(payload.id);
+          clearTimeout(pending.timer);
+          this.pending.delete(payload.id);
+          pending.reject(error);
+        }
+      });
+  }
+
+  close(reason) {
+    if (this.closed) return;
+    super.close(reason);
+    this.abortController.abort();
+  }
+}
+
+module.exports = {
+  JsonRpcTransport,
+  StdioTransport,
+  WebSocketTransport,
+  StreamableHttpTransport,
+  SseTransport
+};
@@ -0,0 +1,152 @@
+// JSON-RPC framing and response correlation, driven through a transport
+// that records what it writes instead of talking to a server
+const { JsonRpcTransport } = require('./mcpTransport');
+
+class RecordingTransport extends JsonRpcTransport {
+  constructor(options) {
+    super('test', options);
+    this.written = [];
+  }
+
+  write(payload) {
+    this.written.push(payload);
+  }
+}
+
+let transport;
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  transport = new RecordingTransport();
+});
+
+afterEach(() => {
+  transport.close();
+  jest.restoreAllMocks();
+});
+
+describe('framing', () => {
+  test('buffers a message split across chunks until its newline arrives', () => {
+    const notifications = [];
+    transport.on('notification', message => notifications.push(message));
+
+    transport.handleData('{"jsonrpc":"2.0","method":"notifications/');
+    expect(notifications).toEqual([]);
+    transport.handleData('tools/list_changed"}\n');
+
+    expect(notifications).toEqual([{ jsonrpc: '2.0', method: 'notifications/tools/list_changed' }]);
+  });
+
+  test('splits several messages in one chunk and skips blank lines', () => {
+    const notifications = [];
+    transport.on('notification', message => notifications.push(message.method));
+
+    transport.handleData('{"jsonrpc":"2.0","method":"a"}\n\n  \n{"jsonrpc":"2.0","method":"b"}\n{"jsonrpc"');
+
+    expect(notifications).toEqual(['a', 'b']);
+    expect(transport.buffer).toBe('{"jsonrpc"');
+  });
+
+  test('decodes a multi-byte character split across buffers', () => {
+    const notifications = [];
+    transport.on('notification', message => notifications.push(message.params.text));
+    const bytes = Buffer.from('{"jsonrpc":"2.0","method":"log","params":{"text":"🌤"}}\n');
+    const split = bytes.indexOf(Buffer.from('🌤')) + 2;
+
+    transport.handleData(bytes.subarray(0, split));
+    transport.handleData(bytes.subarray(split));
+
+    expect(notifications).toEqual(['🌤']);
+  });
+
+  test('ignores a line that is not JSON and keeps reading', () => {
+    const notifications = [];
+    transport.on('notification', message => notifications.push(message.method));
+
+    transport.handleData('server starting...\n{"jsonrpc":"2.0","method":"ready"}\n');
+
+    expect(notifications).toEqual(['ready']);
+  });
+
+  test('tells requests from the server apart from notifications', () => {
+    const requests = [];
+    transport.on('request', message => requests.push(message));
+
+    transport.handleData('{"jsonrpc":"2.0","id":"ping-1","method":"ping"}\n');
+
+    expect(requests).toEqual([{ jsonrpc: '2.0', id: 'ping-1', method: 'ping' }]);
+  });
+});
+
+describe('requests', () => {
+  test('resolves each request with the response carrying its id', async () => {
+    const first = transport.request('tools/list');
+    const second = transport.request('resources/list', { cursor: 'next' });
+
+    expect(transport.written).toEqual([
+      { jsonrpc: '2.0', id: 1, method: 'tools/list', params: {} },
+      { jsonrpc: '2.0', id: 2, method: 'resources/list', params: { cursor: 'next' } }
+    ]);
+
+    // Answered out of order
+    transport.handleData('{"jsonrpc":"2.0","id":2,"result":{"resources":[]}}\n{"jsonrpc":"2.0","id":1,"result":{"tools":[]}}\n');
+
+    await expect(first).resolves.toEqual({ tools: [] });
+    await expect(second).resolves.toEqual({ resources: [] });
+    expect(transport.pending.size).toBe(0);
+  });
+
+  test('handles a batch of responses', async () => {
+    const first = transport.request('a');
+    const second = transport.request('b');
+
+    transport.handleData('[{"jsonrpc":"2.0","id":1,"result":"A"},{"jsonrpc":"2.0","id":2,"result":"B"}]\n');
+
+    await expect(Promise.all([first, second])).resolves.toEqual(['A', 'B']);
+  });
+
+  test('rejects with the JSON-RPC error of the response', async () => {
+    const pending = transport.request('tools/call', { name: 'missing' });
+
+    transport.handleData('{"jsonrpc":"2.0","id":1,"error":{"code":-32602,"message":"Unknown tool","data":{"name":"missing"}}}\n');
+
+    await expect(pending).rejects.toMatchObject({ message: 'Unknown tool', code: -32602, data: { name: 'missing' } });
+  });
+
+  test('ignores a response to an unknown id', async () => {
+    const pending = transport.request('tools/list');
+
+    transport.handleData('{"jsonrpc":"2.0","id":99,"result":{}}\n');
+    expect(transport.pending.size).toBe(1);
+
+    transport.handleData('{"jsonrpc":"2.0","id":1,"result":{"tools":[]}}\n');
+    await expect(pending).resolves.toEqual({ tools: [] });
+  });
+
+  test('times out a request the server never answers', async () => {
+    transport = new RecordingTransport({ timeout: 10 });
+
+    await expect(transport.request('tools/list')).rejects.toThrow('MCP request timeout after 10ms: tools/list (test)');
+    expect(transport.pending.size).toBe(0);
+  });
+
+  test('rejects pending requests when the connection closes, and new ones after', async () => {
+    const pending = transport.request('tools/list');
+
+    transport.close('exited with code 1');
+
+    await expect(pending).rejects.toThrow('MCP server test exited with code 1');
+    await expect(transport.request('tools/list')).rejects.toThrow('MCP server test not connected');
+  });
+
+  test('writes notifications without an id', () => {
+    transport.notify('notifications/initialized');
+    transport.notify('notifications/progress', { progress: 1 });
+
+    expect(transport.written).toEqual([
+      { jsonrpc: '2.0', method: 'notifications/initialized' },
+      { jsonrpc: '2.0', method: 'notifications/progress', params: { progress: 1 } }
+    ]);
+  });
+});
@@ -0,0 +1,219 @@
+const { getEncoding } = require('js-tiktoken');
+const { SystemMessage, HumanMessage } = require('@langchain/core/messages');
+const llmService = require('./llmService');
+const usageService = require('./usageService');
+const database = require('../config/database');
+
+// Tokens available to the summary, pinned facts and recent messages
+const MEMORY_TOKEN_BUDGET = parseInt(process.env.MEMORY_TOKEN_BUDGET, 10) || 4000;
+
+// When history overflows, older turns are folded in until the recent
+// messages fit in this share of what is left, so summaries are made in
+// batches rather than on every turn
+const SUMMARY_TARGET_RATIO = 0.5;
+
+// Role markers and separators each message adds on top of its content
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// OpenAI's tokenizer is public; Anthropic and Google do not publish
+// theirs, so cl100k_base stands in as a close estimate
+const TOKENIZERS = {
+  openai: 'o200k_base',
+  anthropic: 'cl100k_base',
+  google: 'cl100k_base'
+};
+
+const LONG_RUN = /\S{200,}/g;
+const CHARS_PER_TOKEN = 4;
+
+const SUMMARY_INSTRUCTIONS = `You maintain the running summary of a conversation between a user and an AI quoting agent.
+Merge the new messages into the existing summary. Keep customer details, products, quantities, prices, decisions and open questions; drop small talk.
+Reply with the updated summary only, in plain sentences, under 250 words.`;
+
+class MemoryService {
+  constructor() {
+    this.encoders = new Map();
+  }
+
+  countTokens(provider, text = '') {
+    const name = TOKENIZERS[provider] || 'cl100k_base';
+    if (!this.encoders.has(name)) {
+      this.encoders.set(name, getEncoding(name));
+    }
+
+    // BPE time grows with the square of a word's length, so long runs
+    // without whitespace (base64, minified JSON) are estimated instead
+    let estimated = 0;
+    const rest = text.replace(LONG_RUN, run => {
+      estimated += Math.ceil(run.length / CHARS_PER_TOKEN);
+      return ' ';
+    });
+    return estimated + this.encoders.get(name).encode(rest).length;
+  }
+
+  countMessageTokens(provider, message) {
+    return this.countTokens(provider, message.content) + MESSAGE_OVERHEAD_TOKENS;
+  }
+
+  getMemory(conversationId) {
+    const conversation = database.getConversation(conversationId);
+    return conversation ? conversation.memory : null;
+  }
+
+  // Messages the model sees; failed replies are left out
+  getEntries(conversationId) {
+    const conversation = database.getConversation(conversationId);
+    return conversation ? conversation.messages.filter(message => !message.error) : [];
+  }
+
+  // Messages not yet folded into the summary
+  getUnsummarized(conversationId) {
+    const { summarizedThrough } = this.getMemory(conversationId);
+    const entries = this.getEntries(conversationId);
+    const index = summarizedThrough ? entries.findIndex(entry => entry.id === summarizedThrough) : -1;
+    return entries.slice(index + 1);
+  }
+
+  // Tokens left for verbatim messages once the summary and pins are counted
+  getHistoryBudget(provider, memory) {
+    const fixed = this.countTokens(provider, memory.summary) +
+      memory.pinned.reduce((total, pin) => total + this.countTokens(provider, pin.text), 0);
+    return Math.max(0, MEMORY_TOKEN_BUDGET - fixed);
+  }
+
+  // Index of the first message of the longest recent run that fits
+  // `budget`. The run starts on a user message, since Anthropic and Gemini
+  // reject history that opens with an assistant turn.
+  findCutoff(provider, entries, budget) {
+    let used = 0;
+    let cutoff = 0;
+    for (let i = entries.length - 1; i >= 0; i--) {
+      used += this.countMessageTokens(provider, entries[i]);
+      if (used > budget) {
+        cutoff = i + 1;
+        break;
+      }
+    }
+    while (cutoff < entries.length && entries[cutoff].role !== 'user') {
+      cutoff++;
+    }
+    return cutoff;
+  }
+
+  // History for the next run: the summary and pinned facts, plus as many
+  // recent messages as the token budget allows. Older messages that no
+  // longer fit are summarized by the selected model first; `context`
+  // names that model and what the call is billed to (runId, userId,
+  // sessionId).
+  async buildContext(conversationId, provider, context = {}) {
+    const memory = this.getMemory(conversationId);
+    let entries = this.getUnsummarized(conversationId);
+    let summarized = 0;
+
+    const budget = this.getHistoryBudget(provider, memory);
+    const older = this.findCutoff(provider, entries, budget) > 0
+      ? entries.slice(0, this.findCutoff(provider, entries, Math.floor(budget * SUMMARY_TARGET_RATIO)))
+      : [];
+
+    if (older.length > 0) {
+      try {
+        const summary = await this.summarize(provider, memory.summary, older, { ...context, conversationId });
+        database.updateConversationMemory(conversationId, {
+          summary,
+          summarizedThrough: older[older.length - 1].id,
+          summaryUpdatedAt: new Date().toISOString(),
+          summaryEdited: false
+        });
+        entries = entries.slice(older.length);
+        summarized = older.length;
+        console.log(`🧠 Summarized ${older.length} message(s) of conversation ${conversationId}`);
+      } catch (error) {
+        // Keep going without the oldest messages; the next turn retries
+        console.error(`Error summarizing conversation ${conversationId}:`, error);
+      }
+    }
+
+    const { summary, pinned } = this.getMemory(conversationId);
+    const recent = entries.slice(this.findCutoff(provider, entries, this.getHistoryBudget(provider, { summary, pinned })));
+
+    return {
+      history: recent.map(({ role, content }) => ({ role, content })),
+      summary,
+      pinned: pinned.map(pin => pin.text),
+      summarized,
+      omitted: entries.length - recent.length
+    };
+  }
+
+  async summarize(provider, previous, entries, context = {}) {
+    const transcript = entries
+      .map(entry => `${entry.role === 'assistant' ? 'Assistant' : 'User'}: ${entry.content}`)
+      .join('\n\n');
+
+    const model = llmService.getModel(provider, context.model);
+    const { timeout } = llmService.resolveParameters(context.model || llmService.getDefaultModelId(provider));
+    const input = [
+      new SystemMessage(SUMMARY_INSTRUCTIONS),
+      new HumanMessage(`Existing summary:\n${previous || '(none yet)'}\n\nNew messages:\n${transcript}`)
+    ];
+    const { message: response, usage } = await llmService.callWithRetry(provider,
+      (signal) => usageService.invoke(model, input, { signal }), { timeout });
+
+    const text = typeof response.content === 'string'
+      ? response.content
+      : response.content.filter(part => part.type === 'text').map(part => part.text).join('');
+
+    usageService.record(context, {
+      provider,
+      model: usageService.getModelName(model),
+      purpose: 'summary',
+      usage: usage || {
+        inputTokens: input.reduce((total, message) => total + this.countTokens(provider, message.content), 0),
+        outputTokens: this.countTokens(provider, text)
+      },
+      estimated: !usage
+    });
+
+    if (!text.trim()) {
+      throw new Error('Summarizer returned an empty summary');
+    }
+    return text.trim();
+  }
+
+  // Memory as shown by the API, with what it currently costs. Tokens are
+  // counted for the provider that answered last unless one is given.
+  describe(conversationId, provider = null) {
+    const memory = this.getMemory(conversationId);
+    const entries = this.getEntries(conversationId);
+    const last = entries.filter(entry => entry.provider).pop();
+    provider = provider || (last ? last.provider : 'openai');
+    return {
+      ...memory,
+      summarizedMessages: entries.length - this.getUnsummarized(conversationId).length,
+      provider,
+      tokenBudget: MEMORY_TOKEN_BUDGET,
+      summaryTokens: this.countTokens(provider, memory.summary),
+      pinnedTokens: memory.pinned.reduce((total, pin) => total + this.countTokens(provider, pin.text), 0)
+    };
+  }
+
+  // A hand-edited summary replaces the generated one; later summaries
+  // build on it
+  setSummary(conversationId, summary) {
+    return database.updateConversationMemory(conversationId, {
+      summary: summary.trim(),
+      summaryUpdatedAt: new Date().toISOString(),
+      summaryEdited: true
+    });
+  }
+
+  pin(conversationId, text) {
+    return database.addConversationPin(conversationId, text.trim());
+  }
+
+  unpin(conversationId, pinId) {
+    return database.deleteConversationPin(conversationId, pinId);
+  }
+}
+
+module.exports = new MemoryService();
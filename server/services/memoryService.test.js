@@ -0,0 +1,165 @@
+// Conversation memory against the in-memory database. The scripted mock
+// provider writes the summaries, so nothing here touches the network.
+const path = require('path');
+
+process.env.MOCK_LLM_FIXTURES = path.join(__dirname, '../fixtures/mock-llm');
+process.env.MEMORY_TOKEN_BUDGET = '120';
+process.env.LLM_RETRY_BASE_DELAY_MS = '1';
+for (const key of ['OPENAI_API_KEY', 'ANTHROPIC_API_KEY', 'GOOGLE_API_KEY', 'MOCK_LLM_RECORD']) {
+  process.env[key] = '';
+}
+
+const database = require('../config/database');
+const llmService = require('./llmService');
+const memoryService = require('./memoryService');
+
+const BUDGET = 120;
+
+const useScript = (entries) => {
+  const script = llmService.getMockScript();
+  script.entries = entries;
+  script.reset();
+};
+
+const summarizes = (content) => useScript([{ match: { system: /running summary/ }, response: { content } }]);
+
+// A conversation of `turns` user/assistant pairs of about `words` tokens each
+const createConversation = (turns, words = 10) => {
+  const { id } = database.createConversation({ title: 'Quote', sessionId: 'session-1' });
+  for (let i = 0; i < turns; i++) {
+    database.addConversationMessage(id, { role: 'user', content: `Question ${i}:` + ' word'.repeat(words) });
+    database.addConversationMessage(id, { role: 'assistant', content: `Answer ${i}:` + ' word'.repeat(words), provider: 'mock' });
+  }
+  return id;
+};
+
+const historyTokens = (history) => history.reduce((total, message) => total + memoryService.countMessageTokens('mock', message), 0);
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  database.conversations.clear();
+  llmService.circuits.clear();
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('token counting', () => {
+  test('counts text with the tokenizer', () => {
+    expect(memoryService.countTokens('openai', 'hello world')).toBe(2);
+    expect(memoryService.countTokens('anthropic', '')).toBe(0);
+  });
+
+  test('estimates long runs without whitespace instead of encoding them', () => {
+    // The run leaves a single space behind for the tokenizer
+    expect(memoryService.countTokens('openai', 'a'.repeat(400))).toBe(100 + memoryService.countTokens('openai', ' '));
+  });
+
+  test('adds the per-message overhead', () => {
+    const message = { role: 'user', content: 'hello world' };
+    expect(memoryService.countMessageTokens('openai', message)).toBe(6);
+  });
+});
+
+describe('buildContext', () => {
+  test('keeps short history verbatim', async () => {
+    const id = createConversation(2);
+
+    const context = await memoryService.buildContext(id, 'mock');
+
+    expect(context.history).toHaveLength(4);
+    expect(context.history[0]).toEqual({ role: 'user', content: expect.stringMatching(/^Question 0:/) });
+    expect(context).toMatchObject({ summary: '', pinned: [], summarized: 0, omitted: 0 });
+  });
+
+  test('leaves failed replies out of the history', async () => {
+    const id = createConversation(1);
+    database.addConversationMessage(id, { role: 'assistant', content: 'The provider is down', error: true });
+
+    const context = await memoryService.buildContext(id, 'mock');
+
+    expect(context.history.map(message => message.content)).not.toContain('The provider is down');
+  });
+
+  test('summarizes older messages once history overflows the budget', async () => {
+    summarizes('The customer wants a quote for 10 widgets.');
+    const id = createConversation(6);
+    const entries = memoryService.getEntries(id);
+
+    const context = await memoryService.buildContext(id, 'mock', { model: 'mock' });
+
+    expect(context.summary).toBe('The customer wants a quote for 10 widgets.');
+    expect(context.summarized).toBeGreaterThan(0);
+    expect(context.summarized + context.history.length).toBe(entries.length);
+    expect(context.omitted).toBe(0);
+    // Folded in batches: what is left fits in half of the remaining budget
+    const remaining = BUDGET - memoryService.countTokens('mock', context.summary);
+    expect(historyTokens(context.history)).toBeLessThanOrEqual(remaining / 2);
+    expect(context.history[0].role).toBe('user');
+
+    const memory = memoryService.getMemory(id);
+    expect(memory.summarizedThrough).toBe(entries[context.summarized - 1].id);
+    expect(memory.summaryEdited).toBe(false);
+  });
+
+  test('does not summarize again while the recent messages fit', async () => {
+    summarizes('The customer wants a quote for 10 widgets.');
+    const id = createConversation(6);
+    const first = await memoryService.buildContext(id, 'mock', { model: 'mock' });
+
+    const second = await memoryService.buildContext(id, 'mock', { model: 'mock' });
+
+    expect(second.summarized).toBe(0);
+    expect(second.history).toEqual(first.history);
+  });
+
+  test('counts pinned facts against the budget', async () => {
+    const id = createConversation(2);
+    const unpinned = await memoryService.buildContext(id, 'mock');
+    memoryService.pin(id, 'Ship to Berlin' + ' word'.repeat(80));
+    summarizes('Two questions were asked.');
+
+    const context = await memoryService.buildContext(id, 'mock', { model: 'mock' });
+
+    expect(context.pinned).toEqual([expect.stringMatching(/^Ship to Berlin/)]);
+    expect(context.history.length).toBeLessThan(unpinned.history.length);
+  });
+
+  test('drops the oldest messages when summarizing fails', async () => {
+    summarizes('');
+    const id = createConversation(6);
+
+    const context = await memoryService.buildContext(id, 'mock', { model: 'mock' });
+
+    expect(context.summarized).toBe(0);
+    expect(context.omitted).toBeGreaterThan(0);
+    expect(historyTokens(context.history)).toBeLessThanOrEqual(BUDGET);
+    expect(context.history[0].role).toBe('user');
+    expect(memoryService.getMemory(id).summarizedThrough).toBeNull();
+  });
+});
+
+describe('describe', () => {
+  test('reports the budget and what the summary and pins cost', () => {
+    const id = createConversation(1);
+    memoryService.setSummary(id, '  Quote for widgets  ');
+    memoryService.pin(id, 'Ship to Berlin');
+
+    const described = memoryService.describe(id);
+
+    expect(described).toMatchObject({
+      summary: 'Quote for widgets',
+      summaryEdited: true,
+      provider: 'mock',
+      tokenBudget: BUDGET,
+      summaryTokens: memoryService.countTokens('mock', 'Quote for widgets'),
+      pinnedTokens: memoryService.countTokens('mock', 'Ship to Berlin')
+    });
+  });
+});
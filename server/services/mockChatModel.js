@@ -0,0 +1,208 @@
+const { BaseChatModel } = require('@langchain/core/language_models/chat_models');
+const { AIMessage, AIMessageChunk } = require('@langchain/core/messages');
+const { ChatGenerationChunk } = require('@langchain/core/outputs');
+
+const getText = (message) => (typeof message.content === 'string'
+  ? message.content
+  : (message.content || []).filter(part => part.type === 'text').map(part => part.text).join(''));
+
+// Rough token count for fixtures that do not give their usage
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(signal.reason);
+    return;
+  }
+  const timer = setTimeout(resolve, ms);
+  if (signal) {
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  }
+});
+
+// What fixtures can match on: the latest user message, how many model
+// turns followed it, the tool whose result came last and the system prompt
+function describeConversation(messages) {
+  const types = messages.map(message => message._getType());
+  const userIndex = types.lastIndexOf('human');
+  const last = messages[messages.length - 1];
+  return {
+    user: userIndex === -1 ? '' : getText(messages[userIndex]),
+    turn: types.slice(userIndex + 1).filter(type => type === 'ai').length,
+    tool: last && last._getType() === 'tool' ? last.name : null,
+    system: types[0] === 'system' ? getText(messages[0]) : ''
+  };
+}
+
+const matchesText = (pattern, text) => {
+  const regex = /^\/(.*)\/([a-z]*)$/s.exec(pattern);
+  return regex ? new RegExp(regex[1], regex[2]).test(text) : text.includes(pattern);
+};
+
+function matches(match, conversation, model) {
+  return (match.model === undefined || match.model === model) &&
+    (match.user === undefined || matchesText(match.user, conversation.user)) &&
+    (match.system === undefined || matchesText(match.system, conversation.system)) &&
+    (match.tool === undefined || match.tool === conversation.tool) &&
+    (match.turn === undefined || match.turn === conversation.turn);
+}
+
+// The fixture entries of a mock provider and how often each has answered.
+// Every model instance of the provider shares one script, so entries
+// limited by `times` run out across runs until reset().
+class MockScript {
+  constructor(entries) {
+    this.entries = entries;
+    this.reset();
+  }
+
+  reset() {
+    this.uses = new Map();
+    this.toolCallCount = 0;
+  }
+
+  next(conversation, model) {
+    const entry = this.entries.find(candidate =>
+      (candidate.times === undefined || (this.uses.get(candidate) || 0) < candidate.times) &&
+      matches(candidate.match, conversation, model));
+    if (entry) {
+      this.uses.set(entry, (this.uses.get(entry) || 0) + 1);
+    }
+    return entry || null;
+  }
+
+  // Numbered rather than random, so replays give the same ids
+  nextToolCallId() {
+    this.toolCallCount++;
+    return `mock_call_${this.toolCallCount}`;
+  }
+}
+
+// Chat model of the "mock" provider: answers from a MockScript instead of
+// a network API, with tool calls, errors, delays and token usage as
+// scripted. Streaming yields the content word by word.
+class MockChatModel extends BaseChatModel {
+  constructor(fields) {
+    super(fields);
+    this.model = fields.model;
+    this.script = fields.script;
+  }
+
+  _llmType() {
+    return 'mock';
+  }
+
+  bindTools(tools, kwargs = {}) {
+    return this.withConfig({ tools, ...kwargs });
+  }
+
+  async reply(messages, options) {
+    const conversation = describeConversation(messages);
+    const entry = this.script.next(conversation, this.model);
+    if (!entry) {
+      throw new Error(`No mock response matches the conversation (model ${this.model}, turn ${conversation.turn}` +
+        `${conversation.tool ? `, after tool ${conversation.tool}` : ''}, user: "${conversation.user.slice(0, 80)}")`);
+    }
+
+    if (entry.delayMs) {
+      await sleep(entry.delayMs, options.signal);
+    }
+
+    // Scripted errors look like SDK errors, so retries, fallback and
+    // circuit breakers treat them the same way
+    if (entry.error) {
+      const error = new Error(entry.error.message);
+      error.status = entry.error.status;
+      error.code = entry.error.code;
+      throw error;
+    }
+
+    const content = entry.response.content || '';
+    const toolCalls = (entry.response.toolCalls || []).map(call => ({
+      id: call.id || this.script.nextToolCallId(),
+      name: call.name,
+      args: call.args || {},
+      type: 'tool_call'
+    }));
+    const usage = entry.usage || {
+      inputTokens: estimateTokens(messages.map(getText).join('\n')),
+      outputTokens: estimateTokens(content + (toolCalls.length > 0 ? JSON.stringify(toolCalls) : ''))
+    };
+    return {
+      content,
+      toolCalls,
+      usage: {
+        input_tokens: usage.inputTokens,
+        output_tokens: usage.outputTokens,
+        total_tokens: usage.inputTokens + usage.outputTokens
+      }
+    };
+  }
+
+  async _generate(messages, options) {
+    const { content, toolCalls, usage } = await this.reply(messages, options);
+    return {
+      generations: [{
+        text: content,
+        message: new AIMessage({ content, tool_calls: toolCalls, usage_metadata: usage })
+      }],
+      llmOutput: {
+        tokenUsage: {
+          promptTokens: usage.input_tokens,
+          completionTokens: usage.output_tokens,
+          totalTokens: usage.total_tokens
+        }
+      }
+    };
+  }
+
+  async* _streamResponseChunks(messages, options, runManager) {
+    const { content, toolCalls, usage } = await this.reply(messages, options);
+    for (const text of content.split(/(?<=\s)/).filter(Boolean)) {
+      yield new ChatGenerationChunk({ text, message: new AIMessageChunk({ content: text }) });
+      if (runManager) {
+        await runManager.handleLLMNewToken(text);
+      }
+    }
+
+    // Tool calls and usage arrive in a last chunk, as with OpenAI
+    yield new ChatGenerationChunk({
+      text: '',
+      message: new AIMessageChunk({
+        content: '',
+        tool_call_chunks: toolCalls.map((call, index) => ({
+          id: call.id,
+          name: call.name,
+          args: JSON.stringify(call.args),
+          index,
+          type: 'tool_call_chunk'
+        })),
+        usage_metadata: usage
+      })
+    });
+  }
+}
+
+// A fixture entry that replays a recorded model turn. `reply` holds the
+// text and the tool calls of the real response.
+function toMockFixtureEntry(messages, reply, recordedFrom) {
+  const { user, turn, tool } = describeConversation(messages);
+  return {
+    match: tool ? { user, turn, tool } : { user, turn },
+    response: {
+      content: reply.content,
+      toolCalls: reply.toolCalls.map(({ name, args }) => ({ name, args }))
+    },
+    recordedFrom
+  };
+}
+
+module.exports = {
+  MockChatModel,
+  MockScript,
+  describeConversation,
+  toMockFixtureEntry
+};
@@ -0,0 +1,95 @@
+const { loadPromptLibrary, VARIABLE } = require('../config/promptLibrary');
+const { getModelRegistry } = require('../config/modelRegistry');
+
+// Glob-style tool patterns: "*" matches any run of characters
+const toPattern = (glob) => new RegExp(`^${glob.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+
+class PromptService {
+  constructor() {
+    // An invalid prompt file fails startup, like an invalid model registry
+    this.library = loadPromptLibrary(undefined, {
+      modelIds: getModelRegistry().models.map(model => model.id)
+    });
+  }
+
+  getBasePrompt() {
+    return this.library.base;
+  }
+
+  getGuidance() {
+    return this.library.guidance;
+  }
+
+  // The latest version of each persona, in file order, with the versions
+  // that can be pinned
+  getPersonas() {
+    const latest = new Map();
+    for (const persona of this.library.personas) {
+      const current = latest.get(persona.id);
+      if (!current || persona.version > current.version) {
+        latest.set(persona.id, persona);
+      }
+    }
+    return Array.from(latest.values()).map(persona => ({
+      ...this.describe(persona),
+      versions: this.getVersions(persona.id)
+    }));
+  }
+
+  getVersions(id) {
+    return this.library.personas
+      .filter(persona => persona.id === id)
+      .map(persona => persona.version)
+      .sort((a, b) => a - b);
+  }
+
+  // A persona version; the latest one when `version` is not given
+  getPersona(id, version = null) {
+    const versions = this.library.personas.filter(persona => persona.id === id);
+    if (version !== null) {
+      return versions.find(persona => persona.version === version) || null;
+    }
+    return versions.reduce((latest, persona) => (!latest || persona.version > latest.version ? persona : latest), null);
+  }
+
+  describe(persona) {
+    const { template, ...summary } = persona;
+    return summary;
+  }
+
+  // Problems with the variables a chat passes to a persona
+  validateVariables(persona, variables) {
+    if (variables === null || typeof variables !== 'object' || Array.isArray(variables)) {
+      return ['variables must be an object of strings'];
+    }
+
+    const problems = [];
+    const names = persona.variables.map(variable => variable.name);
+    for (const [name, value] of Object.entries(variables)) {
+      if (!names.includes(name)) {
+        problems.push(`${persona.id} has no variable "${name}" (it has: ${names.join(', ') || 'none'})`);
+      } else if (typeof value !== 'string') {
+        problems.push(`variable "${name}" must be a string`);
+      }
+    }
+    for (const variable of persona.variables) {
+      if (variable.default === null && variables[variable.name] === undefined) {
+        problems.push(`variable "${variable.name}" is required by ${persona.id}`);
+      }
+    }
+    return problems;
+  }
+
+  render(persona, variables = {}) {
+    return persona.template.replace(VARIABLE, (match, name, defaultValue) => (variables[name] !== undefined
+      ? variables[name]
+      : defaultValue));
+  }
+
+  // A persona without `tools` keeps every tool
+  allowsTool(persona, toolName) {
+    return !persona.tools || persona.tools.some(glob => toPattern(glob).test(toolName));
+  }
+}
+
+module.exports = new PromptService();
@@ -0,0 +1,127 @@
+const { AIMessage, HumanMessage, SystemMessage } = require('@langchain/core/messages');
+const { v4: uuidv4 } = require('uuid');
+
+// Hermes-style tags, which many open-weight models are trained to emit
+const TOOL_CALL_BLOCK = /<tool_call>\s*([\s\S]*?)\s*<\/tool_call>/g;
+
+const describeTools = (tools) => tools
+  .map(tool => `- ${tool.name}: ${tool.description}\n  Arguments (JSON Schema): ${JSON.stringify(tool.schema)}`)
+  .join('\n');
+
+const formatToolCall = (call) => `<tool_call>\n${JSON.stringify({ name: call.name, arguments: call.args })}\n</tool_call>`;
+
+const getText = (message) => (typeof message.content === 'string'
+  ? message.content
+  : (message.content || []).filter(part => part.type === 'text').map(part => part.text).join(''));
+
+// Tool calling for backends without native support. The tools are listed
+// in the system prompt, calls are parsed from <tool_call> blocks in the
+// reply and results are sent back as user messages. It stands in for a
+// tool-bound chat model: invoke() and stream() take and return the same
+// messages, with calls in `tool_calls`.
+class PromptToolModel {
+  constructor(llm, tools) {
+    this.llm = llm;
+    this.tools = tools;
+  }
+
+  getInstructions() {
+    return `You can use the tools below. To call one, reply with a block in exactly this form and stop:
+<tool_call>
+{"name": "<tool name>", "arguments": { ... }}
+</tool_call>
+Use one block per call. Each result comes back in a message starting with "Tool result". When you have what you need, answer normally without any <tool_call> block.
+
+Tools:
+${describeTools(this.tools)}`;
+  }
+
+  // The conversation as a backend without tool messages understands it
+  toPromptMessages(messages) {
+    const converted = messages.map(message => {
+      switch (message._getType()) {
+        case 'system':
+          return new SystemMessage(`${getText(message)}\n\n${this.getInstructions()}`);
+        case 'ai': {
+          const calls = (message.tool_calls || []).map(formatToolCall);
+          return new AIMessage([getText(message), ...calls].filter(Boolean).join('\n'));
+        }
+        case 'tool':
+          return new HumanMessage(`Tool result for ${message.name} (call ${message.tool_call_id}):\n${getText(message)}`);
+        default:
+          return message;
+      }
+    });
+
+    if (converted.length === 0 || converted[0]._getType() !== 'system') {
+      converted.unshift(new SystemMessage(this.getInstructions()));
+    }
+    return converted;
+  }
+
+  // Split a reply into its text and the tool calls it contains. Blocks
+  // that are not valid JSON become invalid calls, which the agent reports
+  // back to the model.
+  parseResponse(text) {
+    const toolCalls = [];
+    const invalidToolCalls = [];
+    for (const [, body] of text.matchAll(TOOL_CALL_BLOCK)) {
+      const id = `call_${uuidv4()}`;
+      try {
+        const call = JSON.parse(body);
+        if (typeof call.name !== 'string') {
+          throw new Error('"name" is missing');
+        }
+        toolCalls.push({ id, name: call.name, args: call.arguments || {}, type: 'tool_call' });
+      } catch (error) {
+        const name = /"name"\s*:\s*"([^"]+)"/.exec(body);
+        invalidToolCalls.push({ id, name: name ? name[1] : 'unknown', args: body, error: error.message, type: 'invalid_tool_call' });
+      }
+    }
+
+    return {
+      content: text.replace(TOOL_CALL_BLOCK, '').trim(),
+      toolCalls,
+      invalidToolCalls
+    };
+  }
+
+  async invoke(messages, options = {}) {
+    let llmOutput = null;
+    const response = await this.llm.invoke(this.toPromptMessages(messages), {
+      ...options,
+      callbacks: [
+        ...(options.callbacks || []),
+        { handleLLMEnd: (output) => { llmOutput = output.llmOutput || null; } }
+      ]
+    });
+
+    const { content, toolCalls, invalidToolCalls } = this.parseResponse(getText(response));
+    const tokenUsage = llmOutput && llmOutput.tokenUsage;
+    return new AIMessage({
+      content,
+      tool_calls: toolCalls,
+      invalid_tool_calls: invalidToolCalls,
+      // Token counts travel with the message, as with native providers
+      usage_metadata: tokenUsage ? {
+        input_tokens: tokenUsage.promptTokens || 0,
+        output_tokens: tokenUsage.completionTokens || 0,
+        total_tokens: tokenUsage.totalTokens || 0
+      } : undefined
+    });
+  }
+
+  // Tool blocks can only be recognized in the whole reply, so it is
+  // returned as a single chunk
+  async stream(messages, options = {}) {
+    const message = await this.invoke(messages, options);
+    return (async function* single() {
+      yield message;
+    }());
+  }
+}
+
+module.exports = {
+  PromptToolModel,
+  formatToolCall
+};
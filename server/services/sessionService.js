@@ -0,0 +1,90 @@
+// Socket.io rooms for chat sessions. Each browser tab picks a session id;
+// agent logs and approval requests for its runs go to that room only, plus
+// the firehose room that admins can join on purpose.
+//
+// A session id is a bearer secret: until a signed-in user claims it,
+// whoever holds it can join. Everything sent out names a session by its
+// tag instead.
+
+const crypto = require('crypto');
+
+const FIREHOSE_ROOM = 'admin:firehose';
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+class SessionService {
+  constructor() {
+    this.owners = new Map(); // sessionId -> userId of the first authenticated user
+    this.io = null; // Will be set by the server
+  }
+
+  setSocketIO(io) {
+    this.io = io;
+  }
+
+  roomFor(sessionId) {
+    return `session:${sessionId}`;
+  }
+
+  isValidSessionId(sessionId) {
+    return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+  }
+
+  // Tells sessions apart without revealing their ids
+  tagFor(sessionId) {
+    return sessionId ? crypto.createHash('sha256').update(sessionId).digest('hex').slice(0, 8) : null;
+  }
+
+  // The payload with its sessionId replaced by the session's tag
+  redact(payload) {
+    if (!payload || typeof payload !== 'object' || !('sessionId' in payload)) {
+      return payload;
+    }
+    const { sessionId, ...rest } = payload;
+    return { ...rest, session: this.tagFor(sessionId) };
+  }
+
+  // Sessions stay open to anyone holding the id until a signed-in user
+  // uses them; from then on only that user may
+  canAccess(sessionId, user) {
+    const owner = this.owners.get(sessionId);
+    return !owner || Boolean(user && user.id === owner);
+  }
+
+  claim(sessionId, user) {
+    if (user && !this.owners.has(sessionId)) {
+      this.owners.set(sessionId, user.id);
+    }
+  }
+
+  join(socket, sessionId, user) {
+    if (!this.isValidSessionId(sessionId) || !this.canAccess(sessionId, user)) {
+      return false;
+    }
+    this.claim(sessionId, user);
+    socket.join(this.roomFor(sessionId));
+    return true;
+  }
+
+  isInSession(socket, sessionId) {
+    return socket.rooms.has(this.roomFor(sessionId)) || socket.rooms.has(FIREHOSE_ROOM);
+  }
+
+  subscribeFirehose(socket) {
+    socket.join(FIREHOSE_ROOM);
+  }
+
+  unsubscribeFirehose(socket) {
+    socket.leave(FIREHOSE_ROOM);
+  }
+
+  // Events without a session only reach the firehose
+  emitToSession(sessionId, event, payload) {
+    if (!this.io) {
+      return;
+    }
+    const rooms = sessionId ? [this.roomFor(sessionId), FIREHOSE_ROOM] : [FIREHOSE_ROOM];
+    this.io.to(rooms).emit(event, this.redact(payload));
+  }
+}
+
+module.exports = new SessionService();
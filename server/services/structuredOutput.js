@@ -0,0 +1,154 @@
+const { Validator } = require('@langchain/core/utils/json_schema');
+
+// Name of the tool (Anthropic, Google) or response format (OpenAI) that
+// carries the answer
+const OUTPUT_NAME = 'final_answer';
+// Follow-up requests after a reply that does not match the schema
+const MAX_REPAIRS = (() => {
+  const value = parseInt(process.env.STRUCTURED_OUTPUT_MAX_REPAIRS, 10);
+  return Number.isNaN(value) || value < 0 ? 2 : value;
+})();
+const MAX_SCHEMA_LENGTH = 20000;
+
+// Parent keywords that only say "something below failed"
+const WRAPPER_KEYWORDS = ['properties', 'items', 'prefixItems', '$ref', 'allOf', 'false'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Returns a list of problems with a requested output schema. Answers are
+// always JSON objects, which every provider's structured output supports.
+function validateOutputSchema(schema) {
+  if (!isPlainObject(schema)) {
+    return ['schema must be a JSON Schema object'];
+  }
+  const problems = [];
+  if (schema.type !== 'object') {
+    problems.push('schema must describe an object ("type": "object")');
+  }
+  if (schema.properties !== undefined && !isPlainObject(schema.properties)) {
+    problems.push('schema "properties" must be an object');
+  }
+  if (schema.required !== undefined && !(Array.isArray(schema.required) && schema.required.every(name => typeof name === 'string'))) {
+    problems.push('schema "required" must be a list of property names');
+  }
+  if (JSON.stringify(schema).length > MAX_SCHEMA_LENGTH) {
+    problems.push(`schema must be at most ${MAX_SCHEMA_LENGTH} characters of JSON`);
+  }
+  return problems;
+}
+
+// "Property "x" ..." messages name the property they are about
+const propertyOf = (error) => {
+  const match = /^Property "(.*)" does not match/.exec(error.error);
+  return match ? `${error.instanceLocation}/${match[1]}` : null;
+};
+
+// The validator reports each failure with its parent keywords too, and
+// flags properties that failed their own schema as additional ones as
+// well; only the messages that say what is wrong are kept
+function formatErrors(errors) {
+  const failedProperties = new Set(errors.filter(error => error.keyword === 'properties').map(propertyOf));
+  const useful = errors.filter(error => (error.keyword === 'additionalProperties'
+    ? !failedProperties.has(propertyOf(error))
+    : !WRAPPER_KEYWORDS.includes(error.keyword)));
+  const messages = (useful.length > 0 ? useful : errors).map(error => `${error.instanceLocation}: ${error.error}`);
+  return Array.from(new Set(messages));
+}
+
+// Validation errors of a value, empty when it matches the schema
+function createOutputValidator(schema) {
+  const validator = new Validator(schema, '2019-09', false);
+  return (value) => {
+    const { valid, errors } = validator.validate(value);
+    return valid ? [] : formatErrors(errors);
+  };
+}
+
+// The JSON object in a text reply. Models like to wrap it in a ```json
+// fence or a sentence, so the outermost braces are tried as well.
+function parseJsonReply(text) {
+  const candidates = [text.trim()];
+  const fenced = /```(?:json)?\s*([\s\S]*?)```/.exec(text);
+  if (fenced) {
+    candidates.push(fenced[1].trim());
+  }
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start !== -1 && end > start) {
+    candidates.push(text.slice(start, end + 1));
+  }
+
+  let lastError = null;
+  for (const candidate of candidates) {
+    try {
+      return { value: JSON.parse(candidate), errors: [] };
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  return { value: null, errors: [`Reply is not valid JSON: ${lastError.message}`] };
+}
+
+// The schema as the model sees it in the system prompt
+function describeOutputSchema(schema) {
+  return `Response format:
+When you have finished (after any tool calls), reply with only a JSON object that matches this JSON Schema, without any other text:
+${JSON.stringify(schema, null, 2)}`;
+}
+
+// Providers whose replies can be constrained to a schema natively
+const NATIVE_OUTPUT_PROVIDERS = ['openai', 'anthropic', 'google'];
+
+const supportsNativeOutput = (provider) => NATIVE_OUTPUT_PROVIDERS.includes(provider);
+
+const describeAnswer = (schema) => schema.description || 'Give the final answer to the user';
+
+// OpenAI's response format for replies that match the schema
+function outputResponseFormat(schema) {
+  return {
+    type: 'json_schema',
+    // Strict mode rejects schemas with optional properties
+    json_schema: { name: OUTPUT_NAME, description: describeAnswer(schema), schema, strict: false }
+  };
+}
+
+// The answer as a tool (Anthropic, Google), shaped like the run's tools;
+// the arguments of its call are the object
+function outputTool(schema) {
+  return { name: OUTPUT_NAME, description: describeAnswer(schema), schema };
+}
+
+// The provider's native way of forcing a reply that matches the schema,
+// or null where there is none and only the prompt asks for it
+function bindStructuredOutput(provider, llm, schema) {
+  const tool = outputTool(schema);
+  switch (provider) {
+    case 'openai':
+      return llm.bind({ response_format: outputResponseFormat(schema) });
+    case 'anthropic':
+      return llm.bindTools(
+        [{ name: tool.name, description: tool.description, input_schema: tool.schema }],
+        { tool_choice: { type: 'tool', name: OUTPUT_NAME } }
+      );
+    case 'google':
+      return llm.bindTools(
+        [{ type: 'function', function: { name: tool.name, description: tool.description, parameters: tool.schema } }],
+        { tool_choice: 'any', allowedFunctionNames: [OUTPUT_NAME] }
+      );
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  validateOutputSchema,
+  createOutputValidator,
+  parseJsonReply,
+  describeOutputSchema,
+  supportsNativeOutput,
+  outputResponseFormat,
+  outputTool,
+  bindStructuredOutput,
+  OUTPUT_NAME,
+  MAX_REPAIRS
+};
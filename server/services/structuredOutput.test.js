@@ -0,0 +1,133 @@
+// Checking requested output schemas, validating and parsing replies
+// against them, and binding them to each provider's native support
+const { ChatOpenAI } = require('@langchain/openai');
+const { ChatAnthropic } = require('@langchain/anthropic');
+const {
+  validateOutputSchema,
+  createOutputValidator,
+  parseJsonReply,
+  describeOutputSchema,
+  supportsNativeOutput,
+  outputTool,
+  bindStructuredOutput,
+  OUTPUT_NAME
+} = require('./structuredOutput');
+
+const quoteSchema = {
+  type: 'object',
+  description: 'The quote for the customer',
+  properties: {
+    total: { type: 'number' },
+    items: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['total'],
+  additionalProperties: false
+};
+
+describe('validateOutputSchema', () => {
+  test('accepts an object schema', () => {
+    expect(validateOutputSchema(quoteSchema)).toEqual([]);
+    expect(validateOutputSchema({ type: 'object' })).toEqual([]);
+  });
+
+  test('reports every problem at once', () => {
+    expect(validateOutputSchema({ type: 'array', properties: [], required: 'total' })).toEqual([
+      'schema must describe an object ("type": "object")',
+      'schema "properties" must be an object',
+      'schema "required" must be a list of property names'
+    ]);
+  });
+
+  test('rejects anything but an object', () => {
+    expect(validateOutputSchema('{"type":"object"}')).toEqual(['schema must be a JSON Schema object']);
+    expect(validateOutputSchema(null)).toEqual(['schema must be a JSON Schema object']);
+  });
+
+  test('limits the size of the schema', () => {
+    const schema = { type: 'object', description: 'x'.repeat(20000) };
+
+    expect(validateOutputSchema(schema)).toEqual(['schema must be at most 20000 characters of JSON']);
+  });
+});
+
+describe('createOutputValidator', () => {
+  const validate = createOutputValidator(quoteSchema);
+
+  test('returns no errors for a matching value', () => {
+    expect(validate({ total: 12.5, items: ['widget'] })).toEqual([]);
+  });
+
+  test('says what is wrong and where, without the wrapper errors', () => {
+    expect(validate({ items: ['widget', 2] })).toEqual([
+      '#: Instance does not have required property "total".',
+      '#/items/1: Instance type "number" is invalid. Expected "string".'
+    ]);
+  });
+
+  test('reports a property as additional only when it is', () => {
+    expect(validate({ total: '12.5', discount: 1 })).toEqual([
+      '#/total: Instance type "string" is invalid. Expected "number".',
+      '#: Property "discount" does not match additional properties schema.'
+    ]);
+  });
+});
+
+describe('parseJsonReply', () => {
+  test('parses a bare JSON reply', () => {
+    expect(parseJsonReply(' {"total": 5} ')).toEqual({ value: { total: 5 }, errors: [] });
+  });
+
+  test('finds the object in a fenced block or a sentence', () => {
+    expect(parseJsonReply('Here you go:\n```json\n{"total": 5}\n```').value).toEqual({ total: 5 });
+    expect(parseJsonReply('The quote is {"total": 5, "items": ["a"]}. Anything else?').value).toEqual({ total: 5, items: ['a'] });
+  });
+
+  test('reports a reply that is not JSON', () => {
+    const { value, errors } = parseJsonReply('The total is 5.');
+
+    expect(value).toBeNull();
+    expect(errors).toEqual([expect.stringMatching(/^Reply is not valid JSON: /)]);
+  });
+
+  test('leaves schema checks to the validator', () => {
+    const { value } = parseJsonReply('{"total": "five"}');
+
+    expect(createOutputValidator(quoteSchema)(value)).toHaveLength(1);
+  });
+});
+
+describe('native output', () => {
+  test('is supported by the hosted providers only', () => {
+    expect(['openai', 'anthropic', 'google', 'local', 'mock'].filter(supportsNativeOutput)).toEqual(['openai', 'anthropic', 'google']);
+  });
+
+  test('describes the answer with the schema\'s description', () => {
+    expect(outputTool(quoteSchema)).toEqual({ name: OUTPUT_NAME, description: 'The quote for the customer', schema: quoteSchema });
+    expect(outputTool({ type: 'object' }).description).toBe('Give the final answer to the user');
+  });
+
+  test('binds a response format for OpenAI', () => {
+    const llm = new ChatOpenAI({ openAIApiKey: 'sk-test' });
+
+    expect(bindStructuredOutput('openai', llm, quoteSchema).kwargs).toEqual({
+      response_format: {
+        type: 'json_schema',
+        json_schema: { name: OUTPUT_NAME, description: 'The quote for the customer', schema: quoteSchema, strict: false }
+      }
+    });
+  });
+
+  test('forces the answer tool for Anthropic', () => {
+    const llm = new ChatAnthropic({ apiKey: 'sk-test' });
+
+    expect(bindStructuredOutput('anthropic', llm, quoteSchema).kwargs).toEqual({
+      tools: [{ name: OUTPUT_NAME, description: 'The quote for the customer', input_schema: quoteSchema }],
+      tool_choice: { type: 'tool', name: OUTPUT_NAME }
+    });
+  });
+
+  test('leaves other providers to the prompt', () => {
+    expect(bindStructuredOutput('local', {}, quoteSchema)).toBeNull();
+    expect(describeOutputSchema(quoteSchema)).toContain(JSON.stringify(quoteSchema, null, 2));
+  });
+});
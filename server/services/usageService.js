@@ -0,0 +1,230 @@
+const fs = require('fs');
+const path = require('path');
+const database = require('../config/database');
+const { getModelRegistry } = require('../config/modelRegistry');
+
+// Default monthly spend allowed per signed-in user; unset means no limit
+const DEFAULT_MONTHLY_BUDGET = process.env.USAGE_MONTHLY_BUDGET_USD
+  ? parseFloat(process.env.USAGE_MONTHLY_BUDGET_USD)
+  : null;
+
+const GROUP_BY = {
+  run: record => record.runId,
+  conversation: record => record.conversationId,
+  user: record => record.userId,
+  provider: record => record.provider,
+  model: record => record.model,
+  day: record => record.timestamp.slice(0, 10)
+};
+
+const roundCost = (cost) => Math.round(cost * 1e6) / 1e6;
+
+// Prices are USD per million tokens, keyed by model name. They come from
+// the model registry; LLM_PRICING_PATH may name a file of overrides for
+// negotiated rates or models the registry does not list.
+function loadPricing(pricingFile = process.env.LLM_PRICING_PATH) {
+  const pricing = { currency: 'USD', unit: 'per 1M tokens', models: {} };
+  for (const model of getModelRegistry().models) {
+    if (model.pricing) {
+      pricing.models[model.model] = model.pricing;
+    }
+  }
+  if (!pricingFile) {
+    return pricing;
+  }
+
+  const pricingPath = path.resolve(path.join(__dirname, '../..'), pricingFile);
+  let overrides;
+  try {
+    overrides = JSON.parse(fs.readFileSync(pricingPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unable to read LLM pricing ${pricingPath}: ${error.message}`);
+  }
+
+  const models = overrides && overrides.models;
+  const valid = models && typeof models === 'object' && Object.values(models).every(price =>
+    price && typeof price.input === 'number' && typeof price.output === 'number' &&
+    price.input >= 0 && price.output >= 0);
+  if (!valid) {
+    throw new Error(`LLM pricing ${pricingPath} must map model names to { input, output } prices`);
+  }
+
+  console.log(`💲 Loaded price overrides for ${Object.keys(models).length} model(s) from ${pricingPath}`);
+  return { ...pricing, models: { ...pricing.models, ...models } };
+}
+
+class UsageService {
+  constructor() {
+    this.pricing = loadPricing();
+    this.unpricedModels = new Set();
+  }
+
+  // Token counts of one LLM response. Providers report them in different
+  // places: usage_metadata (Google), additional_kwargs.usage (Anthropic)
+  // or the llmOutput handed to callbacks (OpenAI). Null when none did.
+  extractUsage(message, llmOutput = null) {
+    if (message && message.usage_metadata) {
+      return {
+        inputTokens: message.usage_metadata.input_tokens || 0,
+        outputTokens: message.usage_metadata.output_tokens || 0
+      };
+    }
+
+    const anthropicUsage = message && message.additional_kwargs && message.additional_kwargs.usage;
+    if (anthropicUsage) {
+      return {
+        inputTokens: anthropicUsage.input_tokens || 0,
+        outputTokens: anthropicUsage.output_tokens || 0
+      };
+    }
+
+    const openaiUsage = llmOutput && (llmOutput.tokenUsage || llmOutput.estimatedTokenUsage);
+    if (openaiUsage && openaiUsage.promptTokens !== undefined) {
+      return {
+        inputTokens: openaiUsage.promptTokens || 0,
+        outputTokens: openaiUsage.completionTokens || 0
+      };
+    }
+
+    return null;
+  }
+
+  // model.invoke() that also returns token usage; llmOutput only reaches
+  // callbacks, not the returned message
+  async invoke(model, input, options = {}) {
+    let llmOutput = null;
+    const message = await model.invoke(input, {
+      ...options,
+      callbacks: [{
+        handleLLMEnd: (output) => {
+          llmOutput = output.llmOutput || null;
+        }
+      }]
+    });
+    return { message, usage: this.extractUsage(message, llmOutput) };
+  }
+
+  getModelName(llm) {
+    return llm.modelName || llm.model || 'unknown';
+  }
+
+  getPricing() {
+    return this.pricing;
+  }
+
+  // Null when the model has no price; such calls are counted but not costed
+  computeCost(model, usage) {
+    const price = this.pricing.models[model];
+    if (!price) return null;
+    return (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1e6;
+  }
+
+  // Store one LLM call. `context` says who and what it was for.
+  record(context, { provider, model, purpose, usage, estimated = false }) {
+    const cost = this.computeCost(model, usage);
+    if (cost === null && !this.unpricedModels.has(model)) {
+      this.unpricedModels.add(model);
+      console.warn(`⚠️ No price configured for model ${model}; its usage is not costed`);
+    }
+
+    return database.recordUsage({
+      runId: context.runId || null,
+      conversationId: context.conversationId || null,
+      userId: context.userId || null,
+      sessionId: context.sessionId || null,
+      provider,
+      model,
+      purpose,
+      inputTokens: usage.inputTokens,
+      outputTokens: usage.outputTokens,
+      totalTokens: usage.inputTokens + usage.outputTokens,
+      cost,
+      estimated
+    });
+  }
+
+  // Records matching every given filter; `from` is inclusive, `to` exclusive
+  getRecords({ from = null, to = null, ...filters } = {}) {
+    return database.getUsageRecords().filter(record => {
+      const time = new Date(record.timestamp);
+      if (from && time < from) return false;
+      if (to && time >= to) return false;
+      return Object.entries(filters).every(([key, value]) => value === undefined || record[key] === value);
+    });
+  }
+
+  totals(records) {
+    const totals = records.reduce((sum, record) => ({
+      calls: sum.calls + 1,
+      inputTokens: sum.inputTokens + record.inputTokens,
+      outputTokens: sum.outputTokens + record.outputTokens,
+      totalTokens: sum.totalTokens + record.totalTokens,
+      cost: sum.cost + (record.cost || 0),
+      unpricedCalls: sum.unpricedCalls + (record.cost === null ? 1 : 0),
+      estimatedCalls: sum.estimatedCalls + (record.estimated ? 1 : 0)
+    }), { calls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0, unpricedCalls: 0, estimatedCalls: 0 });
+
+    return { ...totals, cost: roundCost(totals.cost) };
+  }
+
+  // Totals for the filters, optionally split by run, conversation, user,
+  // provider, model or day
+  query(filters = {}, groupBy = null) {
+    const records = this.getRecords(filters);
+    const result = { totals: this.totals(records) };
+
+    if (groupBy) {
+      const groups = new Map();
+      for (const record of records) {
+        const key = GROUP_BY[groupBy](record);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(record);
+      }
+      result.groups = Array.from(groups, ([key, grouped]) => ({ [groupBy]: key, ...this.totals(grouped) }))
+        .sort((a, b) => b.cost - a.cost || b.totalTokens - a.totalTokens);
+    }
+
+    return result;
+  }
+
+  getRunUsage(runId) {
+    return this.totals(this.getRecords({ runId }));
+  }
+
+  // A per-user override wins over USAGE_MONTHLY_BUDGET_USD
+  getMonthlyBudget(userId) {
+    const override = database.getUsageBudget(userId);
+    return override !== undefined ? override : DEFAULT_MONTHLY_BUDGET;
+  }
+
+  // null removes the override
+  setMonthlyBudget(userId, monthlyBudget) {
+    if (monthlyBudget === null) {
+      database.deleteUsageBudget(userId);
+    } else {
+      database.setUsageBudget(userId, monthlyBudget);
+    }
+    return this.getBudgetStatus(userId);
+  }
+
+  // Spend in the current calendar month (UTC) against the user's budget
+  getBudgetStatus(userId, now = new Date()) {
+    const periodStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const monthlyBudget = this.getMonthlyBudget(userId);
+    const spent = this.totals(this.getRecords({ userId, from: periodStart })).cost;
+
+    return {
+      userId,
+      monthlyBudget,
+      spent,
+      remaining: monthlyBudget === null ? null : roundCost(Math.max(0, monthlyBudget - spent)),
+      exceeded: monthlyBudget !== null && spent >= monthlyBudget,
+      periodStart: periodStart.toISOString()
+    };
+  }
+}
+
+const usageService = new UsageService();
+
+module.exports = usageService;
+module.exports.USAGE_GROUPS = Object.keys(GROUP_BY);
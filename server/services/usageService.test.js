@@ -0,0 +1,115 @@
+// Cost and grouping of recorded LLM usage, priced from the model registry
+// and stored in the in-memory database.
+const database = require('../config/database');
+const usageService = require('./usageService');
+
+// gpt-4o costs $2.50 in and $10 out per million tokens; gpt-4o-mini
+// $0.15 and $0.60
+const record = (context, model, inputTokens, outputTokens, provider = 'openai') =>
+  usageService.record(context, { provider, model, purpose: 'agent', usage: { inputTokens, outputTokens } });
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  database.usageRecords = [];
+  database.usageBudgets.clear();
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('cost', () => {
+  test('prices input and output tokens per million', () => {
+    expect(usageService.computeCost('gpt-4o', { inputTokens: 1000, outputTokens: 500 })).toBeCloseTo(0.0075);
+    expect(usageService.computeCost('gpt-4o-mini', { inputTokens: 1e6, outputTokens: 1e6 })).toBeCloseTo(0.75);
+  });
+
+  test('leaves models without a price uncosted', () => {
+    const stored = record({ runId: 'run-1' }, 'gpt-5-preview', 100, 50);
+
+    expect(stored).toMatchObject({ cost: null, totalTokens: 150, runId: 'run-1', userId: null });
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('gpt-5-preview'));
+  });
+
+  test('totals tokens and cost, counting unpriced and estimated calls', () => {
+    record({}, 'gpt-4o', 1000, 500);
+    record({}, 'gpt-4o-mini', 2000, 1000);
+    record({}, 'gpt-5-preview', 100, 50);
+    usageService.record({}, { provider: 'openai', model: 'gpt-4o', purpose: 'summary', usage: { inputTokens: 10, outputTokens: 10 }, estimated: true });
+
+    expect(usageService.query().totals).toEqual({
+      calls: 4,
+      inputTokens: 3110,
+      outputTokens: 1560,
+      totalTokens: 4670,
+      cost: 0.008525,
+      unpricedCalls: 1,
+      estimatedCalls: 1
+    });
+  });
+
+  test('rounds costs to a millionth of a dollar', () => {
+    record({}, 'gpt-4o-mini', 1, 1);
+
+    expect(usageService.query().totals.cost).toBe(0.000001);
+  });
+});
+
+describe('query', () => {
+  beforeEach(() => {
+    record({ runId: 'run-1', userId: 'ada' }, 'gpt-4o', 1000, 500);
+    record({ runId: 'run-1', userId: 'ada' }, 'gpt-4o-mini', 1000, 500);
+    record({ runId: 'run-2', userId: 'bob' }, 'gpt-4o-mini', 4000, 2000);
+    record({ runId: 'run-3', userId: 'bob' }, 'mock', 300, 100, 'mock');
+  });
+
+  test('groups by model, most expensive first', () => {
+    const { groups } = usageService.query({}, 'model');
+
+    expect(groups.map(group => group.model)).toEqual(['gpt-4o', 'gpt-4o-mini', 'mock']);
+    expect(groups[1]).toMatchObject({ calls: 2, inputTokens: 5000, outputTokens: 2500, cost: 0.00225 });
+  });
+
+  test('filters before grouping', () => {
+    const result = usageService.query({ userId: 'bob' }, 'run');
+
+    expect(result.totals.calls).toBe(2);
+    expect(result.groups.map(group => group.run)).toEqual(['run-2', 'run-3']);
+  });
+
+  test('breaks cost ties by tokens', () => {
+    record({ runId: 'run-4', userId: 'bob' }, 'gpt-5-preview', 100, 50);
+
+    const { groups } = usageService.query({ userId: 'bob' }, 'run');
+
+    expect(groups.map(group => [group.run, group.cost, group.totalTokens])).toEqual([
+      ['run-2', 0.0018, 6000],
+      ['run-3', 0, 400],
+      ['run-4', 0, 150]
+    ]);
+  });
+
+  test('groups by day of the timestamp', () => {
+    const day = new Date().toISOString().slice(0, 10);
+
+    expect(usageService.query({}, 'day').groups).toEqual([expect.objectContaining({ day, calls: 4 })]);
+  });
+
+  test('leaves groups out without groupBy', () => {
+    expect(usageService.query({ runId: 'run-1' })).toEqual({ totals: usageService.getRunUsage('run-1') });
+  });
+});
+
+describe('budgets', () => {
+  test('reports spend this month against a per-user budget', () => {
+    record({ userId: 'ada' }, 'gpt-4o', 1e6, 0);
+    usageService.setMonthlyBudget('ada', 2);
+
+    expect(usageService.getBudgetStatus('ada')).toMatchObject({ monthlyBudget: 2, spent: 2.5, remaining: 0, exceeded: true });
+    expect(usageService.setMonthlyBudget('ada', null).monthlyBudget).toBeNull();
+  });
+});